@@ -0,0 +1,241 @@
+import asyncHandler from "express-async-handler";
+import { Cart, Restaurant } from "../models/index.js";
+import { formatResponse } from "../utils/helpers.js";
+import {
+  getUnavailableReason,
+  loadMenuItem,
+  validateItemOptions,
+} from "../services/pricingService.js";
+import { buildCartSummary } from "../services/cartService.js";
+
+// Matches the per-line limit enforced by the routes and the Cart model
+const MAX_LINE_QUANTITY = 50;
+
+// Two lines can be merged when they describe the same configuration
+const lineSignature = (item) =>
+  JSON.stringify({
+    menuItem: item.menuItem.toString(),
+    variant: item.variant?.name || null,
+    addOns: (item.addOns || []).map((a) => a.name).sort(),
+    customizations: (item.customizations || []).map((c) => ({
+      name: c.name,
+      options: (c.selectedOptions || []).map((o) => o.name).sort(),
+    })),
+    bundleSelections: (item.bundleSelections || [])
+      .map((s) => `${s.slot}:${s.menuItem}`)
+      .sort(),
+    specialInstructions: item.specialInstructions || null,
+  });
+
+const getOrCreateCart = async (userId) => {
+  const cart = await Cart.findOne({ user: userId });
+  return cart || new Cart({ user: userId, items: [] });
+};
+
+// @desc    Get current cart with live pricing
+// @route   GET /api/cart
+// @access  Private/Customer
+export const getCart = asyncHandler(async (req, res) => {
+  const cart = await getOrCreateCart(req.user._id);
+
+  res.json(
+    formatResponse(true, "Cart retrieved successfully", {
+      cart: await buildCartSummary(cart),
+    })
+  );
+});
+
+// @desc    Add item to cart
+// @route   POST /api/cart/items
+// @access  Private/Customer
+export const addToCart = asyncHandler(async (req, res) => {
+  const {
+    menuItem: menuItemId,
+    quantity = 1,
+    variant,
+    addOns,
+    customizations,
+    bundleSelections,
+    specialInstructions,
+  } = req.body;
+
+  const menuItem = await loadMenuItem(menuItemId);
+  const restaurant =
+    menuItem && (await Restaurant.findById(menuItem.restaurant));
+  const unavailableReason = getUnavailableReason(menuItem, null, {
+    timeZone: restaurant?.timezone,
+  });
+  if (unavailableReason) {
+    return res.status(400).json(formatResponse(false, unavailableReason));
+  }
+
+  if (!restaurant || !restaurant.isActive) {
+    return res
+      .status(400)
+      .json(formatResponse(false, "Restaurant not available"));
+  }
+
+  const optionError = validateItemOptions(menuItem, {
+    variant,
+    addOns,
+    customizations,
+    bundleSelections,
+  });
+  if (optionError) {
+    return res.status(400).json(formatResponse(false, optionError));
+  }
+
+  const cart = await getOrCreateCart(req.user._id);
+
+  // A cart can only hold items from a single restaurant
+  if (
+    cart.restaurant &&
+    cart.items.length > 0 &&
+    cart.restaurant.toString() !== restaurant._id.toString()
+  ) {
+    return res
+      .status(400)
+      .json(
+        formatResponse(
+          false,
+          "Your cart contains items from another restaurant. Clear the cart to add this item"
+        )
+      );
+  }
+
+  const newLine = {
+    menuItem: menuItem._id,
+    quantity,
+    variant,
+    addOns: addOns || [],
+    customizations: customizations || [],
+    bundleSelections: bundleSelections || [],
+    specialInstructions,
+  };
+
+  // Merge with an identical line instead of adding a duplicate
+  const existingLine = cart.items.find(
+    (item) => lineSignature(item) === lineSignature(newLine)
+  );
+  if (existingLine) {
+    if (existingLine.quantity + quantity > MAX_LINE_QUANTITY) {
+      return res
+        .status(400)
+        .json(
+          formatResponse(false, `Quantity cannot exceed ${MAX_LINE_QUANTITY}`)
+        );
+    }
+    existingLine.quantity += quantity;
+  } else {
+    cart.items.push(newLine);
+  }
+
+  cart.restaurant = restaurant._id;
+  await cart.save();
+
+  res.status(201).json(
+    formatResponse(true, "Item added to cart", {
+      cart: await buildCartSummary(cart),
+    })
+  );
+});
+
+// @desc    Update cart item
+// @route   PUT /api/cart/items/:itemId
+// @access  Private/Customer
+export const updateCartItem = asyncHandler(async (req, res) => {
+  const cart = await Cart.findOne({ user: req.user._id });
+  const line = cart?.items.id(req.params.itemId);
+
+  if (!line) {
+    return res.status(404).json(formatResponse(false, "Cart item not found"));
+  }
+
+  const {
+    quantity,
+    variant,
+    addOns,
+    customizations,
+    bundleSelections,
+    specialInstructions,
+  } = req.body;
+
+  if (
+    variant !== undefined ||
+    addOns !== undefined ||
+    customizations !== undefined ||
+    bundleSelections !== undefined
+  ) {
+    const menuItem = await loadMenuItem(line.menuItem);
+    if (!menuItem || !menuItem.isAvailable) {
+      return res
+        .status(400)
+        .json(formatResponse(false, "Menu item is not available"));
+    }
+
+    // Validate the line as it will be after the update
+    const optionError = validateItemOptions(menuItem, {
+      variant: variant !== undefined ? variant : line.variant,
+      addOns: addOns !== undefined ? addOns : line.addOns,
+      customizations:
+        customizations !== undefined ? customizations : line.customizations,
+      bundleSelections:
+        bundleSelections !== undefined
+          ? bundleSelections
+          : line.bundleSelections,
+    });
+    if (optionError) {
+      return res.status(400).json(formatResponse(false, optionError));
+    }
+  }
+
+  if (quantity !== undefined) line.quantity = quantity;
+  if (variant !== undefined) line.variant = variant;
+  if (addOns !== undefined) line.addOns = addOns;
+  if (customizations !== undefined) line.customizations = customizations;
+  if (bundleSelections !== undefined) line.bundleSelections = bundleSelections;
+  if (specialInstructions !== undefined) {
+    line.specialInstructions = specialInstructions;
+  }
+
+  await cart.save();
+
+  res.json(
+    formatResponse(true, "Cart item updated", {
+      cart: await buildCartSummary(cart),
+    })
+  );
+});
+
+// @desc    Remove item from cart
+// @route   DELETE /api/cart/items/:itemId
+// @access  Private/Customer
+export const removeCartItem = asyncHandler(async (req, res) => {
+  const cart = await Cart.findOne({ user: req.user._id });
+  const line = cart?.items.id(req.params.itemId);
+
+  if (!line) {
+    return res.status(404).json(formatResponse(false, "Cart item not found"));
+  }
+
+  line.deleteOne();
+  await cart.save();
+
+  res.json(
+    formatResponse(true, "Item removed from cart", {
+      cart: await buildCartSummary(cart),
+    })
+  );
+});
+
+// @desc    Clear cart
+// @route   DELETE /api/cart
+// @access  Private/Customer
+export const clearCart = asyncHandler(async (req, res) => {
+  await Cart.findOneAndUpdate(
+    { user: req.user._id },
+    { items: [], $unset: { restaurant: 1 } }
+  );
+
+  res.json(formatResponse(true, "Cart cleared successfully"));
+});
@@ -0,0 +1,261 @@
+import asyncHandler from "express-async-handler";
+import { Complaint, Order } from "../models/index.js";
+import { formatResponse, getPaginationMeta } from "../utils/helpers.js";
+import {
+  generateTicketNumber,
+  getComplaintError,
+  getSlaDueAt,
+  isOverdue,
+  resolveComplaint,
+} from "../services/complaintService.js";
+
+// Add whether the complaint is past its SLA to a complaint for responses
+const withSla = (complaint) => ({
+  ...complaint.toObject(),
+  isOverdue: isOverdue(complaint),
+});
+
+// @desc    Raise a complaint about a delivered order
+// @route   POST /api/complaints
+// @access  Private/Customer
+export const createComplaint = asyncHandler(async (req, res) => {
+  const { orderId, issues, description, items, photos } = req.body;
+
+  const order = await Order.findOne({ _id: orderId, customer: req.user._id });
+  if (!order) {
+    return res.status(404).json(formatResponse(false, "Order not found"));
+  }
+
+  const complaintError = await getComplaintError(order);
+  if (complaintError) {
+    return res.status(400).json(formatResponse(false, complaintError));
+  }
+
+  const complaintItems = [];
+  for (let item of items || []) {
+    const orderItem = order.items.id(item.itemId);
+    if (!orderItem) {
+      return res
+        .status(400)
+        .json(formatResponse(false, "Item not found in this order"));
+    }
+    complaintItems.push({
+      orderItem: orderItem._id,
+      name: orderItem.name,
+      quantity: Math.min(
+        item.quantity || orderItem.quantity,
+        orderItem.quantity
+      ),
+    });
+  }
+
+  const complaint = await Complaint.create({
+    ticketNumber: await generateTicketNumber(),
+    order: order._id,
+    customer: req.user._id,
+    restaurant: order.restaurant,
+    deliveryPartner: order.deliveryPartner,
+    issues: [...new Set(issues)],
+    items: complaintItems,
+    description,
+    photos: photos || [],
+    slaDueAt: getSlaDueAt(issues),
+  });
+
+  res
+    .status(201)
+    .json(formatResponse(true, "Complaint raised successfully", { complaint }));
+});
+
+// @desc    Get my complaints
+// @route   GET /api/complaints/my-complaints
+// @access  Private/Customer
+export const getMyComplaints = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+  const skip = (page - 1) * limit;
+
+  const complaints = await Complaint.find({ customer: req.user._id })
+    .populate("order", "orderNumber")
+    .populate("restaurant", "name")
+    .select("-assignedTo -resolution.penalty")
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .skip(skip);
+
+  const total = await Complaint.countDocuments({ customer: req.user._id });
+
+  res.json(
+    formatResponse(
+      true,
+      "Your complaints retrieved successfully",
+      { complaints },
+      getPaginationMeta(total, page, limit)
+    )
+  );
+});
+
+// @desc    Get the complaint queue, most urgent first
+// @route   GET /api/complaints
+// @access  Private/Admin
+export const getComplaints = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const skip = (page - 1) * limit;
+
+  // Default to complaints still being worked on
+  let query = {
+    status: req.query.status || { $in: ["open", "in_review"] },
+  };
+
+  if (req.query.issue) {
+    query.issues = req.query.issue;
+  }
+
+  if (req.query.assignedTo === "me") {
+    query.assignedTo = req.user._id;
+  }
+
+  if (req.query.overdue === "true") {
+    query.slaDueAt = { $lt: new Date() };
+  }
+
+  const complaints = await Complaint.find(query)
+    .populate("order", "orderNumber pricing.total actualDeliveryTime")
+    .populate("customer", "name email phoneNumber")
+    .populate("restaurant", "name")
+    .populate("assignedTo", "name")
+    .sort({ slaDueAt: 1 })
+    .limit(limit)
+    .skip(skip);
+
+  const [total, overdue] = await Promise.all([
+    Complaint.countDocuments(query),
+    Complaint.countDocuments({
+      status: { $in: ["open", "in_review"] },
+      slaDueAt: { $lt: new Date() },
+    }),
+  ]);
+
+  res.json(
+    formatResponse(
+      true,
+      "Complaints retrieved successfully",
+      { complaints: complaints.map(withSla), overdue },
+      getPaginationMeta(total, page, limit)
+    )
+  );
+});
+
+// @desc    Get single complaint
+// @route   GET /api/complaints/:id
+// @access  Private
+export const getComplaint = asyncHandler(async (req, res) => {
+  const complaint = await Complaint.findById(req.params.id)
+    .populate("order", "orderNumber orderStatus items pricing")
+    .populate("restaurant", "name")
+    .populate("resolution.refund", "amount status destination");
+
+  if (!complaint) {
+    return res.status(404).json(formatResponse(false, "Complaint not found"));
+  }
+
+  if (
+    complaint.customer.toString() !== req.user._id.toString() &&
+    req.user.role !== "admin"
+  ) {
+    return res.status(403).json(formatResponse(false, "Access denied"));
+  }
+
+  res.json(
+    formatResponse(true, "Complaint retrieved successfully", {
+      complaint: withSla(complaint),
+    })
+  );
+});
+
+// @desc    Take a complaint, or hand it to another admin
+// @route   PUT /api/complaints/:id/assign
+// @access  Private/Admin
+export const assignComplaint = asyncHandler(async (req, res) => {
+  const complaint = await Complaint.findById(req.params.id);
+
+  if (!complaint) {
+    return res.status(404).json(formatResponse(false, "Complaint not found"));
+  }
+
+  if (!["open", "in_review"].includes(complaint.status)) {
+    return res
+      .status(400)
+      .json(formatResponse(false, `Complaint is already ${complaint.status}`));
+  }
+
+  complaint.assignedTo = req.body.assignee || req.user._id;
+  complaint.status = "in_review";
+  complaint.firstResponseAt = complaint.firstResponseAt || new Date();
+  await complaint.save();
+
+  res.json(
+    formatResponse(true, "Complaint assigned", {
+      complaint: withSla(complaint),
+    })
+  );
+});
+
+// @desc    Resolve a complaint with a refund, wallet credit and/or penalty
+// @route   PUT /api/complaints/:id/resolve
+// @access  Private/Admin
+export const resolveComplaintRequest = asyncHandler(async (req, res) => {
+  const complaint = await Complaint.findById(req.params.id);
+
+  if (!complaint) {
+    return res.status(404).json(formatResponse(false, "Complaint not found"));
+  }
+
+  if (!["open", "in_review"].includes(complaint.status)) {
+    return res
+      .status(400)
+      .json(formatResponse(false, `Complaint is already ${complaint.status}`));
+  }
+
+  const result = await resolveComplaint(complaint, req.body, req.user);
+  if (result.error) {
+    return res
+      .status(result.statusCode)
+      .json(formatResponse(false, result.error));
+  }
+
+  res.json(
+    formatResponse(true, "Complaint resolved", {
+      complaint: result.complaint,
+      refund: result.refund,
+    })
+  );
+});
+
+// @desc    Reject a complaint
+// @route   PUT /api/complaints/:id/reject
+// @access  Private/Admin
+export const rejectComplaint = asyncHandler(async (req, res) => {
+  const complaint = await Complaint.findOneAndUpdate(
+    { _id: req.params.id, status: { $in: ["open", "in_review"] } },
+    {
+      status: "rejected",
+      resolution: {
+        action: "no_action",
+        note: req.body.note,
+        resolvedBy: req.user._id,
+        resolvedAt: new Date(),
+      },
+    },
+    { new: true }
+  );
+
+  if (!complaint) {
+    return res
+      .status(400)
+      .json(formatResponse(false, "Complaint not found or already closed"));
+  }
+
+  res.json(formatResponse(true, "Complaint rejected", { complaint }));
+});
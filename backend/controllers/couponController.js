@@ -0,0 +1,176 @@
+import asyncHandler from "express-async-handler";
+import { Coupon, Cart, Restaurant } from "../models/index.js";
+import { formatResponse, getPaginationMeta } from "../utils/helpers.js";
+import { evaluateCoupon } from "../services/couponService.js";
+import { priceItems, calculateCharges } from "../services/pricingService.js";
+
+// @desc    Preview a coupon against a cart or subtotal
+// @route   POST /api/coupons/validate
+// @access  Private/Customer
+export const validateCoupon = asyncHandler(async (req, res) => {
+  const { code, cart: cartId } = req.body;
+  let { restaurant: restaurantId, subtotal } = req.body;
+  // Without a cart the subtotal is taxed as a single line at the default slab
+  let lines = [{ itemTotal: Number(subtotal) }];
+
+  if (cartId) {
+    const cart = await Cart.findOne({ _id: cartId, user: req.user._id });
+    if (!cart || cart.items.length === 0) {
+      return res
+        .status(400)
+        .json(formatResponse(false, "Cart not found or empty"));
+    }
+    restaurantId = cart.restaurant;
+    ({ subtotal, orderItems: lines } = await priceItems(
+      cart.items,
+      cart.restaurant
+    ));
+  }
+
+  const restaurant = await Restaurant.findById(restaurantId);
+  if (!restaurant || !restaurant.isActive) {
+    return res
+      .status(400)
+      .json(formatResponse(false, "Restaurant not available"));
+  }
+
+  const { coupon, discount, error } = await evaluateCoupon({
+    code,
+    userId: req.user._id,
+    restaurant,
+    subtotal: Number(subtotal),
+  });
+
+  if (error) {
+    return res.status(400).json(formatResponse(false, error));
+  }
+
+  const pricing = calculateCharges(restaurant, lines, { discount });
+  pricing.discount = {
+    amount: discount,
+    couponCode: coupon.code,
+    description: coupon.description || coupon.summary,
+  };
+
+  res.json(
+    formatResponse(true, "Coupon applied successfully", {
+      coupon: {
+        code: coupon.code,
+        description: coupon.description,
+        summary: coupon.summary,
+        validUntil: coupon.validUntil,
+      },
+      discount,
+      pricing,
+    })
+  );
+});
+
+// @desc    Create coupon
+// @route   POST /api/coupons
+// @access  Private/Admin
+export const createCoupon = asyncHandler(async (req, res) => {
+  const coupon = await Coupon.create({ ...req.body, createdBy: req.user._id });
+
+  res
+    .status(201)
+    .json(formatResponse(true, "Coupon created successfully", { coupon }));
+});
+
+// @desc    Get all coupons
+// @route   GET /api/coupons
+// @access  Private/Admin
+export const getCoupons = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const skip = (page - 1) * limit;
+
+  let query = {};
+
+  // Filter by active status
+  if (req.query.isActive !== undefined) {
+    query.isActive = req.query.isActive === "true";
+  }
+
+  // Filter by restaurant
+  if (req.query.restaurant) {
+    query.applicableRestaurants = req.query.restaurant;
+  }
+
+  // Search by code
+  if (req.query.search) {
+    query.code = { $regex: req.query.search, $options: "i" };
+  }
+
+  const coupons = await Coupon.find(query)
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .skip(skip);
+
+  const total = await Coupon.countDocuments(query);
+
+  res.json(
+    formatResponse(
+      true,
+      "Coupons retrieved successfully",
+      { coupons },
+      getPaginationMeta(total, page, limit)
+    )
+  );
+});
+
+// @desc    Get single coupon
+// @route   GET /api/coupons/:id
+// @access  Private/Admin
+export const getCoupon = asyncHandler(async (req, res) => {
+  const coupon = await Coupon.findById(req.params.id).populate(
+    "applicableRestaurants",
+    "name"
+  );
+
+  if (!coupon) {
+    return res.status(404).json(formatResponse(false, "Coupon not found"));
+  }
+
+  res.json(formatResponse(true, "Coupon retrieved successfully", { coupon }));
+});
+
+// @desc    Update coupon
+// @route   PUT /api/coupons/:id
+// @access  Private/Admin
+export const updateCoupon = asyncHandler(async (req, res) => {
+  const coupon = await Coupon.findById(req.params.id);
+
+  if (!coupon) {
+    return res.status(404).json(formatResponse(false, "Coupon not found"));
+  }
+
+  // Usage is tracked by the system, not edited by hand
+  const { usedCount, ...updates } = req.body;
+
+  Object.assign(coupon, updates);
+  const updatedCoupon = await coupon.save();
+
+  res.json(
+    formatResponse(true, "Coupon updated successfully", {
+      coupon: updatedCoupon,
+    })
+  );
+});
+
+// @desc    Deactivate coupon
+// @route   DELETE /api/coupons/:id
+// @access  Private/Admin
+export const deleteCoupon = asyncHandler(async (req, res) => {
+  const coupon = await Coupon.findById(req.params.id);
+
+  if (!coupon) {
+    return res.status(404).json(formatResponse(false, "Coupon not found"));
+  }
+
+  // Soft delete so past orders keep their coupon history
+  coupon.isActive = false;
+  await coupon.save();
+
+  res.json(formatResponse(true, "Coupon deactivated successfully"));
+});
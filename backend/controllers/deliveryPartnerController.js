@@ -1,6 +1,28 @@
 import asyncHandler from "express-async-handler";
-import { DeliveryPartner, Order, User } from "../models/index.js";
+import {
+  DeliveryPartner,
+  DispatchOffer,
+  Order,
+  PartnerPayout,
+  User,
+} from "../models/index.js";
 import { formatResponse, getPaginationMeta } from "../utils/helpers.js";
+import { transitionOrder } from "../services/orderStateMachine.js";
+import {
+  acceptOffer,
+  assignPartner,
+  declineOffer,
+} from "../services/dispatchService.js";
+import {
+  getCurrentWeekStart,
+  getEarningsBreakdown,
+  getUnpaidBalance,
+  postEarning,
+} from "../services/earningsService.js";
+import {
+  publishPartnerLocation,
+  recordLocationPoints,
+} from "../services/trackingService.js";
 
 // @desc    Apply to become delivery partner
 // @route   POST /api/delivery-partners/apply
@@ -104,6 +126,10 @@ export const updateAvailability = asyncHandler(async (req, res) => {
 
   await deliveryPartner.save();
 
+  if (latitude && longitude) {
+    await publishPartnerLocation(deliveryPartner);
+  }
+
   res.json(
     formatResponse(
       true,
@@ -113,7 +139,30 @@ export const updateAvailability = asyncHandler(async (req, res) => {
   );
 });
 
-// @desc    Get available orders
+// @desc    Record a batch of location points
+// @route   POST /api/delivery-partners/locations
+// @access  Private/Delivery Partner
+export const recordLocations = asyncHandler(async (req, res) => {
+  const deliveryPartner = await DeliveryPartner.findOne({ user: req.user._id });
+
+  if (!deliveryPartner || !deliveryPartner.verificationStatus.isApproved) {
+    return res.status(403).json(formatResponse(false, "Access denied"));
+  }
+
+  if (!deliveryPartner.availability.isOnline) {
+    return res
+      .status(400)
+      .json(formatResponse(false, "You must be online to share your location"));
+  }
+
+  const result = await recordLocationPoints(deliveryPartner, req.body.points);
+
+  res
+    .status(201)
+    .json(formatResponse(true, "Location points recorded", result));
+});
+
+// @desc    Get delivery offers waiting for my answer
 // @route   GET /api/delivery-partners/available-orders
 // @access  Private/Delivery Partner
 export const getAvailableOrders = asyncHandler(async (req, res) => {
@@ -123,22 +172,81 @@ export const getAvailableOrders = asyncHandler(async (req, res) => {
     return res.status(403).json(formatResponse(false, "Access denied"));
   }
 
-  // Find orders that need delivery partners
-  const orders = await Order.find({
-    orderStatus: "ready_for_pickup",
-    deliveryPartner: { $exists: false },
+  // Orders are offered to one partner at a time by the dispatch engine
+  const offers = await DispatchOffer.find({
+    deliveryPartner: deliveryPartner._id,
+    status: "offered",
+    expiresAt: { $gt: new Date() },
   })
-    .populate("restaurant", "name address phoneNumber")
-    .populate("customer", "name phoneNumber")
-    .populate("deliveryAddress")
-    .sort({ createdAt: 1 })
-    .limit(20);
+    .populate({
+      path: "order",
+      select:
+        "orderNumber orderStatus items pricing.total estimatedDeliveryTime",
+      populate: [
+        { path: "restaurant", select: "name address phoneNumber" },
+        { path: "deliveryAddress" },
+      ],
+    })
+    .sort({ expiresAt: 1 });
 
   res.json(
-    formatResponse(true, "Available orders retrieved successfully", { orders })
+    formatResponse(true, "Available orders retrieved successfully", { offers })
   );
 });
 
+// @desc    Accept a delivery offer
+// @route   POST /api/delivery-partners/offers/:offerId/accept
+// @access  Private/Delivery Partner
+export const acceptDeliveryOffer = asyncHandler(async (req, res) => {
+  const deliveryPartner = await DeliveryPartner.findOne({ user: req.user._id });
+
+  if (!deliveryPartner) {
+    return res
+      .status(404)
+      .json(formatResponse(false, "Delivery partner profile not found"));
+  }
+
+  const result = await acceptOffer(req.params.offerId, deliveryPartner);
+  if (result.error) {
+    return res
+      .status(result.statusCode)
+      .json(formatResponse(false, result.error));
+  }
+
+  res.json(
+    formatResponse(true, "Offer accepted successfully", {
+      offer: result.offer,
+      order: result.order,
+    })
+  );
+});
+
+// @desc    Decline a delivery offer
+// @route   POST /api/delivery-partners/offers/:offerId/decline
+// @access  Private/Delivery Partner
+export const declineDeliveryOffer = asyncHandler(async (req, res) => {
+  const deliveryPartner = await DeliveryPartner.findOne({ user: req.user._id });
+
+  if (!deliveryPartner) {
+    return res
+      .status(404)
+      .json(formatResponse(false, "Delivery partner profile not found"));
+  }
+
+  const result = await declineOffer(
+    req.params.offerId,
+    deliveryPartner,
+    req.body.reason
+  );
+  if (result.error) {
+    return res
+      .status(result.statusCode)
+      .json(formatResponse(false, result.error));
+  }
+
+  res.json(formatResponse(true, "Offer declined", { offer: result.offer }));
+});
+
 // @desc    Accept delivery order
 // @route   POST /api/delivery-partners/accept-order/:orderId
 // @access  Private/Delivery Partner
@@ -151,34 +259,58 @@ export const acceptOrder = asyncHandler(async (req, res) => {
       .json(formatResponse(false, "You must be online to accept orders"));
   }
 
-  // Check if partner already has an active order
-  if (deliveryPartner.currentOrder) {
+  // Check if partner already has an active order, other than the one
+  // dispatch assigned them
+  if (
+    deliveryPartner.currentOrder &&
+    deliveryPartner.currentOrder.toString() !== req.params.orderId
+  ) {
     return res
       .status(400)
       .json(formatResponse(false, "You already have an active order"));
   }
 
-  const order = await Order.findById(req.params.orderId);
+  let order = await Order.findById(req.params.orderId);
 
   if (
     !order ||
     order.orderStatus !== "ready_for_pickup" ||
-    order.deliveryPartner
+    (order.deliveryPartner &&
+      !order.deliveryPartner.equals(deliveryPartner._id))
   ) {
     return res
       .status(400)
       .json(formatResponse(false, "Order not available for pickup"));
   }
 
-  // Assign delivery partner to order
-  order.deliveryPartner = deliveryPartner._id;
-  order.orderStatus = "out_for_delivery";
-  await order.save();
+  // Orders nobody was dispatched yet go through dispatch, so open offers to
+  // other partners are withdrawn
+  if (!order.deliveryPartner) {
+    const assignment = await assignPartner(order, deliveryPartner);
+    if (assignment.error) {
+      return res
+        .status(assignment.statusCode)
+        .json(formatResponse(false, assignment.error));
+    }
+    order = assignment.order;
+  }
 
-  // Update delivery partner's current order
-  deliveryPartner.currentOrder = order._id;
-  deliveryPartner.statistics.totalOrders += 1;
-  await deliveryPartner.save();
+  // Pick the order up
+  const result = await transitionOrder(order, "out_for_delivery", {
+    user: req.user,
+  });
+
+  if (result.error) {
+    return res
+      .status(result.statusCode)
+      .json(formatResponse(false, result.error));
+  }
+
+  // The partner was claimed for the order when it was assigned
+  await DeliveryPartner.updateOne(
+    { _id: deliveryPartner._id },
+    { $inc: { "statistics.totalOrders": 1 } }
+  );
 
   await order.populate([
     { path: "restaurant", select: "name address phoneNumber" },
@@ -278,6 +410,7 @@ export const getMyStats = asyncHandler(async (req, res) => {
     averageRating: deliveryPartner.statistics.rating.average,
     totalRatings: deliveryPartner.statistics.rating.count,
     totalEarnings: deliveryPartner.statistics.totalEarnings,
+    totalTips: deliveryPartner.statistics.totalTips,
     averageDeliveryTime: deliveryPartner.statistics.averageDeliveryTime,
     isOnline: deliveryPartner.availability.isOnline,
     joiningDate: deliveryPartner.joiningDate,
@@ -288,6 +421,75 @@ export const getMyStats = asyncHandler(async (req, res) => {
   );
 });
 
+// @desc    Get my earnings with daily and weekly breakdowns
+// @route   GET /api/delivery-partners/earnings
+// @access  Private/Delivery Partner
+export const getMyEarnings = asyncHandler(async (req, res) => {
+  const deliveryPartner = await DeliveryPartner.findOne({ user: req.user._id });
+
+  if (!deliveryPartner) {
+    return res
+      .status(404)
+      .json(formatResponse(false, "Delivery partner profile not found"));
+  }
+
+  // Default to the current week and the three before it
+  const to = req.query.to ? new Date(req.query.to) : new Date();
+  const from = req.query.from
+    ? new Date(req.query.from)
+    : new Date(getCurrentWeekStart().getTime() - 3 * 7 * 24 * 60 * 60 * 1000);
+
+  const [breakdown, unpaidBalance, payouts] = await Promise.all([
+    getEarningsBreakdown(deliveryPartner._id, from, to),
+    getUnpaidBalance(deliveryPartner._id),
+    PartnerPayout.find({ deliveryPartner: deliveryPartner._id })
+      .select("-bankDetails.accountNumber")
+      .sort({ periodStart: -1 })
+      .limit(5),
+  ]);
+
+  res.json(
+    formatResponse(true, "Earnings retrieved successfully", {
+      from,
+      to,
+      ...breakdown,
+      lifetimeEarnings: deliveryPartner.statistics.totalEarnings,
+      lifetimeTips: deliveryPartner.statistics.totalTips,
+      unpaidBalance,
+      payouts,
+    })
+  );
+});
+
+// @desc    Add a tip, incentive, penalty or adjustment to a partner's earnings
+// @route   POST /api/delivery-partners/:id/earnings
+// @access  Private/Admin
+export const addEarningEntry = asyncHandler(async (req, res) => {
+  const { type, amount, description, order } = req.body;
+
+  const deliveryPartner = await DeliveryPartner.findById(req.params.id);
+
+  if (!deliveryPartner) {
+    return res
+      .status(404)
+      .json(formatResponse(false, "Delivery partner not found"));
+  }
+
+  // Penalties always reduce earnings, whatever sign they are sent with
+  const signedAmount = type === "penalty" ? -Math.abs(amount) : Number(amount);
+
+  const entry = await postEarning({
+    deliveryPartner: deliveryPartner._id,
+    order,
+    type,
+    amount: signedAmount,
+    description,
+    createdBy: req.user._id,
+  });
+
+  res.status(201).json(formatResponse(true, "Earnings entry added", { entry }));
+});
+
 // @desc    Get all delivery partners (Admin only)
 // @route   GET /api/delivery-partners
 // @access  Private/Admin
@@ -0,0 +1,462 @@
+import asyncHandler from "express-async-handler";
+import { Address, GroupOrder, Order, Restaurant } from "../models/index.js";
+import { formatResponse } from "../utils/helpers.js";
+import {
+  getUnavailableReason,
+  loadMenuItem,
+  validateItemOptions,
+} from "../services/pricingService.js";
+import { placeOrder } from "../services/orderService.js";
+import {
+  GROUP_ORDER_TTL_HOURS,
+  buildGroupSummary,
+  calculateShares,
+  generateShareCode,
+} from "../services/groupOrderService.js";
+
+// Load a session the user has joined. Returns { session } or { error, statusCode }.
+const loadSession = async (id, user) => {
+  const session = await GroupOrder.findById(id);
+
+  if (!session) {
+    return { error: "Group order not found", statusCode: 404 };
+  }
+
+  if (!session.hasParticipant(user._id) && user.role !== "admin") {
+    return { error: "Access denied", statusCode: 403 };
+  }
+
+  return { session };
+};
+
+// Sessions only take changes while open and not expired
+const getEditError = (session) => {
+  if (session.status !== "open") {
+    return `Group order is ${session.status}`;
+  }
+  if (session.expiresAt <= new Date()) {
+    return "Group order has expired";
+  }
+  return null;
+};
+
+const isHost = (session, user) => session.host.equals(user._id);
+
+// @desc    Start a group order
+// @route   POST /api/group-orders
+// @access  Private/Customer
+export const createGroupOrder = asyncHandler(async (req, res) => {
+  const { restaurant: restaurantId, deliveryAddress, paymentMode } = req.body;
+
+  const restaurant = await Restaurant.findById(restaurantId);
+  if (!restaurant || !restaurant.isActive) {
+    return res
+      .status(400)
+      .json(formatResponse(false, "Restaurant not available"));
+  }
+
+  const address = await Address.findOne({
+    _id: deliveryAddress,
+    user: req.user._id,
+  });
+  if (!address) {
+    return res
+      .status(400)
+      .json(formatResponse(false, "Invalid delivery address"));
+  }
+
+  const expiresAt = new Date(
+    Date.now() + GROUP_ORDER_TTL_HOURS * 60 * 60 * 1000
+  );
+
+  // Retry on the rare share code collision
+  let session;
+  for (let attempt = 0; !session; attempt++) {
+    try {
+      session = await GroupOrder.create({
+        host: req.user._id,
+        restaurant: restaurant._id,
+        deliveryAddress: address._id,
+        shareCode: generateShareCode(),
+        paymentMode,
+        participants: [{ user: req.user._id, name: req.user.name }],
+        expiresAt,
+      });
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= 4) throw error;
+    }
+  }
+
+  res.status(201).json(
+    formatResponse(true, "Group order started", {
+      groupOrder: await buildGroupSummary(session),
+    })
+  );
+});
+
+// @desc    Join a group order with its share code
+// @route   POST /api/group-orders/join
+// @access  Private/Customer
+export const joinGroupOrder = asyncHandler(async (req, res) => {
+  const session = await GroupOrder.findOne({
+    shareCode: req.body.shareCode.toUpperCase(),
+  });
+
+  if (!session) {
+    return res
+      .status(404)
+      .json(formatResponse(false, "No group order with this code"));
+  }
+
+  if (!session.hasParticipant(req.user._id)) {
+    const editError = getEditError(session);
+    if (editError) {
+      return res.status(400).json(formatResponse(false, editError));
+    }
+
+    session.participants.push({ user: req.user._id, name: req.user.name });
+    await session.save();
+  }
+
+  res.json(
+    formatResponse(true, "Joined group order", {
+      groupOrder: await buildGroupSummary(session),
+    })
+  );
+});
+
+// @desc    Get a group order with live pricing and each participant's share
+// @route   GET /api/group-orders/:id
+// @access  Private/Customer
+export const getGroupOrder = asyncHandler(async (req, res) => {
+  const { session, error, statusCode } = await loadSession(
+    req.params.id,
+    req.user
+  );
+  if (error) {
+    return res.status(statusCode).json(formatResponse(false, error));
+  }
+
+  res.json(
+    formatResponse(true, "Group order retrieved successfully", {
+      groupOrder: await buildGroupSummary(session),
+    })
+  );
+});
+
+// @desc    Add your item to a group order
+// @route   POST /api/group-orders/:id/items
+// @access  Private/Customer
+export const addGroupOrderItem = asyncHandler(async (req, res) => {
+  const {
+    menuItem: menuItemId,
+    quantity = 1,
+    variant,
+    addOns,
+    customizations,
+    bundleSelections,
+    specialInstructions,
+  } = req.body;
+
+  const { session, error, statusCode } = await loadSession(
+    req.params.id,
+    req.user
+  );
+  if (error) {
+    return res.status(statusCode).json(formatResponse(false, error));
+  }
+
+  const editError = getEditError(session);
+  if (editError) {
+    return res.status(400).json(formatResponse(false, editError));
+  }
+
+  const [menuItem, restaurant] = await Promise.all([
+    loadMenuItem(menuItemId),
+    Restaurant.findById(session.restaurant).select("timezone"),
+  ]);
+  const unavailableReason = getUnavailableReason(menuItem, session.restaurant, {
+    timeZone: restaurant?.timezone,
+  });
+  if (unavailableReason) {
+    return res.status(400).json(formatResponse(false, unavailableReason));
+  }
+
+  const optionError = validateItemOptions(menuItem, {
+    variant,
+    addOns,
+    customizations,
+    bundleSelections,
+  });
+  if (optionError) {
+    return res.status(400).json(formatResponse(false, optionError));
+  }
+
+  session.items.push({
+    participant: req.user._id,
+    menuItem: menuItem._id,
+    quantity,
+    variant,
+    addOns: addOns || [],
+    customizations: customizations || [],
+    bundleSelections: bundleSelections || [],
+    specialInstructions,
+  });
+  await session.save();
+
+  res.status(201).json(
+    formatResponse(true, "Item added to group order", {
+      groupOrder: await buildGroupSummary(session),
+    })
+  );
+});
+
+// @desc    Change the quantity of an item in a group order
+// @route   PUT /api/group-orders/:id/items/:itemId
+// @access  Private/Customer
+export const updateGroupOrderItem = asyncHandler(async (req, res) => {
+  const { session, error, statusCode } = await loadSession(
+    req.params.id,
+    req.user
+  );
+  if (error) {
+    return res.status(statusCode).json(formatResponse(false, error));
+  }
+
+  const editError = getEditError(session);
+  if (editError) {
+    return res.status(400).json(formatResponse(false, editError));
+  }
+
+  // Participants change their own items; the host can change any
+  const line = session.items.id(req.params.itemId);
+  if (
+    !line ||
+    (!line.participant.equals(req.user._id) && !isHost(session, req.user))
+  ) {
+    return res.status(404).json(formatResponse(false, "Item not found"));
+  }
+
+  line.quantity = req.body.quantity;
+  await session.save();
+
+  res.json(
+    formatResponse(true, "Group order item updated", {
+      groupOrder: await buildGroupSummary(session),
+    })
+  );
+});
+
+// @desc    Remove an item from a group order
+// @route   DELETE /api/group-orders/:id/items/:itemId
+// @access  Private/Customer
+export const removeGroupOrderItem = asyncHandler(async (req, res) => {
+  const { session, error, statusCode } = await loadSession(
+    req.params.id,
+    req.user
+  );
+  if (error) {
+    return res.status(statusCode).json(formatResponse(false, error));
+  }
+
+  const editError = getEditError(session);
+  if (editError) {
+    return res.status(400).json(formatResponse(false, editError));
+  }
+
+  const line = session.items.id(req.params.itemId);
+  if (
+    !line ||
+    (!line.participant.equals(req.user._id) && !isHost(session, req.user))
+  ) {
+    return res.status(404).json(formatResponse(false, "Item not found"));
+  }
+
+  line.deleteOne();
+  await session.save();
+
+  res.json(
+    formatResponse(true, "Item removed from group order", {
+      groupOrder: await buildGroupSummary(session),
+    })
+  );
+});
+
+// @desc    Lock or unlock a group order for changes
+// @route   PUT /api/group-orders/:id/lock
+// @access  Private/Customer (host)
+export const lockGroupOrder = asyncHandler(async (req, res) => {
+  const { locked = true } = req.body;
+
+  const { session, error, statusCode } = await loadSession(
+    req.params.id,
+    req.user
+  );
+  if (error) {
+    return res.status(statusCode).json(formatResponse(false, error));
+  }
+
+  if (!isHost(session, req.user)) {
+    return res
+      .status(403)
+      .json(formatResponse(false, "Only the host can lock the group order"));
+  }
+
+  const fromStatus = locked ? "open" : "locked";
+  if (session.status !== fromStatus) {
+    return res
+      .status(400)
+      .json(formatResponse(false, `Group order is ${session.status}`));
+  }
+
+  if (locked && session.items.length === 0) {
+    return res
+      .status(400)
+      .json(formatResponse(false, "Add items before locking the group order"));
+  }
+
+  session.status = locked ? "locked" : "open";
+  session.lockedAt = locked ? new Date() : undefined;
+  await session.save();
+
+  res.json(
+    formatResponse(
+      true,
+      locked ? "Group order locked" : "Group order reopened",
+      { groupOrder: await buildGroupSummary(session) }
+    )
+  );
+});
+
+// @desc    Place the order for a locked group order
+// @route   POST /api/group-orders/:id/checkout
+// @access  Private/Customer (host)
+export const checkoutGroupOrder = asyncHandler(async (req, res) => {
+  const { paymentMethod, specialInstructions, couponCode, scheduledFor } =
+    req.body;
+
+  const { session, error, statusCode } = await loadSession(
+    req.params.id,
+    req.user
+  );
+  if (error) {
+    return res.status(statusCode).json(formatResponse(false, error));
+  }
+
+  if (!isHost(session, req.user)) {
+    return res
+      .status(403)
+      .json(formatResponse(false, "Only the host can place the order"));
+  }
+
+  if (session.status !== "locked") {
+    return res
+      .status(400)
+      .json(formatResponse(false, "Lock the group order before checking out"));
+  }
+
+  if (session.expiresAt <= new Date()) {
+    return res
+      .status(400)
+      .json(formatResponse(false, "Group order has expired"));
+  }
+
+  if (session.paymentMode === "split" && paymentMethod === "cash_on_delivery") {
+    return res
+      .status(400)
+      .json(formatResponse(false, "Split payments must be paid online"));
+  }
+
+  // Claim the session so it can only be ordered once
+  const claimed = await GroupOrder.findOneAndUpdate(
+    { _id: session._id, status: "locked" },
+    { status: "ordered" },
+    { new: true }
+  );
+  if (!claimed) {
+    return res
+      .status(409)
+      .json(formatResponse(false, "Group order has already been placed"));
+  }
+
+  // Hand the session back to the host if the order can't be placed
+  const releaseClaim = () =>
+    GroupOrder.updateOne(
+      { _id: session._id, status: "ordered" },
+      { status: "locked" }
+    );
+
+  let result;
+  try {
+    result = await placeOrder({
+      customer: session.host,
+      restaurant: session.restaurant,
+      deliveryAddress: session.deliveryAddress,
+      items: session.items,
+      paymentMethod,
+      specialInstructions,
+      couponCode,
+      scheduledFor,
+      group: {
+        groupOrder: session._id,
+        paymentMode: session.paymentMode,
+        splitShares: (orderItems, pricing) =>
+          calculateShares(session.participants, orderItems, pricing),
+      },
+    });
+  } catch (error) {
+    await releaseClaim();
+    throw error;
+  }
+
+  if (result.error) {
+    await releaseClaim();
+    return res
+      .status(result.statusCode)
+      .json(formatResponse(false, result.error, null, result.meta || null));
+  }
+
+  claimed.order = result.order._id;
+  await claimed.save();
+
+  const order = await Order.findById(result.order._id)
+    .populate("customer", "name phoneNumber")
+    .populate("restaurant", "name phoneNumber address")
+    .populate("deliveryAddress")
+    .populate("items.menuItem", "name images")
+    .populate("items.participant", "name");
+
+  res
+    .status(201)
+    .json(formatResponse(true, "Group order placed successfully", { order }));
+});
+
+// @desc    Cancel a group order that hasn't been placed
+// @route   DELETE /api/group-orders/:id
+// @access  Private/Customer (host)
+export const cancelGroupOrder = asyncHandler(async (req, res) => {
+  const { session, error, statusCode } = await loadSession(
+    req.params.id,
+    req.user
+  );
+  if (error) {
+    return res.status(statusCode).json(formatResponse(false, error));
+  }
+
+  if (!isHost(session, req.user)) {
+    return res
+      .status(403)
+      .json(formatResponse(false, "Only the host can cancel the group order"));
+  }
+
+  if (!["open", "locked"].includes(session.status)) {
+    return res
+      .status(400)
+      .json(formatResponse(false, `Group order is ${session.status}`));
+  }
+
+  session.status = "cancelled";
+  await session.save();
+
+  res.json(formatResponse(true, "Group order cancelled"));
+});
@@ -6,3 +6,9 @@ export * from "./orderController.js";
 export * from "./categoryController.js";
 export * from "./reviewController.js";
 export * from "./deliveryPartnerController.js";
+export * from "./cartController.js";
+export * from "./couponController.js";
+export * from "./paymentController.js";
+export * from "./refundController.js";
+export * from "./payoutController.js";
+export * from "./settlementController.js";
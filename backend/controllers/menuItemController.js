@@ -6,6 +6,12 @@ import {
   getPaginationMeta,
   calculateDistance,
 } from "../utils/helpers.js";
+import {
+  BUNDLE_COMPONENT_FIELDS,
+  getBundleSlotsError,
+} from "../services/bundleService.js";
+import { isOnSchedule } from "../services/menuAvailabilityService.js";
+import { getStockDay, isSoldOut } from "../services/inventoryService.js";
 
 // @desc    Create menu item
 // @route   POST /api/menu-items
@@ -26,6 +32,16 @@ export const createMenuItem = asyncHandler(async (req, res) => {
     return res.status(403).json(formatResponse(false, "Access denied"));
   }
 
+  if (req.body.type === "bundle") {
+    const bundleError = await getBundleSlotsError(
+      restaurant._id,
+      req.body.bundleSlots
+    );
+    if (bundleError) {
+      return res.status(400).json(formatResponse(false, bundleError));
+    }
+  }
+
   const menuItem = await MenuItem.create({
     ...req.body,
     restaurant: restaurantId,
@@ -142,7 +158,8 @@ export const getMenuItems = asyncHandler(async (req, res) => {
 export const getMenuItem = asyncHandler(async (req, res) => {
   const menuItem = await MenuItem.findById(req.params.id)
     .populate("restaurant", "name rating deliveryTime deliveryFee")
-    .populate("category", "name");
+    .populate("category", "name")
+    .populate("bundleSlots.options.menuItem", BUNDLE_COMPONENT_FIELDS);
 
   if (!menuItem) {
     return res.status(404).json(formatResponse(false, "Menu item not found"));
@@ -174,6 +191,20 @@ export const updateMenuItem = asyncHandler(async (req, res) => {
   }
 
   Object.assign(menuItem, req.body);
+
+  if (
+    menuItem.type === "bundle" &&
+    (menuItem.isModified("type") || menuItem.isModified("bundleSlots"))
+  ) {
+    const bundleError = await getBundleSlotsError(
+      menuItem.restaurant._id,
+      menuItem.bundleSlots
+    );
+    if (bundleError) {
+      return res.status(400).json(formatResponse(false, bundleError));
+    }
+  }
+
   const updatedMenuItem = await menuItem.save();
   await updatedMenuItem.populate("category", "name");
 
@@ -204,6 +235,21 @@ export const deleteMenuItem = asyncHandler(async (req, res) => {
     return res.status(403).json(formatResponse(false, "Access denied"));
   }
 
+  // Combos would be left with a slot that can't be filled
+  const bundle = await MenuItem.findOne({
+    "bundleSlots.options.menuItem": menuItem._id,
+  }).select("name");
+  if (bundle) {
+    return res
+      .status(400)
+      .json(
+        formatResponse(
+          false,
+          `${menuItem.name} is part of the combo ${bundle.name}. Remove it from the combo first`
+        )
+      );
+  }
+
   await MenuItem.findByIdAndDelete(req.params.id);
 
   res.json(formatResponse(true, "Menu item deleted successfully"));
@@ -292,6 +338,116 @@ export const getMyMenuItems = asyncHandler(async (req, res) => {
   );
 });
 
+// @desc    Set up stock tracking or adjust the stock of a menu item
+// @route   PUT /api/menu-items/:id/stock
+// @access  Private/Restaurant Owner
+export const updateMenuItemStock = asyncHandler(async (req, res) => {
+  const { isTracked, quantity, adjustment, parLevel, lowStockThreshold } =
+    req.body;
+
+  const menuItem = await MenuItem.findById(req.params.id).populate(
+    "restaurant"
+  );
+
+  if (!menuItem) {
+    return res.status(404).json(formatResponse(false, "Menu item not found"));
+  }
+
+  // Check ownership
+  if (
+    menuItem.restaurant.owner.toString() !== req.user._id.toString() &&
+    req.user.role !== "admin"
+  ) {
+    return res.status(403).json(formatResponse(false, "Access denied"));
+  }
+
+  const set = {};
+  if (isTracked !== undefined) set["stock.isTracked"] = isTracked;
+  if (quantity !== undefined) set["stock.quantity"] = quantity;
+  if (lowStockThreshold !== undefined) {
+    set["stock.lowStockThreshold"] = lowStockThreshold;
+  }
+  if (parLevel !== undefined) {
+    set["stock.parLevel"] = parLevel;
+    // Start counting today from the par level unless a count is given
+    if (parLevel !== null) {
+      set["stock.resetDate"] = getStockDay(
+        new Date(),
+        menuItem.restaurant.timezone
+      );
+      if (quantity === undefined && adjustment === undefined) {
+        set["stock.quantity"] = parLevel;
+      }
+    }
+  }
+
+  // Adjustments are applied atomically so orders placed meanwhile aren't
+  // lost, and can't take the count below zero
+  const filter = { _id: menuItem._id };
+  if (adjustment < 0) {
+    filter["stock.quantity"] = { $gte: -adjustment };
+  }
+
+  const updated = await MenuItem.findOneAndUpdate(
+    filter,
+    {
+      ...(Object.keys(set).length > 0 && { $set: set }),
+      ...(adjustment !== undefined && {
+        $inc: { "stock.quantity": adjustment },
+      }),
+    },
+    { new: true, runValidators: true }
+  ).select("name isAvailable stock");
+
+  if (!updated) {
+    return res
+      .status(400)
+      .json(
+        formatResponse(
+          false,
+          `Only ${
+            menuItem.stock.quantity
+          } in stock, can't remove ${-adjustment}`
+        )
+      );
+  }
+
+  res.json(
+    formatResponse(true, "Stock updated successfully", {
+      menuItem: updated,
+      isSoldOut: isSoldOut(updated),
+    })
+  );
+});
+
+// @desc    Get tracked menu items at or below their low stock threshold
+// @route   GET /api/menu-items/my/low-stock
+// @access  Private/Restaurant Owner
+export const getLowStockMenuItems = asyncHandler(async (req, res) => {
+  const restaurant = await Restaurant.findOne({ owner: req.user._id });
+
+  if (!restaurant) {
+    return res
+      .status(404)
+      .json(formatResponse(false, "No restaurant found for your account"));
+  }
+
+  const menuItems = await MenuItem.find({
+    restaurant: restaurant._id,
+    "stock.isTracked": true,
+    $expr: { $lte: ["$stock.quantity", "$stock.lowStockThreshold"] },
+  })
+    .select("name isAvailable stock")
+    .sort({ "stock.quantity": 1, name: 1 });
+
+  res.json(
+    formatResponse(true, "Low stock items retrieved successfully", {
+      menuItems,
+      soldOut: menuItems.filter(isSoldOut).length,
+    })
+  );
+});
+
 // @desc    Bulk update menu items
 // @route   PUT /api/menu-items/bulk-update
 // @access  Private/Restaurant Owner
@@ -408,11 +564,20 @@ export const searchMenuItems = asyncHandler(async (req, res) => {
     query.restaurant = { $in: restaurantIds };
   }
 
-  const menuItems = await MenuItem.find(query)
-    .populate("restaurant", "name rating deliveryTime deliveryFee")
-    .populate("category", "name")
-    .sort({ "rating.average": -1, totalOrders: -1 })
-    .limit(50);
+  // Leave out items that aren't on their schedule right now or are sold out
+  const menuItems = (
+    await MenuItem.find(query)
+      .populate("restaurant", "name rating deliveryTime deliveryFee timezone")
+      .populate("category", "name availability")
+      .sort({ "rating.average": -1, totalOrders: -1 })
+      .limit(100)
+  )
+    .filter(
+      (menuItem) =>
+        isOnSchedule(menuItem, new Date(), menuItem.restaurant?.timezone) &&
+        !isSoldOut(menuItem)
+    )
+    .slice(0, 50);
 
   res.json(
     formatResponse(true, "Search results retrieved successfully", { menuItems })
@@ -1,175 +1,129 @@
 import asyncHandler from "express-async-handler";
 import {
   Order,
-  MenuItem,
   Restaurant,
-  Address,
-  User,
   DeliveryPartner,
+  Cart,
+  DispatchOffer,
+  Invoice,
+  Refund,
+  Payment,
 } from "../models/index.js";
+import { formatResponse, getPaginationMeta } from "../utils/helpers.js";
+import { placeOrder } from "../services/orderService.js";
 import {
-  formatResponse,
-  generateOTP,
-  getPaginationMeta,
-} from "../utils/helpers.js";
+  getActorRoles,
+  transitionOrder,
+} from "../services/orderStateMachine.js";
+import { assignPartner } from "../services/dispatchService.js";
+import {
+  publishOrderEvent,
+  subscribeToOrder,
+} from "../services/orderEvents.js";
+import { getOrderTrail } from "../services/trackingService.js";
+import {
+  claimDeliverySlot,
+  releaseDeliverySlot,
+  validateDeliverySlot,
+} from "../services/scheduledOrderService.js";
+import {
+  buildInvoicePdf,
+  issueCreditNote,
+  issueInvoice,
+} from "../services/invoiceService.js";
+import {
+  applyOrderModification,
+  checkOrderItemsAt,
+  getModificationError,
+  needsRestaurantApproval,
+  requestOrderModification,
+  respondToModification,
+} from "../services/orderModificationService.js";
+import { getTipError } from "../services/tipService.js";
+import { buildKitchenTicket } from "../services/bundleService.js";
+import { isValidOrderNumber } from "../services/orderNumberService.js";
+import { createPaymentIntent } from "../services/paymentService.js";
+import {
+  buildCartItemsFromOrder,
+  buildCartSummary,
+} from "../services/cartService.js";
 
 // @desc    Create new order
 // @route   POST /api/orders
 // @access  Private/Customer
 export const createOrder = asyncHandler(async (req, res) => {
   const {
-    restaurant,
-    items,
+    cart: cartId,
     deliveryAddress,
     paymentMethod,
     specialInstructions,
+    couponCode,
+    scheduledFor,
+    tip,
   } = req.body;
-
-  // Verify restaurant exists and is active
-  const restaurantData = await Restaurant.findById(restaurant);
-  if (!restaurantData || !restaurantData.isActive) {
-    return res
-      .status(400)
-      .json(formatResponse(false, "Restaurant not available"));
-  }
-
-  // Verify delivery address belongs to user
-  const address = await Address.findOne({
-    _id: deliveryAddress,
-    user: req.user._id,
-  });
-  if (!address) {
-    return res
-      .status(400)
-      .json(formatResponse(false, "Invalid delivery address"));
-  }
-
-  // Verify and calculate order items
-  let subtotal = 0;
-  const orderItems = [];
-
-  for (let item of items) {
-    const menuItem = await MenuItem.findById(item.menuItem);
-    if (!menuItem || !menuItem.isAvailable) {
+  let { restaurant, items } = req.body;
+
+  // Checkout from the saved cart when a cart ID is given. The cart is
+  // emptied atomically up front so a concurrent checkout finds nothing to
+  // order; its lines are put back if the order can't be placed.
+  let cart;
+  if (cartId) {
+    cart = await Cart.findOneAndUpdate(
+      { _id: cartId, user: req.user._id, "items.0": { $exists: true } },
+      { $set: { items: [] }, $unset: { restaurant: 1 } }
+    );
+    if (!cart) {
       return res
         .status(400)
-        .json(
-          formatResponse(
-            false,
-            `Menu item ${menuItem?.name || "not found"} is not available`
-          )
-        );
-    }
-
-    let itemPrice = menuItem.price;
-    let itemTotal = 0;
-
-    // Calculate variant price
-    if (item.variant) {
-      const variant = menuItem.variants.find(
-        (v) => v.name === item.variant.name
-      );
-      if (variant) {
-        itemPrice = variant.discountedPrice || variant.price;
-      }
-    }
-
-    // Calculate base item total
-    itemTotal = itemPrice * item.quantity;
-
-    // Add add-ons
-    if (item.addOns && item.addOns.length > 0) {
-      for (let addOn of item.addOns) {
-        const menuAddOn = menuItem.addOns.find((a) => a.name === addOn.name);
-        if (menuAddOn && menuAddOn.isAvailable) {
-          itemTotal += menuAddOn.price * item.quantity;
-        }
-      }
+        .json(formatResponse(false, "Cart not found or empty"));
     }
+    restaurant = cart.restaurant;
+    items = cart.items;
+  }
 
-    // Apply customizations
-    if (item.customizations && item.customizations.length > 0) {
-      for (let customization of item.customizations) {
-        for (let option of customization.selectedOptions) {
-          itemTotal += (option.priceModifier || 0) * item.quantity;
-        }
+  // Lines added meanwhile are kept, unless they're from another restaurant
+  const restoreCart = () =>
+    cart &&
+    Cart.updateOne(
+      {
+        _id: cart._id,
+        $or: [
+          { "items.0": { $exists: false } },
+          { restaurant: cart.restaurant },
+        ],
+      },
+      {
+        $set: { restaurant: cart.restaurant },
+        $push: { items: { $each: cart.items } },
       }
-    }
+    );
 
-    orderItems.push({
-      menuItem: menuItem._id,
-      name: menuItem.name,
-      price: itemPrice,
-      quantity: item.quantity,
-      variant: item.variant,
-      addOns: item.addOns || [],
-      customizations: item.customizations || [],
-      specialInstructions: item.specialInstructions,
-      itemTotal,
+  let result;
+  try {
+    result = await placeOrder({
+      customer: req.user._id,
+      restaurant,
+      deliveryAddress,
+      items,
+      paymentMethod,
+      specialInstructions,
+      couponCode,
+      scheduledFor,
+      tip,
     });
-
-    subtotal += itemTotal;
+  } catch (error) {
+    await restoreCart();
+    throw error;
   }
 
-  // Check minimum order value
-  if (subtotal < restaurantData.minimumOrder) {
+  if (result.error) {
+    await restoreCart();
     return res
-      .status(400)
-      .json(
-        formatResponse(
-          false,
-          `Minimum order value is ₹${restaurantData.minimumOrder}`
-        )
-      );
+      .status(result.statusCode)
+      .json(formatResponse(false, result.error, null, result.meta || null));
   }
 
-  // Calculate pricing
-  const deliveryFee = restaurantData.deliveryFee || 0;
-  const platformFee = Math.round(subtotal * 0.02); // 2% platform fee
-  const packagingFee = 10;
-
-  // Calculate taxes (assuming 5% GST)
-  const taxRate = 0.05;
-  const cgst = Math.round(((subtotal * taxRate) / 2) * 100) / 100;
-  const sgst = Math.round(((subtotal * taxRate) / 2) * 100) / 100;
-
-  const total =
-    subtotal + deliveryFee + platformFee + packagingFee + cgst + sgst;
-
-  // Calculate estimated delivery time
-  const estimatedDeliveryTime = new Date();
-  estimatedDeliveryTime.setMinutes(
-    estimatedDeliveryTime.getMinutes() +
-      (restaurantData.deliveryTime.min + restaurantData.deliveryTime.max) / 2
-  );
-
-  // Generate OTP for delivery
-  const otpCode = generateOTP(4);
-  const otpExpiresAt = new Date();
-  otpExpiresAt.setMinutes(otpExpiresAt.getMinutes() + 30); // OTP valid for 30 minutes
-
-  // Create order
-  const order = await Order.create({
-    customer: req.user._id,
-    restaurant: restaurant,
-    items: orderItems,
-    deliveryAddress: deliveryAddress,
-    paymentMethod,
-    specialInstructions,
-    pricing: {
-      subtotal,
-      deliveryFee,
-      taxes: { cgst, sgst, igst: 0 },
-      platformFee,
-      packagingFee,
-      total,
-    },
-    estimatedDeliveryTime,
-    otp: {
-      code: otpCode,
-      expiresAt: otpExpiresAt,
-    },
-  });
+  const { order } = result;
 
   // Populate order details
   const populatedOrder = await Order.findById(order._id)
@@ -178,13 +132,11 @@ export const createOrder = asyncHandler(async (req, res) => {
     .populate("deliveryAddress")
     .populate("items.menuItem", "name images");
 
-  res
-    .status(201)
-    .json(
-      formatResponse(true, "Order created successfully", {
-        order: populatedOrder,
-      })
-    );
+  res.status(201).json(
+    formatResponse(true, "Order created successfully", {
+      order: populatedOrder,
+    })
+  );
 });
 
 // @desc    Get user orders
@@ -223,10 +175,15 @@ export const getMyOrders = asyncHandler(async (req, res) => {
 });
 
 // @desc    Get single order
-// @route   GET /api/orders/:id
+// @route   GET /api/orders/:id (order ID or order number)
 // @access  Private
 export const getOrder = asyncHandler(async (req, res) => {
-  const order = await Order.findById(req.params.id)
+  // Orders can also be looked up by their number, e.g. from a support call
+  const order = await Order.findOne(
+    isValidOrderNumber(req.params.id)
+      ? { orderNumber: req.params.id }
+      : { _id: req.params.id }
+  )
     .populate("customer", "name phoneNumber email")
     .populate("restaurant", "name phoneNumber address images")
     .populate("deliveryAddress")
@@ -240,6 +197,7 @@ export const getOrder = asyncHandler(async (req, res) => {
   // Check if user has access to this order
   const hasAccess =
     order.customer._id.toString() === req.user._id.toString() ||
+    order.group?.shares.some((share) => share.user.equals(req.user._id)) ||
     order.restaurant.owner?.toString() === req.user._id.toString() ||
     order.deliveryPartner?.user?.toString() === req.user._id.toString() ||
     req.user.role === "admin";
@@ -251,74 +209,212 @@ export const getOrder = asyncHandler(async (req, res) => {
   res.json(formatResponse(true, "Order retrieved successfully", { order }));
 });
 
-// @desc    Update order status
-// @route   PUT /api/orders/:id/status
+// @desc    Get the tax invoice, or a credit note for a refund, as JSON or PDF
+// @route   GET /api/orders/:id/invoice?type=&refund=&format=
 // @access  Private
-export const updateOrderStatus = asyncHandler(async (req, res) => {
-  const { status, reason } = req.body;
+export const getOrderInvoice = asyncHandler(async (req, res) => {
+  const { type = "invoice", refund: refundId, format = "json" } = req.query;
 
   const order = await Order.findById(req.params.id)
-    .populate("restaurant", "owner")
-    .populate("deliveryPartner", "user");
+    .select("customer restaurant")
+    .populate("restaurant", "owner");
 
   if (!order) {
     return res.status(404).json(formatResponse(false, "Order not found"));
   }
 
-  // Check permissions for status updates
-  const canUpdate =
-    req.user.role === "admin" ||
+  const hasAccess =
+    order.customer.toString() === req.user._id.toString() ||
     order.restaurant.owner?.toString() === req.user._id.toString() ||
-    order.deliveryPartner?.user?.toString() === req.user._id.toString() ||
-    (status === "cancelled" &&
-      order.customer.toString() === req.user._id.toString());
+    req.user.role === "admin";
 
-  if (!canUpdate) {
+  if (!hasAccess) {
     return res.status(403).json(formatResponse(false, "Access denied"));
   }
 
-  // Validate status transitions
-  const validTransitions = {
-    pending: ["confirmed", "cancelled"],
-    confirmed: ["preparing", "cancelled"],
-    preparing: ["ready_for_pickup", "cancelled"],
-    ready_for_pickup: ["out_for_delivery", "cancelled"],
-    out_for_delivery: ["delivered", "cancelled"],
-    delivered: [],
-    cancelled: [],
-    refunded: [],
-  };
+  let result;
+  if (type === "credit_note") {
+    // Without a refund id, the credit note for the latest processed refund
+    const refund = await Refund.findOne({
+      order: order._id,
+      status: "processed",
+      ...(refundId && { _id: refundId }),
+    }).sort({ processedAt: -1 });
+
+    if (!refund) {
+      return res
+        .status(404)
+        .json(formatResponse(false, "No processed refund for this order"));
+    }
+    result = await issueCreditNote(refund);
+  } else {
+    result = await issueInvoice(order._id);
+  }
 
-  if (!validTransitions[order.orderStatus].includes(status)) {
+  if (result.error) {
     return res
-      .status(400)
-      .json(
-        formatResponse(
-          false,
-          `Cannot change status from ${order.orderStatus} to ${status}`
+      .status(result.statusCode)
+      .json(formatResponse(false, result.error));
+  }
+
+  const { invoice } = result;
+
+  if (format === "pdf") {
+    res.set({
+      "Content-Type": "application/pdf",
+      "Content-Disposition": `attachment; filename="${invoice.invoiceNumber.replace(
+        /\//g,
+        "-"
+      )}.pdf"`,
+    });
+    return res.send(buildInvoicePdf(invoice));
+  }
+
+  // Credit notes already issued for the order, so clients can list them
+  const creditNotes =
+    invoice.type === "invoice"
+      ? await Invoice.find({ order: order._id, type: "credit_note" }).select(
+          "invoiceNumber refund totals.total issuedAt"
         )
-      );
+      : undefined;
+
+  res.json(
+    formatResponse(true, "Invoice retrieved successfully", {
+      invoice,
+      creditNotes,
+    })
+  );
+});
+
+// @desc    Get the delivery route and last known position of an order
+// @route   GET /api/orders/:id/track
+// @access  Private
+export const getOrderTrack = asyncHandler(async (req, res) => {
+  const order = await Order.findById(req.params.id)
+    .populate("restaurant", "owner address.coordinates")
+    .populate("deliveryAddress", "coordinates")
+    .populate("deliveryPartner", "user availability.currentLocation");
+
+  if (!order) {
+    return res.status(404).json(formatResponse(false, "Order not found"));
   }
 
-  order.orderStatus = status;
+  const hasAccess =
+    order.customer.toString() === req.user._id.toString() ||
+    order.restaurant.owner?.toString() === req.user._id.toString() ||
+    order.deliveryPartner?.user?.toString() === req.user._id.toString() ||
+    req.user.role === "admin";
 
-  // Handle cancellation
-  if (status === "cancelled") {
-    order.cancellationReason = "customer_request"; // or other reasons
-    order.cancellationDetails = {
-      reason: reason || "No reason provided",
-      cancelledBy: req.user.role,
-      refundAmount: order.pricing.total,
-      refundStatus: "pending",
+  if (!hasAccess) {
+    return res.status(403).json(formatResponse(false, "Access denied"));
+  }
+
+  const trail = await getOrderTrail(order._id);
+
+  // Fall back to the partner's live position before any points arrive
+  const currentLocation = order.deliveryPartner?.availability?.currentLocation;
+  const isActive = !["delivered", "cancelled", "refunded"].includes(
+    order.orderStatus
+  );
+  if (!trail.lastPosition && isActive && currentLocation?.latitude != null) {
+    trail.lastPosition = {
+      latitude: currentLocation.latitude,
+      longitude: currentLocation.longitude,
+      recordedAt: currentLocation.lastUpdated,
     };
   }
 
-  // Set delivery time for delivered orders
-  if (status === "delivered") {
-    order.actualDeliveryTime = new Date();
+  res.json(
+    formatResponse(true, "Order route retrieved successfully", {
+      orderStatus: order.orderStatus,
+      estimatedDeliveryTime: order.estimatedDeliveryTime,
+      actualDeliveryTime: order.actualDeliveryTime,
+      pickup: order.restaurant.address?.coordinates,
+      dropoff: order.deliveryAddress?.coordinates,
+      ...trail,
+    })
+  );
+});
+
+// @desc    Stream live order updates (Server-Sent Events)
+// @route   GET /api/orders/:id/stream
+// @access  Private
+export const streamOrderUpdates = asyncHandler(async (req, res) => {
+  const order = await Order.findById(req.params.id)
+    .populate("restaurant", "owner")
+    .populate("deliveryPartner", "user availability.currentLocation");
+
+  if (!order) {
+    return res.status(404).json(formatResponse(false, "Order not found"));
+  }
+
+  const canFollow =
+    order.customer.toString() === req.user._id.toString() ||
+    order.restaurant.owner?.toString() === req.user._id.toString() ||
+    order.deliveryPartner?.user?.toString() === req.user._id.toString() ||
+    req.user.role === "admin";
+
+  if (!canFollow) {
+    return res.status(403).json(formatResponse(false, "Access denied"));
   }
 
-  await order.save();
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Current state first, so clients don't need a separate fetch
+  send("snapshot", {
+    status: order.orderStatus,
+    timeline: order.timeline,
+    estimatedDeliveryTime: order.estimatedDeliveryTime,
+    location: order.deliveryPartner?.availability?.currentLocation,
+  });
+
+  const unsubscribe = subscribeToOrder(order._id, ({ type, data }) =>
+    send(type, data)
+  );
+
+  // Keep proxies from closing an idle connection
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), 25000);
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+// @desc    Update order status
+// @route   PUT /api/orders/:id/status
+// @access  Private
+export const updateOrderStatus = asyncHandler(async (req, res) => {
+  const { status, reason } = req.body;
+
+  const order = await Order.findById(req.params.id)
+    .populate("restaurant", "owner")
+    .populate("deliveryPartner", "user");
+
+  if (!order) {
+    return res.status(404).json(formatResponse(false, "Order not found"));
+  }
+
+  const result = await transitionOrder(order, status, {
+    user: req.user,
+    reason,
+  });
+
+  if (result.error) {
+    return res
+      .status(result.statusCode)
+      .json(formatResponse(false, result.error));
+  }
 
   res.json(
     formatResponse(true, "Order status updated successfully", { order })
@@ -356,11 +452,87 @@ export const assignDeliveryPartner = asyncHandler(async (req, res) => {
       .json(formatResponse(false, "Delivery partner not available"));
   }
 
-  order.deliveryPartner = deliveryPartnerId;
-  await order.save();
+  const result = await assignPartner(order, deliveryPartner);
+  if (result.error) {
+    return res
+      .status(result.statusCode)
+      .json(formatResponse(false, result.error));
+  }
 
   res.json(
-    formatResponse(true, "Delivery partner assigned successfully", { order })
+    formatResponse(true, "Delivery partner assigned successfully", {
+      order: result.order,
+    })
+  );
+});
+
+// @desc    Get dispatch offers made for an order
+// @route   GET /api/orders/:id/dispatch-offers
+// @access  Private/Restaurant Owner
+export const getDispatchOffers = asyncHandler(async (req, res) => {
+  const order = await Order.findById(req.params.id).populate(
+    "restaurant",
+    "owner"
+  );
+
+  if (!order) {
+    return res.status(404).json(formatResponse(false, "Order not found"));
+  }
+
+  if (
+    order.restaurant.owner.toString() !== req.user._id.toString() &&
+    req.user.role !== "admin"
+  ) {
+    return res.status(403).json(formatResponse(false, "Access denied"));
+  }
+
+  const offers = await DispatchOffer.find({ order: order._id })
+    .populate({
+      path: "deliveryPartner",
+      select: "user vehicleInfo.type",
+      populate: { path: "user", select: "name phoneNumber" },
+    })
+    .sort({ createdAt: 1 });
+
+  res.json(
+    formatResponse(true, "Dispatch offers retrieved successfully", {
+      dispatch: order.dispatch,
+      offers,
+    })
+  );
+});
+
+// @desc    Get the kitchen ticket for an order, with combos broken down
+// into their component items
+// @route   GET /api/orders/:id/ticket
+// @access  Private/Restaurant Owner
+export const getOrderTicket = asyncHandler(async (req, res) => {
+  const order = await Order.findById(req.params.id).populate(
+    "restaurant",
+    "owner"
+  );
+
+  if (!order) {
+    return res.status(404).json(formatResponse(false, "Order not found"));
+  }
+
+  if (
+    order.restaurant.owner.toString() !== req.user._id.toString() &&
+    req.user.role !== "admin"
+  ) {
+    return res.status(403).json(formatResponse(false, "Access denied"));
+  }
+
+  res.json(
+    formatResponse(true, "Order ticket retrieved successfully", {
+      ticket: {
+        orderNumber: order.orderNumber,
+        orderStatus: order.orderStatus,
+        scheduledFor: order.scheduledFor,
+        specialInstructions: order.specialInstructions,
+        items: buildKitchenTicket(order),
+      },
+    })
   );
 });
 
@@ -429,35 +601,327 @@ export const cancelOrder = asyncHandler(async (req, res) => {
     return res.status(404).json(formatResponse(false, "Order not found"));
   }
 
-  // Check if user can cancel this order
-  const canCancel =
-    order.customer.toString() === req.user._id.toString() ||
-    req.user.role === "admin";
+  const result = await transitionOrder(order, "cancelled", {
+    user: req.user,
+    reason: reason || "Customer requested cancellation",
+  });
+
+  if (result.error) {
+    return res
+      .status(result.statusCode)
+      .json(formatResponse(false, result.error));
+  }
+
+  res.json(formatResponse(true, "Order cancelled successfully", { order }));
+});
+
+// @desc    Move a scheduled order to another delivery slot
+// @route   PUT /api/orders/:id/schedule
+// @access  Private/Customer
+export const rescheduleOrder = asyncHandler(async (req, res) => {
+  const order = await Order.findOne({
+    _id: req.params.id,
+    customer: req.user._id,
+  }).populate("restaurant");
+
+  if (!order) {
+    return res.status(404).json(formatResponse(false, "Order not found"));
+  }
+
+  if (order.orderStatus !== "scheduled") {
+    return res
+      .status(400)
+      .json(
+        formatResponse(
+          false,
+          "Only orders not yet sent to the restaurant can be rescheduled"
+        )
+      );
+  }
+
+  const slot = await validateDeliverySlot(
+    order.restaurant,
+    new Date(req.body.scheduledFor),
+    { excludeOrder: order._id }
+  );
+  if (slot.error) {
+    return res.status(slot.statusCode).json(formatResponse(false, slot.error));
+  }
+
+  // The items must be on the menu at the new time too
+  const itemsError = await checkOrderItemsAt(order, slot.scheduledFor);
+  if (itemsError) {
+    return res
+      .status(itemsError.statusCode)
+      .json(
+        formatResponse(false, itemsError.error, null, itemsError.meta || null)
+      );
+  }
+
+  const previousSlot = order.scheduledFor;
+  const movesSlot = previousSlot.getTime() !== slot.scheduledFor.getTime();
+  if (
+    movesSlot &&
+    !(await claimDeliverySlot(order.restaurant, slot.scheduledFor))
+  ) {
+    return res
+      .status(409)
+      .json(formatResponse(false, "This delivery slot is full"));
+  }
+
+  order.scheduledFor = slot.scheduledFor;
+  order.releaseAt = slot.releaseAt;
+  order.estimatedDeliveryTime = slot.scheduledFor;
+  order.otp.expiresAt = new Date(slot.scheduledFor.getTime() + 30 * 60 * 1000);
+
+  // Only while the order is still waiting to be sent to the restaurant
+  order.$where = { orderStatus: "scheduled" };
+  try {
+    await order.save();
+  } catch (error) {
+    if (movesSlot) {
+      await releaseDeliverySlot(order.restaurant._id, slot.scheduledFor);
+    }
+    if (error.name !== "DocumentNotFoundError") throw error;
+    return res
+      .status(409)
+      .json(
+        formatResponse(
+          false,
+          "Order has already been sent to the restaurant, refresh and try again"
+        )
+      );
+  } finally {
+    order.$where = undefined;
+  }
+
+  if (movesSlot) {
+    await releaseDeliverySlot(order.restaurant._id, previousSlot);
+  }
+
+  publishOrderEvent(order._id, "eta", {
+    estimatedDeliveryTime: order.estimatedDeliveryTime,
+  });
+
+  res.json(formatResponse(true, "Order rescheduled successfully", { order }));
+});
+
+// @desc    Change the items or instructions of an order before it is prepared
+// @route   PUT /api/orders/:id/modify
+// @access  Private/Customer
+export const modifyOrder = asyncHandler(async (req, res) => {
+  const { items, specialInstructions } = req.body;
+
+  const order = await Order.findOne({
+    _id: req.params.id,
+    customer: req.user._id,
+  });
+
+  if (!order) {
+    return res.status(404).json(formatResponse(false, "Order not found"));
+  }
+
+  const modificationError = getModificationError(order);
+  if (modificationError) {
+    return res.status(400).json(formatResponse(false, modificationError));
+  }
+
+  // Confirmed orders wait for the restaurant to accept the change
+  if (needsRestaurantApproval(order)) {
+    if (order.pendingModification?.requestedAt) {
+      return res
+        .status(409)
+        .json(
+          formatResponse(
+            false,
+            "A change is already waiting for the restaurant to respond"
+          )
+        );
+    }
 
-  if (!canCancel) {
+    const result = await requestOrderModification(order, {
+      items,
+      specialInstructions,
+    });
+    if (result.error) {
+      return res
+        .status(result.statusCode)
+        .json(formatResponse(false, result.error, null, result.meta || null));
+    }
+
+    return res.status(202).json(
+      formatResponse(true, "Change sent to the restaurant for approval", {
+        order,
+      })
+    );
+  }
+
+  const result = await applyOrderModification(
+    order,
+    { items, specialInstructions },
+    { user: req.user, role: "customer" }
+  );
+  if (result.error) {
+    return res
+      .status(result.statusCode)
+      .json(formatResponse(false, result.error, null, result.meta || null));
+  }
+
+  res.json(
+    formatResponse(true, "Order updated successfully", {
+      order,
+      refund: result.refund,
+      amountDue: result.amountDue,
+    })
+  );
+});
+
+// @desc    Accept or reject a customer's change to a confirmed order
+// @route   PUT /api/orders/:id/modification
+// @access  Private/Restaurant Owner
+export const respondToOrderModification = asyncHandler(async (req, res) => {
+  const { accept, reason } = req.body;
+
+  const order = await Order.findById(req.params.id);
+  if (!order) {
+    return res.status(404).json(formatResponse(false, "Order not found"));
+  }
+
+  const roles = await getActorRoles(order, req.user);
+  if (!roles.includes("restaurant") && !roles.includes("admin")) {
     return res.status(403).json(formatResponse(false, "Access denied"));
   }
 
-  // Check if order can be cancelled
-  const cancellableStatuses = ["pending", "confirmed", "preparing"];
-  if (!cancellableStatuses.includes(order.orderStatus)) {
+  const result = await respondToModification(order, accept, {
+    user: req.user,
+    reason,
+  });
+  if (result.error) {
+    return res
+      .status(result.statusCode)
+      .json(formatResponse(false, result.error, null, result.meta || null));
+  }
+
+  res.json(
+    formatResponse(
+      true,
+      accept ? "Order change accepted" : "Order change rejected",
+      { order, refund: result.refund, amountDue: result.amountDue }
+    )
+  );
+});
+
+// @desc    Tip the delivery partner after delivery
+// @route   POST /api/orders/:id/tip
+// @access  Private/Customer
+export const tipOrder = asyncHandler(async (req, res) => {
+  const { amount, paymentMethod } = req.body;
+
+  const order = await Order.findOne({
+    _id: req.params.id,
+    customer: req.user._id,
+  });
+
+  if (!order) {
+    return res.status(404).json(formatResponse(false, "Order not found"));
+  }
+
+  const tipError = await getTipError(order);
+  if (tipError) {
+    return res.status(400).json(formatResponse(false, tipError));
+  }
+
+  // Tips are paid online, by default the way the order was paid
+  const method =
+    paymentMethod ||
+    (order.paymentMethod !== "cash_on_delivery" ? order.paymentMethod : null);
+  if (!method) {
     return res
       .status(400)
-      .json(formatResponse(false, "Order cannot be cancelled at this stage"));
+      .json(formatResponse(false, "Choose how to pay the tip"));
   }
 
-  order.orderStatus = "cancelled";
-  order.cancellationReason = "customer_request";
-  order.cancellationDetails = {
-    reason: reason || "Customer requested cancellation",
-    cancelledBy: "customer",
-    refundAmount: order.pricing.total,
-    refundStatus: "pending",
-  };
+  // Only one tip per order, so drop any earlier unpaid attempt
+  await Payment.updateMany(
+    { order: order._id, purpose: "tip", status: "created" },
+    { status: "failed", failureReason: "Replaced by a new tip" }
+  );
 
-  await order.save();
+  const payment = await createPaymentIntent(order, {
+    amount,
+    purpose: "tip",
+    method,
+  });
 
-  res.json(formatResponse(true, "Order cancelled successfully", { order }));
+  res
+    .status(201)
+    .json(
+      formatResponse(
+        true,
+        "Tip created, capture the payment to send it to your delivery partner",
+        { payment }
+      )
+    );
+});
+
+// @desc    Fill the cart with the items of a past order
+// @route   POST /api/orders/:id/reorder
+// @access  Private/Customer
+export const reorderOrder = asyncHandler(async (req, res) => {
+  const { replaceCart = false } = req.body;
+
+  const order = await Order.findOne({
+    _id: req.params.id,
+    customer: req.user._id,
+  });
+
+  if (!order) {
+    return res.status(404).json(formatResponse(false, "Order not found"));
+  }
+
+  const cart =
+    (await Cart.findOne({ user: req.user._id })) ||
+    new Cart({ user: req.user._id, items: [] });
+
+  if (cart.items.length > 0 && !replaceCart) {
+    return res
+      .status(409)
+      .json(
+        formatResponse(
+          false,
+          "Your cart already has items, replace it to reorder"
+        )
+      );
+  }
+
+  const { items, unavailableItems, missingOptions, priceChanges } =
+    await buildCartItemsFromOrder(order);
+
+  if (items.length === 0) {
+    return res
+      .status(400)
+      .json(
+        formatResponse(
+          false,
+          "None of the items from this order are available",
+          null,
+          { unavailableItems }
+        )
+      );
+  }
+
+  cart.restaurant = order.restaurant;
+  cart.items = items;
+  await cart.save();
+
+  res.json(
+    formatResponse(true, "Items added to cart", {
+      cart: await buildCartSummary(cart),
+      unavailableItems,
+      missingOptions,
+      priceChanges,
+    })
+  );
 });
 
 // @desc    Verify delivery OTP
@@ -479,11 +943,16 @@ export const verifyDeliveryOTP = asyncHandler(async (req, res) => {
   }
 
   // Mark order as delivered
-  order.orderStatus = "delivered";
-  order.actualDeliveryTime = new Date();
-  order.otp = undefined; // Remove OTP after successful verification
+  const result = await transitionOrder(order, "delivered", {
+    user: req.user,
+    otpVerified: true,
+  });
 
-  await order.save();
+  if (result.error) {
+    return res
+      .status(result.statusCode)
+      .json(formatResponse(false, result.error));
+  }
 
   res.json(formatResponse(true, "Order delivered successfully", { order }));
 });
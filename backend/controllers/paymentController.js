@@ -0,0 +1,203 @@
+import asyncHandler from "express-async-handler";
+import { Order, Payment } from "../models/index.js";
+import { formatResponse } from "../utils/helpers.js";
+import {
+  createPaymentIntent,
+  getAmountPaid,
+  capturePayment,
+  refundPayment,
+  handleWebhook,
+} from "../services/paymentService.js";
+
+// @desc    Create payment intent for an order
+// @route   POST /api/payments/intents
+// @access  Private/Customer
+export const createIntent = asyncHandler(async (req, res) => {
+  const { orderId } = req.body;
+
+  const order = await Order.findById(orderId);
+  if (!order) {
+    return res.status(404).json(formatResponse(false, "Order not found"));
+  }
+
+  // Each participant in a split group order pays their own share
+  const share =
+    order.group?.paymentMode === "split"
+      ? order.group.shares.find((s) => s.user.equals(req.user._id))
+      : null;
+
+  if (
+    order.group?.paymentMode === "split"
+      ? !share
+      : order.customer.toString() !== req.user._id.toString()
+  ) {
+    return res.status(403).json(formatResponse(false, "Access denied"));
+  }
+
+  if (order.paymentMethod === "cash_on_delivery") {
+    return res
+      .status(400)
+      .json(
+        formatResponse(false, "Cash on delivery orders are paid on delivery")
+      );
+  }
+
+  if (
+    !["pending", "failed"].includes(order.paymentStatus) ||
+    ["cancelled", "refunded"].includes(order.orderStatus)
+  ) {
+    return res
+      .status(400)
+      .json(formatResponse(false, "Order is not awaiting payment"));
+  }
+
+  if (share?.paidAt) {
+    return res
+      .status(400)
+      .json(formatResponse(false, "Your share has already been paid"));
+  }
+
+  // Orders modified after payment only owe the difference
+  const amount = share
+    ? share.total
+    : Math.round((order.pricing.total - (await getAmountPaid(order))) * 100) /
+      100;
+
+  const payment = await createPaymentIntent(order, {
+    customer: req.user._id,
+    amount,
+  });
+
+  res.status(201).json(
+    formatResponse(true, "Payment intent created successfully", {
+      payment,
+    })
+  );
+});
+
+// @desc    Capture payment
+// @route   POST /api/payments/:id/capture
+// @access  Private/Customer
+export const captureIntent = asyncHandler(async (req, res) => {
+  const payment = await Payment.findById(req.params.id);
+
+  if (!payment) {
+    return res.status(404).json(formatResponse(false, "Payment not found"));
+  }
+
+  if (payment.customer.toString() !== req.user._id.toString()) {
+    return res.status(403).json(formatResponse(false, "Access denied"));
+  }
+
+  if (payment.status !== "created") {
+    return res
+      .status(400)
+      .json(formatResponse(false, `Payment has already ${payment.status}`));
+  }
+
+  const captured = await capturePayment(payment, {
+    paymentToken: req.body.paymentToken,
+  });
+
+  if (!captured) {
+    return res
+      .status(409)
+      .json(formatResponse(false, "Payment is already being captured"));
+  }
+
+  if (captured.status !== "succeeded") {
+    return res.status(402).json(
+      formatResponse(false, captured.failureReason || "Payment failed", {
+        payment: captured,
+      })
+    );
+  }
+
+  res.json(
+    formatResponse(true, "Payment captured successfully", {
+      payment: captured,
+    })
+  );
+});
+
+// @desc    Refund payment
+// @route   POST /api/payments/:id/refund
+// @access  Private/Admin
+export const refundIntent = asyncHandler(async (req, res) => {
+  const { amount, reason } = req.body;
+
+  const payment = await Payment.findById(req.params.id);
+
+  if (!payment) {
+    return res.status(404).json(formatResponse(false, "Payment not found"));
+  }
+
+  if (!["succeeded", "partially_refunded"].includes(payment.status)) {
+    return res
+      .status(400)
+      .json(formatResponse(false, "Only captured payments can be refunded"));
+  }
+
+  const result = await refundPayment(payment, {
+    amount: amount ?? payment.amount - payment.refundedAmount,
+    reference: `${payment._id}-${reason || "admin"}-${Date.now()}`,
+  });
+
+  if (result.status !== "succeeded") {
+    return res
+      .status(400)
+      .json(formatResponse(false, result.failureReason || "Refund failed"));
+  }
+
+  res.json(
+    formatResponse(true, "Payment refunded successfully", {
+      refund: result,
+      payment,
+    })
+  );
+});
+
+// @desc    Get payments for an order
+// @route   GET /api/payments/order/:orderId
+// @access  Private
+export const getOrderPayments = asyncHandler(async (req, res) => {
+  const order = await Order.findById(req.params.orderId);
+
+  if (!order) {
+    return res.status(404).json(formatResponse(false, "Order not found"));
+  }
+
+  if (
+    order.customer.toString() !== req.user._id.toString() &&
+    req.user.role !== "admin"
+  ) {
+    return res.status(403).json(formatResponse(false, "Access denied"));
+  }
+
+  const payments = await Payment.find({ order: order._id }).sort({
+    createdAt: -1,
+  });
+
+  res.json(
+    formatResponse(true, "Payments retrieved successfully", { payments })
+  );
+});
+
+// @desc    Receive payment provider webhook
+// @route   POST /api/payments/webhook/:provider
+// @access  Public (signature verified)
+export const paymentWebhook = asyncHandler(async (req, res) => {
+  const accepted = await handleWebhook(
+    req.params.provider,
+    req.rawBody,
+    req.headers
+  );
+
+  if (!accepted) {
+    return res
+      .status(400)
+      .json(formatResponse(false, "Invalid webhook signature or body"));
+  }
+
+  res.json(formatResponse(true, "Webhook processed"));
+});
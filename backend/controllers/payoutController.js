@@ -0,0 +1,139 @@
+import asyncHandler from "express-async-handler";
+import { PartnerPayout } from "../models/index.js";
+import { formatResponse, getPaginationMeta } from "../utils/helpers.js";
+import {
+  buildPayoutCsv,
+  createWeeklyPayouts,
+  getCurrentWeekStart,
+} from "../services/earningsService.js";
+
+// @desc    Create the weekly payout batch
+// @route   POST /api/delivery-partners/payouts
+// @access  Private/Admin
+export const createPayoutBatch = asyncHandler(async (req, res) => {
+  // Default to last week, the most recent completed one
+  const weekStart = req.body.weekStart
+    ? new Date(req.body.weekStart)
+    : new Date(getCurrentWeekStart().getTime() - 24 * 60 * 60 * 1000);
+
+  const result = await createWeeklyPayouts(weekStart);
+  if (result.error) {
+    return res.status(400).json(formatResponse(false, result.error));
+  }
+
+  res
+    .status(201)
+    .json(
+      formatResponse(
+        true,
+        `${result.payouts.length} payouts created in batch ${result.batchId}`,
+        result
+      )
+    );
+});
+
+// @desc    Get payouts
+// @route   GET /api/delivery-partners/payouts
+// @access  Private/Admin
+export const getPayouts = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const skip = (page - 1) * limit;
+
+  let query = {};
+
+  if (req.query.batchId) {
+    query.batchId = req.query.batchId;
+  }
+
+  if (req.query.status) {
+    query.status = req.query.status;
+  }
+
+  const payouts = await PartnerPayout.find(query)
+    .populate({
+      path: "deliveryPartner",
+      select: "user",
+      populate: { path: "user", select: "name phoneNumber" },
+    })
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .skip(skip);
+
+  const total = await PartnerPayout.countDocuments(query);
+
+  res.json(
+    formatResponse(
+      true,
+      "Payouts retrieved successfully",
+      { payouts },
+      getPaginationMeta(total, page, limit)
+    )
+  );
+});
+
+// @desc    Export a payout batch as a bank transfer CSV
+// @route   GET /api/delivery-partners/payouts/export?batchId=
+// @access  Private/Admin
+export const exportPayoutBatch = asyncHandler(async (req, res) => {
+  const { batchId } = req.query;
+
+  // Payouts already exported stay in the file so it can be downloaded again
+  const payouts = await PartnerPayout.find({
+    batchId,
+    status: { $in: ["pending", "exported"] },
+  }).sort({ createdAt: 1 });
+
+  if (payouts.length === 0) {
+    return res
+      .status(404)
+      .json(formatResponse(false, "No payouts to export for this batch"));
+  }
+
+  await PartnerPayout.updateMany(
+    { _id: { $in: payouts.map((payout) => payout._id) }, status: "pending" },
+    { status: "exported", exportedAt: new Date() }
+  );
+
+  res.set({
+    "Content-Type": "text/csv",
+    "Content-Disposition": `attachment; filename="${batchId}.csv"`,
+  });
+  res.send(buildPayoutCsv(payouts));
+});
+
+// @desc    Reconcile a payout against the bank statement
+// @route   PUT /api/delivery-partners/payouts/:payoutId/reconcile
+// @access  Private/Admin
+export const reconcilePayout = asyncHandler(async (req, res) => {
+  const { status, transferReference, failureReason } = req.body;
+
+  const payout = await PartnerPayout.findById(req.params.payoutId);
+
+  if (!payout) {
+    return res.status(404).json(formatResponse(false, "Payout not found"));
+  }
+
+  if (!["pending", "exported"].includes(payout.status)) {
+    return res
+      .status(400)
+      .json(formatResponse(false, `Payout is already ${payout.status}`));
+  }
+
+  payout.status = status;
+  payout.transferReference = transferReference;
+  payout.failureReason = status === "failed" ? failureReason : undefined;
+  payout.reconciledAt = new Date();
+  payout.reconciledBy = req.user._id;
+  await payout.save();
+
+  res.json(
+    formatResponse(
+      true,
+      status === "paid"
+        ? "Payout marked as paid"
+        : "Payout marked as failed, the amount carries over to the next batch",
+      { payout }
+    )
+  );
+});
@@ -0,0 +1,330 @@
+import asyncHandler from "express-async-handler";
+import { Order, Refund } from "../models/index.js";
+import { formatResponse, getPaginationMeta } from "../utils/helpers.js";
+import {
+  calculateItemRefund,
+  getRefundableAmount,
+  processRefund,
+  releaseRefundItems,
+  reserveRefundItems,
+} from "../services/refundService.js";
+
+// Status of a refund that lost a race to be reviewed or retried
+const getRefundConflict = async (id) => {
+  const existing = await Refund.findById(id).select("status");
+  return existing
+    ? { statusCode: 400, message: `Refund is already ${existing.status}` }
+    : { statusCode: 404, message: "Refund not found" };
+};
+
+// @desc    Request a refund for an order
+// @route   POST /api/refunds
+// @access  Private
+export const requestRefund = asyncHandler(async (req, res) => {
+  const { orderId, items, amount, reason, destination, liableParty } = req.body;
+  const isAdmin = req.user.role === "admin";
+
+  const order = await Order.findById(orderId);
+  if (!order) {
+    return res.status(404).json(formatResponse(false, "Order not found"));
+  }
+
+  if (order.customer.toString() !== req.user._id.toString() && !isAdmin) {
+    return res.status(403).json(formatResponse(false, "Access denied"));
+  }
+
+  // Customers can only claim specific items, e.g. missing from a delivery
+  if (!isAdmin && (!items || items.length === 0)) {
+    return res
+      .status(400)
+      .json(formatResponse(false, "Select the items to be refunded"));
+  }
+
+  if (!isAdmin && order.orderStatus !== "delivered") {
+    return res
+      .status(400)
+      .json(
+        formatResponse(false, "Item refunds are only available once delivered")
+      );
+  }
+
+  if (["cancelled", "refunded"].includes(order.orderStatus)) {
+    return res
+      .status(400)
+      .json(
+        formatResponse(false, "Cancelled orders are refunded automatically")
+      );
+  }
+
+  let refundItems = [];
+  let refundAmount = Number(amount);
+  if (items && items.length > 0) {
+    const result = calculateItemRefund(order, items);
+    if (result.error) {
+      return res.status(400).json(formatResponse(false, result.error));
+    }
+    refundItems = result.items;
+    refundAmount = result.amount;
+  }
+
+  const refundable = await getRefundableAmount(order);
+  if (!refundAmount || refundAmount > refundable) {
+    return res
+      .status(400)
+      .json(
+        formatResponse(
+          false,
+          `Refund cannot exceed ₹${refundable} for this order`
+        )
+      );
+  }
+
+  if (
+    refundItems.length > 0 &&
+    !(await reserveRefundItems(order, refundItems))
+  ) {
+    return res
+      .status(409)
+      .json(
+        formatResponse(
+          false,
+          "These items have already been claimed, try again"
+        )
+      );
+  }
+
+  let refund;
+  try {
+    refund = await Refund.create({
+      order: order._id,
+      customer: order.customer,
+      restaurant: order.restaurant,
+      type: refundItems.length > 0 ? "items" : "partial",
+      amount: refundAmount,
+      items: refundItems,
+      reason,
+      orderStage: order.orderStatus,
+      destination,
+      // Missing or wrong items are on the restaurant unless an admin says otherwise
+      liableParty:
+        (isAdmin && liableParty) ||
+        (refundItems.length > 0 ? "restaurant" : "platform"),
+      requestedBy: {
+        user: req.user._id,
+        role: isAdmin ? "admin" : "customer",
+      },
+    });
+  } catch (error) {
+    await releaseRefundItems(order._id, refundItems);
+    throw error;
+  }
+
+  res
+    .status(201)
+    .json(formatResponse(true, "Refund requested successfully", { refund }));
+});
+
+// @desc    Get refund approval queue
+// @route   GET /api/refunds
+// @access  Private/Admin
+export const getRefunds = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const skip = (page - 1) * limit;
+
+  // Default to the approval queue, oldest first
+  let query = { status: req.query.status || "pending_approval" };
+
+  if (req.query.order) {
+    query.order = req.query.order;
+  }
+
+  if (req.query.type) {
+    query.type = req.query.type;
+  }
+
+  const refunds = await Refund.find(query)
+    .populate("order", "orderNumber orderStatus pricing.total paymentMethod")
+    .populate("customer", "name email phoneNumber")
+    .populate("restaurant", "name")
+    .sort({ createdAt: 1 })
+    .limit(limit)
+    .skip(skip);
+
+  const total = await Refund.countDocuments(query);
+
+  res.json(
+    formatResponse(
+      true,
+      "Refunds retrieved successfully",
+      { refunds },
+      getPaginationMeta(total, page, limit)
+    )
+  );
+});
+
+// @desc    Get my refunds
+// @route   GET /api/refunds/my-refunds
+// @access  Private/Customer
+export const getMyRefunds = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+  const skip = (page - 1) * limit;
+
+  const refunds = await Refund.find({ customer: req.user._id })
+    .populate("order", "orderNumber")
+    .populate("restaurant", "name")
+    .select("-attempts.providerRefundId")
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .skip(skip);
+
+  const total = await Refund.countDocuments({ customer: req.user._id });
+
+  res.json(
+    formatResponse(
+      true,
+      "Your refunds retrieved successfully",
+      { refunds },
+      getPaginationMeta(total, page, limit)
+    )
+  );
+});
+
+// @desc    Get single refund
+// @route   GET /api/refunds/:id
+// @access  Private
+export const getRefund = asyncHandler(async (req, res) => {
+  const refund = await Refund.findById(req.params.id)
+    .populate("order", "orderNumber orderStatus pricing")
+    .populate("restaurant", "name");
+
+  if (!refund) {
+    return res.status(404).json(formatResponse(false, "Refund not found"));
+  }
+
+  if (
+    refund.customer.toString() !== req.user._id.toString() &&
+    req.user.role !== "admin"
+  ) {
+    return res.status(403).json(formatResponse(false, "Access denied"));
+  }
+
+  res.json(formatResponse(true, "Refund retrieved successfully", { refund }));
+});
+
+// @desc    Approve and process refund
+// @route   PUT /api/refunds/:id/approve
+// @access  Private/Admin
+export const approveRefund = asyncHandler(async (req, res) => {
+  // Claim the refund so concurrent approvals can't pay it out twice
+  const refund = await Refund.findOneAndUpdate(
+    { _id: req.params.id, status: "pending_approval" },
+    {
+      status: "approved",
+      ...(req.body.liableParty && { liableParty: req.body.liableParty }),
+      review: {
+        reviewedBy: req.user._id,
+        reviewedAt: new Date(),
+        note: req.body.note,
+      },
+    },
+    { new: true }
+  );
+
+  if (!refund) {
+    const conflict = await getRefundConflict(req.params.id);
+    return res
+      .status(conflict.statusCode)
+      .json(formatResponse(false, conflict.message));
+  }
+
+  const processed = await processRefund(refund);
+
+  res.json(
+    formatResponse(
+      true,
+      processed.status === "processed"
+        ? "Refund processed successfully"
+        : "Refund approved but payout failed, it can be retried",
+      { refund: processed }
+    )
+  );
+});
+
+// @desc    Reject refund
+// @route   PUT /api/refunds/:id/reject
+// @access  Private/Admin
+export const rejectRefund = asyncHandler(async (req, res) => {
+  const refund = await Refund.findOneAndUpdate(
+    { _id: req.params.id, status: "pending_approval" },
+    {
+      status: "rejected",
+      review: {
+        reviewedBy: req.user._id,
+        reviewedAt: new Date(),
+        note: req.body.note,
+      },
+    },
+    { new: true }
+  );
+
+  if (!refund) {
+    const conflict = await getRefundConflict(req.params.id);
+    return res
+      .status(conflict.statusCode)
+      .json(formatResponse(false, conflict.message));
+  }
+
+  // The claimed items can be claimed again
+  if (refund.items.length > 0) {
+    await releaseRefundItems(refund.order, refund.items);
+  }
+
+  if (refund.type === "cancellation") {
+    await Order.findByIdAndUpdate(refund.order, {
+      "cancellationDetails.refundStatus": "rejected",
+    });
+  }
+
+  res.json(formatResponse(true, "Refund rejected", { refund }));
+});
+
+// @desc    Retry a failed refund
+// @route   POST /api/refunds/:id/retry
+// @access  Private/Admin
+export const retryRefund = asyncHandler(async (req, res) => {
+  // Claim the refund so concurrent retries can't pay it out twice. Optionally
+  // fall back to store credit when the provider keeps failing.
+  const refund = await Refund.findOneAndUpdate(
+    { _id: req.params.id, status: "failed" },
+    {
+      status: "approved",
+      ...(req.body.destination && { destination: req.body.destination }),
+    },
+    { new: true }
+  );
+
+  if (!refund) {
+    const conflict = await getRefundConflict(req.params.id);
+    return res
+      .status(conflict.statusCode)
+      .json(formatResponse(false, conflict.message));
+  }
+
+  const processed = await processRefund(refund);
+
+  if (processed.status !== "processed") {
+    return res
+      .status(400)
+      .json(
+        formatResponse(false, "Refund failed again", { refund: processed })
+      );
+  }
+
+  res.json(
+    formatResponse(true, "Refund processed successfully", {
+      refund: processed,
+    })
+  );
+});
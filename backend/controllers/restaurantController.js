@@ -6,6 +6,11 @@ import {
   getPagination,
   getPaginationMeta,
 } from "../utils/helpers.js";
+import { getDeliverySlots } from "../services/scheduledOrderService.js";
+import { BUNDLE_COMPONENT_FIELDS } from "../services/bundleService.js";
+import { isOnSchedule } from "../services/menuAvailabilityService.js";
+import { isSoldOut } from "../services/inventoryService.js";
+import { getOpenStatus } from "../services/restaurantScheduleService.js";
 
 // @desc    Create restaurant
 // @route   POST /api/restaurants
@@ -20,7 +25,8 @@ export const createRestaurant = asyncHandler(async (req, res) => {
       .json(formatResponse(false, "You already have a restaurant registered"));
   }
 
-  const restaurantData = { ...req.body, owner: req.user._id };
+  const { commissionRate, ...details } = req.body;
+  const restaurantData = { ...details, owner: req.user._id };
   const restaurant = await Restaurant.create(restaurantData);
 
   res
@@ -90,7 +96,12 @@ export const getRestaurants = asyncHandler(async (req, res) => {
     formatResponse(
       true,
       "Restaurants retrieved successfully",
-      { restaurants },
+      {
+        restaurants: restaurants.map((restaurant) => ({
+          ...restaurant.toObject(),
+          openStatus: getOpenStatus(restaurant),
+        })),
+      },
       getPaginationMeta(total, page, limit)
     )
   );
@@ -136,6 +147,7 @@ export const getNearbyRestaurants = asyncHandler(async (req, res) => {
       return {
         ...restaurant.toObject(),
         distance: Math.round(distance * 10) / 10,
+        openStatus: getOpenStatus(restaurant),
       };
     });
 
@@ -162,7 +174,12 @@ export const getRestaurant = asyncHandler(async (req, res) => {
   }
 
   res.json(
-    formatResponse(true, "Restaurant retrieved successfully", { restaurant })
+    formatResponse(true, "Restaurant retrieved successfully", {
+      restaurant: {
+        ...restaurant.toObject(),
+        openStatus: getOpenStatus(restaurant),
+      },
+    })
   );
 });
 
@@ -184,7 +201,9 @@ export const updateRestaurant = asyncHandler(async (req, res) => {
     return res.status(403).json(formatResponse(false, "Access denied"));
   }
 
-  Object.assign(restaurant, req.body);
+  // Commission is only changed through the admin commission endpoint
+  const { commissionRate, ...updates } = req.body;
+  Object.assign(restaurant, updates);
   const updatedRestaurant = await restaurant.save();
 
   res.json(
@@ -219,6 +238,27 @@ export const deleteRestaurant = asyncHandler(async (req, res) => {
   res.json(formatResponse(true, "Restaurant deleted successfully"));
 });
 
+// @desc    Get delivery slots that can be booked for a scheduled order
+// @route   GET /api/restaurants/:id/delivery-slots?date=YYYY-MM-DD
+// @access  Public
+export const getRestaurantDeliverySlots = asyncHandler(async (req, res) => {
+  const restaurant = await Restaurant.findById(req.params.id).select(
+    "timezone openingHours specialHours temporaryClosure deliveryTime preOrder isActive"
+  );
+
+  if (!restaurant || !restaurant.isActive) {
+    return res.status(404).json(formatResponse(false, "Restaurant not found"));
+  }
+
+  const slots = restaurant.preOrder?.isEnabled
+    ? await getDeliverySlots(restaurant, req.query.date)
+    : [];
+
+  res.json(
+    formatResponse(true, "Delivery slots retrieved successfully", { slots })
+  );
+});
+
 // @desc    Get restaurant menu
 // @route   GET /api/restaurants/:id/menu
 // @access  Public
@@ -269,20 +309,26 @@ export const getRestaurantMenu = asyncHandler(async (req, res) => {
     }
   }
 
-  const menuItems = await MenuItem.find(query)
-    .populate("category", "name")
-    .sort(sort)
-    .limit(limit)
-    .skip(skip);
-
-  const total = await MenuItem.countDocuments(query);
+  // Only items on their schedule at the given time (now by default, or the
+  // delivery time of a pre-order) and not sold out. Schedules can't be
+  // queried, so the menu is filtered and paginated here.
+  const at = req.query.at ? new Date(req.query.at) : new Date();
+  const menuItems = (
+    await MenuItem.find(query)
+      .populate("category", "name availability")
+      .populate("bundleSlots.options.menuItem", BUNDLE_COMPONENT_FIELDS)
+      .sort(sort)
+  ).filter(
+    (menuItem) =>
+      isOnSchedule(menuItem, at, restaurant.timezone) && !isSoldOut(menuItem)
+  );
 
   res.json(
     formatResponse(
       true,
       "Menu retrieved successfully",
-      { menuItems },
-      getPaginationMeta(total, page, limit)
+      { menuItems: menuItems.slice(skip, skip + limit) },
+      getPaginationMeta(menuItems.length, page, limit)
     )
   );
 });
@@ -333,6 +379,61 @@ export const updateRestaurantStatus = asyncHandler(async (req, res) => {
   );
 });
 
+// @desc    Close a restaurant temporarily, or reopen it
+// @route   PUT /api/restaurants/:id/closure
+// @access  Private/Restaurant Owner
+export const updateTemporaryClosure = asyncHandler(async (req, res) => {
+  const { isClosed, reason, until } = req.body;
+
+  const restaurant = await Restaurant.findById(req.params.id);
+
+  if (!restaurant) {
+    return res.status(404).json(formatResponse(false, "Restaurant not found"));
+  }
+
+  // Check ownership or admin
+  if (
+    restaurant.owner.toString() !== req.user._id.toString() &&
+    req.user.role !== "admin"
+  ) {
+    return res.status(403).json(formatResponse(false, "Access denied"));
+  }
+
+  restaurant.temporaryClosure = isClosed
+    ? { isClosed, reason, until, closedAt: new Date() }
+    : { isClosed };
+  await restaurant.save();
+
+  res.json(
+    formatResponse(
+      true,
+      isClosed ? "Restaurant closed temporarily" : "Restaurant reopened",
+      { restaurant, openStatus: getOpenStatus(restaurant) }
+    )
+  );
+});
+
+// @desc    Update restaurant commission rate
+// @route   PUT /api/restaurants/:id/commission
+// @access  Private/Admin
+export const updateCommissionRate = asyncHandler(async (req, res) => {
+  const restaurant = await Restaurant.findById(req.params.id);
+
+  if (!restaurant) {
+    return res.status(404).json(formatResponse(false, "Restaurant not found"));
+  }
+
+  // Applies to new orders; existing orders keep the rate they were placed at
+  restaurant.commissionRate = req.body.commissionRate;
+  await restaurant.save();
+
+  res.json(
+    formatResponse(true, "Commission rate updated successfully", {
+      restaurant,
+    })
+  );
+});
+
 // @desc    Get restaurant statistics
 // @route   GET /api/restaurants/:id/stats
 // @access  Private/Restaurant Owner
@@ -0,0 +1,171 @@
+import asyncHandler from "express-async-handler";
+import { Restaurant, Settlement } from "../models/index.js";
+import {
+  formatResponse,
+  getBusinessTimezone,
+  getPaginationMeta,
+  getStartOfWeek,
+} from "../utils/helpers.js";
+import {
+  buildSettlementCsv,
+  generateWeeklySettlements,
+} from "../services/settlementService.js";
+
+// Restaurants whose statements the user can see; null means all of them
+const getVisibleRestaurants = async (user) => {
+  if (user.role === "admin") return null;
+  return Restaurant.find({ owner: user._id }).distinct("_id");
+};
+
+// @desc    Get settlement statements
+// @route   GET /api/settlements
+// @access  Private/Restaurant Owner
+export const getSettlements = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+  const skip = (page - 1) * limit;
+
+  const visible = await getVisibleRestaurants(req.user);
+  let query = visible ? { restaurant: { $in: visible } } : {};
+
+  if (req.query.restaurant) {
+    if (visible && !visible.some((id) => id.equals(req.query.restaurant))) {
+      return res.status(403).json(formatResponse(false, "Access denied"));
+    }
+    query.restaurant = req.query.restaurant;
+  }
+
+  if (req.query.status) {
+    query.status = req.query.status;
+  }
+
+  const settlements = await Settlement.find(query)
+    .populate("restaurant", "name")
+    .select("-orders -deductions")
+    .sort({ periodStart: -1 })
+    .limit(limit)
+    .skip(skip);
+
+  const total = await Settlement.countDocuments(query);
+
+  res.json(
+    formatResponse(
+      true,
+      "Settlements retrieved successfully",
+      { settlements },
+      getPaginationMeta(total, page, limit)
+    )
+  );
+});
+
+// @desc    Get a settlement statement
+// @route   GET /api/settlements/:id
+// @access  Private/Restaurant Owner
+export const getSettlement = asyncHandler(async (req, res) => {
+  const settlement = await Settlement.findById(req.params.id).populate(
+    "restaurant",
+    "name owner"
+  );
+
+  if (!settlement) {
+    return res.status(404).json(formatResponse(false, "Settlement not found"));
+  }
+
+  if (
+    settlement.restaurant.owner.toString() !== req.user._id.toString() &&
+    req.user.role !== "admin"
+  ) {
+    return res.status(403).json(formatResponse(false, "Access denied"));
+  }
+
+  res.json(
+    formatResponse(true, "Settlement retrieved successfully", { settlement })
+  );
+});
+
+// @desc    Download a settlement statement as CSV
+// @route   GET /api/settlements/:id/download
+// @access  Private/Restaurant Owner
+export const downloadSettlement = asyncHandler(async (req, res) => {
+  const settlement = await Settlement.findById(req.params.id).populate(
+    "restaurant",
+    "owner"
+  );
+
+  if (!settlement) {
+    return res.status(404).json(formatResponse(false, "Settlement not found"));
+  }
+
+  if (
+    settlement.restaurant.owner.toString() !== req.user._id.toString() &&
+    req.user.role !== "admin"
+  ) {
+    return res.status(403).json(formatResponse(false, "Access denied"));
+  }
+
+  res.set({
+    "Content-Type": "text/csv",
+    "Content-Disposition": `attachment; filename="${settlement.statementNumber}.csv"`,
+  });
+  res.send(buildSettlementCsv(settlement));
+});
+
+// @desc    Generate weekly settlement statements
+// @route   POST /api/settlements/generate
+// @access  Private/Admin
+export const generateSettlements = asyncHandler(async (req, res) => {
+  // Default to last week, the most recent completed one
+  const weekStart = req.body.weekStart
+    ? new Date(req.body.weekStart)
+    : new Date(
+        getStartOfWeek(new Date(), getBusinessTimezone()).getTime() -
+          24 * 60 * 60 * 1000
+      );
+
+  const result = await generateWeeklySettlements(weekStart);
+  if (result.error) {
+    return res.status(400).json(formatResponse(false, result.error));
+  }
+
+  res
+    .status(201)
+    .json(
+      formatResponse(
+        true,
+        `${result.settlements.length} settlement statements generated`,
+        result
+      )
+    );
+});
+
+// @desc    Mark a settlement as paid
+// @route   PUT /api/settlements/:id/paid
+// @access  Private/Admin
+export const markSettlementPaid = asyncHandler(async (req, res) => {
+  const settlement = await Settlement.findById(req.params.id);
+
+  if (!settlement) {
+    return res.status(404).json(formatResponse(false, "Settlement not found"));
+  }
+
+  if (settlement.status === "paid") {
+    return res
+      .status(400)
+      .json(formatResponse(false, "Settlement is already paid"));
+  }
+
+  if (settlement.totals.netPayout <= 0) {
+    return res
+      .status(400)
+      .json(
+        formatResponse(false, "Nothing to pay, the balance carries forward")
+      );
+  }
+
+  settlement.status = "paid";
+  settlement.paidAt = new Date();
+  settlement.transferReference = req.body.transferReference;
+  await settlement.save();
+
+  res.json(formatResponse(true, "Settlement marked as paid", { settlement }));
+});
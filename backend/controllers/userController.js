@@ -1,5 +1,5 @@
 import asyncHandler from "express-async-handler";
-import { User, Address } from "../models/index.js";
+import { User, Address, Wallet } from "../models/index.js";
 import {
   formatResponse,
   generateToken,
@@ -350,3 +350,21 @@ export const setDefaultAddress = asyncHandler(async (req, res) => {
     formatResponse(true, "Default address updated successfully", { address })
   );
 });
+
+// @desc    Get wallet balance and transactions
+// @route   GET /api/users/wallet
+// @access  Private
+export const getWallet = asyncHandler(async (req, res) => {
+  const wallet = await Wallet.findOne({ user: req.user._id });
+
+  res.json(
+    formatResponse(true, "Wallet retrieved successfully", {
+      wallet: {
+        balance: wallet?.balance || 0,
+        transactions: (wallet?.transactions || [])
+          .slice()
+          .sort((a, b) => b.createdAt - a.createdAt),
+      },
+    })
+  );
+});
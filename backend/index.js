@@ -5,6 +5,10 @@ import helmet from "helmet";
 import rateLimit from "express-rate-limit";
 import { connectDB } from "./config/db.js";
 import { errorHandler, notFound } from "./middleware/error.js";
+import { startDispatchTimer } from "./services/dispatchService.js";
+import { startScheduledOrderTimer } from "./services/scheduledOrderService.js";
+import { startStockResetTimer } from "./services/inventoryService.js";
+import { startEffectRetryTimer } from "./services/orderStateMachine.js";
 import {
   userRoutes,
   restaurantRoutes,
@@ -13,6 +17,13 @@ import {
   categoryRoutes,
   reviewRoutes,
   deliveryPartnerRoutes,
+  cartRoutes,
+  couponRoutes,
+  paymentRoutes,
+  refundRoutes,
+  settlementRoutes,
+  groupOrderRoutes,
+  complaintRoutes,
 } from "./routes/index.js";
 
 dotenv.config();
@@ -40,8 +51,15 @@ const limiter = rateLimit({
 });
 app.use("/api/", limiter);
 
-// Body parser middleware
-app.use(express.json({ limit: "10mb" }));
+// Body parser middleware (keeps the raw body for webhook signature checks)
+app.use(
+  express.json({
+    limit: "10mb",
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
 app.use(express.urlencoded({ extended: true, limit: "10mb" }));
 
 // API Routes
@@ -52,6 +70,13 @@ app.use("/api/orders", orderRoutes);
 app.use("/api/categories", categoryRoutes);
 app.use("/api/reviews", reviewRoutes);
 app.use("/api/delivery-partners", deliveryPartnerRoutes);
+app.use("/api/cart", cartRoutes);
+app.use("/api/coupons", couponRoutes);
+app.use("/api/payments", paymentRoutes);
+app.use("/api/refunds", refundRoutes);
+app.use("/api/settlements", settlementRoutes);
+app.use("/api/group-orders", groupOrderRoutes);
+app.use("/api/complaints", complaintRoutes);
 
 // Health check endpoint
 app.get("/api/health", (req, res) => {
@@ -68,6 +93,10 @@ app.use(errorHandler);
 
 app.listen(PORT, () => {
   connectDB();
+  startDispatchTimer();
+  startScheduledOrderTimer();
+  startStockResetTimer();
+  startEffectRetryTimer();
   console.log(`🚀 Server is running on http://localhost:${PORT}`);
   console.log(`📚 API Documentation: http://localhost:${PORT}/api/health`);
 });
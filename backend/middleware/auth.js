@@ -48,6 +48,15 @@ export const protect = asyncHandler(async (req, res, next) => {
   }
 });
 
+// Accept the token as a query parameter for clients that can't set headers,
+// such as the browser EventSource API
+export const tokenFromQuery = (req, res, next) => {
+  if (!req.headers.authorization && req.query.token) {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  next();
+};
+
 // Admin access middleware
 export const admin = (req, res, next) => {
   if (req.user && req.user.role === "admin") {
@@ -0,0 +1,151 @@
+import crypto from "crypto";
+import asyncHandler from "express-async-handler";
+import { IdempotencyKey } from "../models/index.js";
+import { formatResponse } from "../utils/helpers.js";
+
+const MAX_KEY_LENGTH = 255;
+
+// How long a request holds its key while processing
+const PROCESSING_LEASE_MS = 60 * 1000;
+
+// JSON with object keys sorted at every level, so the same body hashes the
+// same however its keys were ordered or spaced
+const canonicalize = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonicalize).join(",")}]`;
+  if (value && typeof value === "object") {
+    const entries = Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalize(value[key])}`);
+    return `{${entries.join(",")}}`;
+  }
+  return JSON.stringify(value) ?? "null";
+};
+
+// Make a mutating request safe to retry. When the client sends an
+// Idempotency-Key header, the first response for that key is stored and
+// replayed for any retry with the same key. Requests without the header are
+// handled as usual. Must run after protect.
+export const idempotent = asyncHandler(async (req, res, next) => {
+  const key = req.get("Idempotency-Key");
+  if (!key) return next();
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return res
+      .status(400)
+      .json(
+        formatResponse(
+          false,
+          `Idempotency-Key cannot exceed ${MAX_KEY_LENGTH} characters`
+        )
+      );
+  }
+
+  const path = req.originalUrl.split("?")[0];
+  const requestHash = crypto
+    .createHash("sha256")
+    .update(canonicalize(req.body || {}))
+    .digest("hex");
+
+  let record;
+  try {
+    record = await IdempotencyKey.create({
+      key,
+      user: req.user._id,
+      method: req.method,
+      path,
+      requestHash,
+      leaseExpiresAt: new Date(Date.now() + PROCESSING_LEASE_MS),
+    });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+
+    const existing = await IdempotencyKey.findOne({ user: req.user._id, key });
+    if (!existing) {
+      return res
+        .status(409)
+        .json(formatResponse(false, "Retry the request with this key"));
+    }
+
+    if (
+      existing.method !== req.method ||
+      existing.path !== path ||
+      existing.requestHash !== requestHash
+    ) {
+      return res
+        .status(422)
+        .json(
+          formatResponse(
+            false,
+            "Idempotency-Key has already been used for a different request"
+          )
+        );
+    }
+
+    if (existing.status === "completed") {
+      res.set("Idempotent-Replayed", "true");
+      return res
+        .status(existing.response.statusCode)
+        .json(existing.response.body);
+    }
+
+    // Take over a key whose request stopped without answering
+    const now = new Date();
+    record = await IdempotencyKey.findOneAndUpdate(
+      {
+        _id: existing._id,
+        status: "processing",
+        leaseExpiresAt: { $not: { $gt: now } },
+      },
+      { leaseExpiresAt: new Date(now.getTime() + PROCESSING_LEASE_MS) },
+      { new: true }
+    );
+    if (!record) {
+      return res
+        .status(409)
+        .json(
+          formatResponse(
+            false,
+            "A request with this Idempotency-Key is still being processed"
+          )
+        );
+    }
+  }
+
+  // Updates only apply while this request holds the lease
+  const held = { _id: record._id, leaseExpiresAt: record.leaseExpiresAt };
+
+  // Keep the response once it is sent. Server errors aren't kept, so the
+  // request can be retried with the same key.
+  let stored = false;
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    stored = true;
+    const update =
+      res.statusCode >= 500
+        ? IdempotencyKey.deleteOne(held)
+        : IdempotencyKey.updateOne(held, {
+            status: "completed",
+            // Stored as it was sent, not as the documents it holds
+            response: {
+              statusCode: res.statusCode,
+              body: JSON.parse(JSON.stringify(body)),
+            },
+          });
+    update.catch((error) =>
+      console.error(`Idempotency key update failed: ${error.message}`)
+    );
+    return json(body);
+  };
+
+  // Release the key if the request ends without a JSON response
+  res.on("close", () => {
+    if (!stored) {
+      IdempotencyKey.deleteOne(held).catch((error) =>
+        console.error(`Idempotency key release failed: ${error.message}`)
+      );
+    }
+  });
+
+  next();
+});
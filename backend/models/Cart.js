@@ -0,0 +1,91 @@
+import mongoose from "mongoose";
+
+const cartSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      unique: true,
+    },
+    restaurant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Restaurant",
+    },
+    items: [
+      {
+        menuItem: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "MenuItem",
+          required: true,
+        },
+        quantity: {
+          type: Number,
+          required: true,
+          min: [1, "Quantity must be at least 1"],
+          max: [50, "Quantity cannot exceed 50"],
+        },
+        variant: {
+          name: String,
+        },
+        addOns: [
+          {
+            name: {
+              type: String,
+              required: true,
+            },
+          },
+        ],
+        customizations: [
+          {
+            name: {
+              type: String,
+              required: true,
+            },
+            selectedOptions: [
+              {
+                name: String,
+                priceModifier: Number,
+              },
+            ],
+          },
+        ],
+        // Bundles only: the component chosen for each slot
+        bundleSelections: [
+          {
+            slot: {
+              type: String,
+              required: true,
+            },
+            menuItem: {
+              type: mongoose.Schema.Types.ObjectId,
+              ref: "MenuItem",
+              required: true,
+            },
+          },
+        ],
+        specialInstructions: {
+          type: String,
+          trim: true,
+          maxlength: [200, "Special instructions cannot exceed 200 characters"],
+        },
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Note: user already has unique index, no need to add manually
+cartSchema.index({ updatedAt: -1 });
+
+// Drop the restaurant lock once the cart is emptied
+cartSchema.pre("save", function (next) {
+  if (this.items.length === 0) {
+    this.restaurant = undefined;
+  }
+  next();
+});
+
+export default mongoose.model("Cart", cartSchema);
@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { GST_SLABS } from "../services/taxService.js";
 
 const categorySchema = new mongoose.Schema(
   {
@@ -18,10 +19,58 @@ const categorySchema = new mongoose.Schema(
       public_id: String,
       url: String,
     },
+    // GST slab in percent for items in this category that don't set their own
+    gstRate: {
+      type: Number,
+      validate: {
+        validator: (value) => value == null || GST_SLABS.includes(value),
+        message: `GST rate must be one of ${GST_SLABS.join(", ")}`,
+      },
+    },
     isActive: {
       type: Boolean,
       default: true,
     },
+    // Schedule applied to every item in the category, e.g. a breakfast menu.
+    // Same shape as MenuItem.availability.
+    availability: {
+      windows: [
+        {
+          days: [
+            {
+              type: String,
+              enum: [
+                "monday",
+                "tuesday",
+                "wednesday",
+                "thursday",
+                "friday",
+                "saturday",
+                "sunday",
+              ],
+            },
+          ],
+          startTime: {
+            type: String,
+            required: true,
+            match: [/^([01]\d|2[0-3]):[0-5]\d$/, "Start time must be HH:MM"],
+          },
+          endTime: {
+            type: String,
+            required: true,
+            match: [/^([01]\d|2[0-3]):[0-5]\d$/, "End time must be HH:MM"],
+          },
+        },
+      ],
+      startDate: {
+        type: String,
+        match: [/^\d{4}-\d{2}-\d{2}$/, "Start date must be YYYY-MM-DD"],
+      },
+      endDate: {
+        type: String,
+        match: [/^\d{4}-\d{2}-\d{2}$/, "End date must be YYYY-MM-DD"],
+      },
+    },
     sortOrder: {
       type: Number,
       default: 0,
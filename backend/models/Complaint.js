@@ -0,0 +1,147 @@
+import mongoose from "mongoose";
+
+// Problems a customer can raise about an order. Names match the Review tags
+// for the same problems.
+export const COMPLAINT_ISSUES = [
+  "missing_items",
+  "wrong_order",
+  "damaged_packaging",
+  "cold_food",
+  "stale_food",
+  "late_delivery",
+  "rude_delivery",
+  "other",
+];
+
+// A support ticket about an order, worked through an admin queue
+const complaintSchema = new mongoose.Schema(
+  {
+    ticketNumber: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+    },
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    restaurant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Restaurant",
+      required: true,
+    },
+    deliveryPartner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "DeliveryPartner",
+    },
+    issues: {
+      type: [
+        {
+          type: String,
+          enum: COMPLAINT_ISSUES,
+        },
+      ],
+      validate: {
+        validator: (issues) => issues.length > 0,
+        message: "At least one issue is required",
+      },
+    },
+    // Order lines the complaint is about, e.g. the items that were missing
+    items: [
+      {
+        orderItem: {
+          type: mongoose.Schema.Types.ObjectId,
+          required: true,
+        },
+        name: String,
+        quantity: {
+          type: Number,
+          min: [1, "Quantity must be at least 1"],
+        },
+      },
+    ],
+    description: {
+      type: String,
+      required: [true, "Please describe the problem"],
+      trim: true,
+      maxlength: [1000, "Description cannot exceed 1000 characters"],
+    },
+    // Photo evidence
+    photos: [
+      {
+        public_id: String,
+        url: {
+          type: String,
+          required: true,
+        },
+      },
+    ],
+    status: {
+      type: String,
+      enum: ["open", "in_review", "resolved", "rejected"],
+      default: "open",
+    },
+    assignedTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    // When the complaint should be resolved by
+    slaDueAt: {
+      type: Date,
+      required: true,
+    },
+    firstResponseAt: Date,
+    resolution: {
+      action: {
+        type: String,
+        enum: ["refund", "wallet_credit", "no_action"],
+      },
+      refund: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Refund",
+      },
+      refundAmount: Number,
+      // Who was at fault; restaurant refunds and penalties are deducted from
+      // its settlement, partner penalties from their earnings
+      liableParty: {
+        type: String,
+        enum: ["restaurant", "delivery_partner", "platform"],
+      },
+      penalty: {
+        amount: Number,
+        earning: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "PartnerEarning",
+        },
+      },
+      note: String,
+      resolvedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      resolvedAt: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for better performance
+// Note: ticketNumber already has unique index, no need to add manually
+complaintSchema.index({ order: 1 });
+complaintSchema.index({ customer: 1, createdAt: -1 });
+complaintSchema.index({ status: 1, slaDueAt: 1 });
+complaintSchema.index({
+  restaurant: 1,
+  "resolution.liableParty": 1,
+  "resolution.resolvedAt": 1,
+});
+
+export default mongoose.model("Complaint", complaintSchema);
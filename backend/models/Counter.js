@@ -0,0 +1,30 @@
+import mongoose from "mongoose";
+
+// Named sequences, e.g. order numbers per city and day
+const counterSchema = new mongoose.Schema(
+  {
+    _id: {
+      type: String,
+      required: true,
+    },
+    seq: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    versionKey: false,
+  }
+);
+
+// Atomically take the next number in a sequence, starting at 1
+counterSchema.statics.next = async function (name) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+};
+
+export default mongoose.model("Counter", counterSchema);
@@ -0,0 +1,128 @@
+import mongoose from "mongoose";
+
+const couponSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: [true, "Coupon code is required"],
+      unique: true,
+      uppercase: true,
+      trim: true,
+      maxlength: [20, "Coupon code cannot exceed 20 characters"],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [200, "Description cannot exceed 200 characters"],
+    },
+    discountType: {
+      type: String,
+      enum: ["percentage", "flat"],
+      required: [true, "Discount type is required"],
+    },
+    discountValue: {
+      type: Number,
+      required: [true, "Discount value is required"],
+      min: [0, "Discount value cannot be negative"],
+      validate: {
+        validator: function (value) {
+          return this.discountType !== "percentage" || value <= 100;
+        },
+        message: "Percentage discount cannot exceed 100",
+      },
+    },
+    maxDiscount: {
+      type: Number, // cap for percentage discounts
+      min: [0, "Maximum discount cannot be negative"],
+    },
+    minOrderValue: {
+      type: Number,
+      default: 0,
+      min: [0, "Minimum order value cannot be negative"],
+    },
+    usageLimit: {
+      total: {
+        type: Number, // unlimited when not set
+        min: [1, "Total usage limit must be at least 1"],
+      },
+      perUser: {
+        type: Number,
+        default: 1,
+        min: [1, "Per user usage limit must be at least 1"],
+      },
+    },
+    usedCount: {
+      type: Number,
+      default: 0,
+      min: [0, "Used count cannot be negative"],
+    },
+    validFrom: {
+      type: Date,
+      default: Date.now,
+    },
+    validUntil: {
+      type: Date,
+      required: [true, "Expiry date is required"],
+    },
+    applicableRestaurants: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Restaurant",
+      },
+    ],
+    applicableCuisines: [
+      {
+        type: String,
+        trim: true,
+      },
+    ],
+    firstOrderOnly: {
+      type: Boolean,
+      default: false,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for better performance
+// Note: code already has unique index, no need to add manually
+couponSchema.index({ isActive: 1, validFrom: 1, validUntil: 1 });
+
+// Check if the coupon can be used at a given time
+couponSchema.methods.isValidAt = function (date = new Date()) {
+  return this.isActive && date >= this.validFrom && date <= this.validUntil;
+};
+
+// Calculate the discount this coupon gives on a subtotal
+couponSchema.methods.calculateDiscount = function (subtotal) {
+  let discount =
+    this.discountType === "percentage"
+      ? (subtotal * this.discountValue) / 100
+      : this.discountValue;
+
+  if (this.maxDiscount) {
+    discount = Math.min(discount, this.maxDiscount);
+  }
+
+  return Math.round(Math.min(discount, subtotal) * 100) / 100;
+};
+
+// Human readable summary, e.g. "20% off up to ₹100"
+couponSchema.virtual("summary").get(function () {
+  if (this.discountType === "flat") return `₹${this.discountValue} off`;
+  return this.maxDiscount
+    ? `${this.discountValue}% off up to ₹${this.maxDiscount}`
+    : `${this.discountValue}% off`;
+});
+
+export default mongoose.model("Coupon", couponSchema);
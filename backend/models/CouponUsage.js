@@ -0,0 +1,36 @@
+import mongoose from "mongoose";
+
+// Tracks how many times each customer has redeemed a coupon
+const couponUsageSchema = new mongoose.Schema(
+  {
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Coupon",
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    count: {
+      type: Number,
+      default: 0,
+      min: [0, "Usage count cannot be negative"],
+    },
+    orders: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Order",
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One usage record per customer per coupon
+couponUsageSchema.index({ coupon: 1, user: 1 }, { unique: true });
+
+export default mongoose.model("CouponUsage", couponUsageSchema);
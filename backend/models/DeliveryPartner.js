@@ -277,6 +277,11 @@ const deliveryPartnerSchema = new mongoose.Schema(
         type: Number,
         default: 0,
       },
+      // Included in totalEarnings
+      totalTips: {
+        type: Number,
+        default: 0,
+      },
       completionRate: {
         type: Number,
         default: 0,
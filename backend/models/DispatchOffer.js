@@ -0,0 +1,55 @@
+import mongoose from "mongoose";
+
+const dispatchOfferSchema = new mongoose.Schema(
+  {
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+    },
+    deliveryPartner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "DeliveryPartner",
+      required: true,
+    },
+    // 1 for the first partner offered the order, 2 for the next and so on
+    attempt: {
+      type: Number,
+      min: 1,
+    },
+    distance: {
+      type: Number, // in kilometers, from the partner to the restaurant
+      min: 0,
+    },
+    status: {
+      type: String,
+      enum: ["offered", "accepted", "declined", "expired", "cancelled"],
+      default: "offered",
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    respondedAt: Date,
+    declineReason: {
+      type: String,
+      trim: true,
+      maxlength: [200, "Decline reason cannot exceed 200 characters"],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for better performance
+dispatchOfferSchema.index({ order: 1, createdAt: 1 });
+dispatchOfferSchema.index({ deliveryPartner: 1, status: 1 });
+dispatchOfferSchema.index({ status: 1, expiresAt: 1 });
+
+// Offers still waiting for an answer
+dispatchOfferSchema.methods.isOpen = function () {
+  return this.status === "offered" && this.expiresAt > new Date();
+};
+
+export default mongoose.model("DispatchOffer", dispatchOfferSchema);
@@ -0,0 +1,145 @@
+import mongoose from "mongoose";
+
+// A shared cart several people add to before the host places one order
+const groupOrderSchema = new mongoose.Schema(
+  {
+    host: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    restaurant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Restaurant",
+      required: true,
+    },
+    deliveryAddress: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Address",
+      required: true,
+    },
+    shareCode: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+    },
+    // "host" pays the whole order; "split" has each participant pay their share
+    paymentMode: {
+      type: String,
+      enum: ["host", "split"],
+      default: "host",
+    },
+    status: {
+      type: String,
+      enum: ["open", "locked", "ordered", "cancelled"],
+      default: "open",
+    },
+    participants: [
+      {
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          required: true,
+        },
+        name: String,
+        joinedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    // Same shape as cart items, tagged with who added them
+    items: [
+      {
+        participant: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          required: true,
+        },
+        menuItem: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "MenuItem",
+          required: true,
+        },
+        quantity: {
+          type: Number,
+          required: true,
+          min: [1, "Quantity must be at least 1"],
+          max: [50, "Quantity cannot exceed 50"],
+        },
+        variant: {
+          name: String,
+        },
+        addOns: [
+          {
+            name: {
+              type: String,
+              required: true,
+            },
+          },
+        ],
+        customizations: [
+          {
+            name: {
+              type: String,
+              required: true,
+            },
+            selectedOptions: [
+              {
+                name: String,
+                priceModifier: Number,
+              },
+            ],
+          },
+        ],
+        // Bundles only: the component chosen for each slot
+        bundleSelections: [
+          {
+            slot: {
+              type: String,
+              required: true,
+            },
+            menuItem: {
+              type: mongoose.Schema.Types.ObjectId,
+              ref: "MenuItem",
+              required: true,
+            },
+          },
+        ],
+        specialInstructions: {
+          type: String,
+          trim: true,
+          maxlength: [200, "Special instructions cannot exceed 200 characters"],
+        },
+      },
+    ],
+    lockedAt: Date,
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+    },
+    // Sessions that are never ordered are closed after this time
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for better performance
+// Note: shareCode already has unique index, no need to add manually
+groupOrderSchema.index({ host: 1, createdAt: -1 });
+groupOrderSchema.index({ "participants.user": 1, status: 1 });
+
+// Check if a user has joined the session
+groupOrderSchema.methods.hasParticipant = function (userId) {
+  return this.participants.some(
+    (participant) => participant.user.toString() === userId.toString()
+  );
+};
+
+export default mongoose.model("GroupOrder", groupOrderSchema);
@@ -0,0 +1,58 @@
+import mongoose from "mongoose";
+
+// How long a response is kept for replay before MongoDB expires it
+export const IDEMPOTENCY_KEY_RETENTION_HOURS = 24;
+
+// A client-supplied Idempotency-Key and the response first sent for it
+const idempotencyKeySchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Keys are scoped to the user who sent them
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    method: {
+      type: String,
+      required: true,
+    },
+    path: {
+      type: String,
+      required: true,
+    },
+    // SHA-256 of the request body with its keys sorted, to spot a key reused for another request
+    requestHash: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["processing", "completed"],
+      default: "processing",
+    },
+    // A request still processing past this is presumed dead, and a retry
+    // with the same key may take it over
+    leaseExpiresAt: Date,
+    response: {
+      statusCode: Number,
+      body: mongoose.Schema.Types.Mixed,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for better performance
+idempotencyKeySchema.index({ user: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: IDEMPOTENCY_KEY_RETENTION_HOURS * 60 * 60 }
+);
+
+export default mongoose.model("IdempotencyKey", idempotencyKeySchema);
@@ -0,0 +1,131 @@
+import mongoose from "mongoose";
+
+const taxLineSchema = {
+  taxableAmount: { type: Number, default: 0 },
+  cgst: { type: Number, default: 0 },
+  sgst: { type: Number, default: 0 },
+  igst: { type: Number, default: 0 },
+  total: { type: Number, default: 0 },
+};
+
+// Party details are copied onto the invoice so it never changes once issued
+const partySchema = {
+  name: String,
+  gstNumber: String,
+  phoneNumber: String,
+  address: {
+    addressLine1: String,
+    addressLine2: String,
+    city: String,
+    state: String,
+    postalCode: String,
+  },
+};
+
+const invoiceSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ["invoice", "credit_note"],
+      required: true,
+    },
+    // Unique within the restaurant's series; restaurants are told apart by
+    // id, not by the short code in the number
+    invoiceNumber: {
+      type: String,
+      required: true,
+    },
+    financialYear: {
+      type: String, // e.g. "2026-27"
+      required: true,
+    },
+    sequence: {
+      type: Number,
+      required: true,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+    },
+    orderNumber: String,
+    restaurant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Restaurant",
+      required: true,
+    },
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Credit notes only: the refund they record and the invoice they reduce
+    refund: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Refund",
+    },
+    originalInvoice: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Invoice",
+    },
+    originalInvoiceNumber: String,
+    supplier: partySchema,
+    recipient: partySchema,
+    placeOfSupply: String, // state of the delivery address
+    interState: {
+      type: Boolean,
+      default: false,
+    },
+    lines: [
+      {
+        orderItem: mongoose.Schema.Types.ObjectId, // absent for fee lines
+        description: {
+          type: String,
+          required: true,
+        },
+        // Delivery and platform fees are the platform's supply
+        suppliedBy: {
+          type: String,
+          enum: ["restaurant", "platform"],
+          default: "restaurant",
+        },
+        quantity: {
+          type: Number,
+          default: 1,
+        },
+        unitPrice: Number,
+        discount: {
+          type: Number,
+          default: 0,
+        },
+        rate: Number, // GST rate in percent
+        ...taxLineSchema,
+      },
+    ],
+    totals: taxLineSchema,
+    issuedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for better performance
+invoiceSchema.index(
+  { order: 1 },
+  { unique: true, partialFilterExpression: { type: "invoice" } }
+);
+invoiceSchema.index(
+  { refund: 1 },
+  { unique: true, partialFilterExpression: { type: "credit_note" } }
+);
+// One document per number in each restaurant's series
+invoiceSchema.index(
+  { restaurant: 1, type: 1, financialYear: 1, sequence: 1 },
+  { unique: true }
+);
+
+export default mongoose.model("Invoice", invoiceSchema);
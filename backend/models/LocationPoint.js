@@ -0,0 +1,56 @@
+import mongoose from "mongoose";
+
+// How long location history is kept before MongoDB expires it
+export const LOCATION_HISTORY_RETENTION_DAYS = 30;
+
+// Stored as a time-series collection, one document per GPS fix
+const locationPointSchema = new mongoose.Schema(
+  {
+    recordedAt: {
+      type: Date,
+      required: true,
+    },
+    meta: {
+      deliveryPartner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "DeliveryPartner",
+        required: true,
+      },
+      // The order the partner was handling when the point was recorded
+      order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Order",
+      },
+    },
+    latitude: {
+      type: Number,
+      required: true,
+      min: [-90, "Latitude must be between -90 and 90"],
+      max: [90, "Latitude must be between -90 and 90"],
+    },
+    longitude: {
+      type: Number,
+      required: true,
+      min: [-180, "Longitude must be between -180 and 180"],
+      max: [180, "Longitude must be between -180 and 180"],
+    },
+    accuracy: Number, // in meters
+    speed: Number, // in meters per second
+    heading: Number, // in degrees from north
+  },
+  {
+    timeseries: {
+      timeField: "recordedAt",
+      metaField: "meta",
+      granularity: "seconds",
+    },
+    expireAfterSeconds: LOCATION_HISTORY_RETENTION_DAYS * 24 * 60 * 60,
+    versionKey: false,
+  }
+);
+
+// Indexes for better performance
+locationPointSchema.index({ "meta.order": 1, recordedAt: 1 });
+locationPointSchema.index({ "meta.deliveryPartner": 1, recordedAt: -1 });
+
+export default mongoose.model("LocationPoint", locationPointSchema);
@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { GST_SLABS } from "../services/taxService.js";
 
 const menuItemSchema = new mongoose.Schema(
   {
@@ -23,6 +24,12 @@ const menuItemSchema = new mongoose.Schema(
       trim: true,
       maxlength: [500, "Description cannot exceed 500 characters"],
     },
+    // A bundle is a combo made of other menu items, chosen through its slots
+    type: {
+      type: String,
+      enum: ["single", "bundle"],
+      default: "single",
+    },
     price: {
       type: Number,
       required: [true, "Price is required"],
@@ -90,6 +97,14 @@ const menuItemSchema = new mongoose.Schema(
         ],
       },
     ],
+    // GST slab in percent; falls back to the category's, then the default
+    gstRate: {
+      type: Number,
+      validate: {
+        validator: (value) => value == null || GST_SLABS.includes(value),
+        message: `GST rate must be one of ${GST_SLABS.join(", ")}`,
+      },
+    },
     spiceLevel: {
       type: String,
       enum: ["mild", "medium", "hot", "extra-hot"],
@@ -105,6 +120,72 @@ const menuItemSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    // When the item can be ordered, on top of isAvailable. Windows are local
+    // times on the listed days (every day if none); a window whose end is
+    // before its start runs past midnight. startDate/endDate (YYYY-MM-DD)
+    // limit seasonal specials. No windows and no dates means always.
+    availability: {
+      windows: [
+        {
+          days: [
+            {
+              type: String,
+              enum: [
+                "monday",
+                "tuesday",
+                "wednesday",
+                "thursday",
+                "friday",
+                "saturday",
+                "sunday",
+              ],
+            },
+          ],
+          startTime: {
+            type: String,
+            required: true,
+            match: [/^([01]\d|2[0-3]):[0-5]\d$/, "Start time must be HH:MM"],
+          },
+          endTime: {
+            type: String,
+            required: true,
+            match: [/^([01]\d|2[0-3]):[0-5]\d$/, "End time must be HH:MM"],
+          },
+        },
+      ],
+      startDate: {
+        type: String,
+        match: [/^\d{4}-\d{2}-\d{2}$/, "Start date must be YYYY-MM-DD"],
+      },
+      endDate: {
+        type: String,
+        match: [/^\d{4}-\d{2}-\d{2}$/, "End date must be YYYY-MM-DD"],
+      },
+    },
+    // Optional daily stock count. Tracked items are sold out at zero and,
+    // with a par level, reset to it at the start of each business day.
+    stock: {
+      isTracked: {
+        type: Boolean,
+        default: false,
+      },
+      quantity: {
+        type: Number,
+        default: 0,
+        min: [0, "Stock cannot be negative"],
+      },
+      parLevel: {
+        type: Number,
+        min: [0, "Par level cannot be negative"],
+      },
+      lowStockThreshold: {
+        type: Number,
+        default: 5,
+        min: [0, "Low stock threshold cannot be negative"],
+      },
+      // Business day (YYYY-MM-DD) the quantity was last reset to par
+      resetDate: String,
+    },
     isRecommended: {
       type: Boolean,
       default: false,
@@ -199,6 +280,43 @@ const menuItemSchema = new mongoose.Schema(
         },
       },
     ],
+    // Bundles only: each slot is a choice between component items, e.g.
+    // "Drink" with any of three drinks. A slot with a single option and a
+    // minimum of one is a fixed part of the combo.
+    bundleSlots: [
+      {
+        name: {
+          type: String,
+          required: true,
+          trim: true,
+        },
+        options: [
+          {
+            menuItem: {
+              type: mongoose.Schema.Types.ObjectId,
+              ref: "MenuItem",
+              required: true,
+            },
+            // Charged on top of the bundle price when this option is chosen
+            upcharge: {
+              type: Number,
+              default: 0,
+              min: [0, "Upcharge cannot be negative"],
+            },
+          },
+        ],
+        minSelections: {
+          type: Number,
+          default: 1,
+          min: [0, "Minimum selections cannot be negative"],
+        },
+        maxSelections: {
+          type: Number,
+          default: 1,
+          min: [1, "Maximum selections must be at least 1"],
+        },
+      },
+    ],
     totalOrders: {
       type: Number,
       default: 0,
@@ -223,6 +341,7 @@ menuItemSchema.index({ isAvailable: 1 });
 menuItemSchema.index({ "rating.average": -1 });
 menuItemSchema.index({ totalOrders: -1 });
 menuItemSchema.index({ dietary: 1 });
+menuItemSchema.index({ restaurant: 1, "stock.isTracked": 1 });
 
 // Calculate final price considering discount
 menuItemSchema.virtual("finalPrice").get(function () {
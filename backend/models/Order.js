@@ -28,6 +28,11 @@ const orderSchema = new mongoose.Schema(
           ref: "MenuItem",
           required: true,
         },
+        // Group orders: the participant who added this item
+        participant: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
         name: {
           type: String,
           required: true,
@@ -73,6 +78,23 @@ const orderSchema = new mongoose.Schema(
             ],
           },
         ],
+        // Bundles only: the components chosen for each slot, priced from the
+        // menu when the order was placed
+        bundleSelections: [
+          {
+            slot: {
+              type: String,
+              required: true,
+            },
+            menuItem: {
+              type: mongoose.Schema.Types.ObjectId,
+              ref: "MenuItem",
+              required: true,
+            },
+            name: String,
+            upcharge: Number,
+          },
+        ],
         specialInstructions: {
           type: String,
           trim: true,
@@ -83,6 +105,20 @@ const orderSchema = new mongoose.Schema(
           required: true,
           min: [0, "Item total cannot be negative"],
         },
+        // GST on this line after its share of the discount
+        tax: {
+          rate: Number, // GST slab in percent
+          taxableAmount: Number,
+          cgst: Number,
+          sgst: Number,
+          igst: Number,
+        },
+        // Units already claimed by item refunds that weren't rejected
+        refundedQuantity: {
+          type: Number,
+          default: 0,
+          min: [0, "Refunded quantity cannot be negative"],
+        },
       },
     ],
     deliveryAddress: {
@@ -93,6 +129,7 @@ const orderSchema = new mongoose.Schema(
     orderStatus: {
       type: String,
       enum: [
+        "scheduled",
         "pending",
         "confirmed",
         "preparing",
@@ -134,6 +171,33 @@ const orderSchema = new mongoose.Schema(
         cgst: { type: Number, default: 0 },
         sgst: { type: Number, default: 0 },
         igst: { type: Number, default: 0 },
+        // IGST applies when the restaurant and delivery address are in
+        // different states
+        interState: { type: Boolean, default: false },
+      },
+      // GST on each fee, included in the totals above
+      feeTaxes: {
+        deliveryFee: {
+          rate: Number, // in percent
+          taxableAmount: Number,
+          cgst: Number,
+          sgst: Number,
+          igst: Number,
+        },
+        platformFee: {
+          rate: Number,
+          taxableAmount: Number,
+          cgst: Number,
+          sgst: Number,
+          igst: Number,
+        },
+        packagingFee: {
+          rate: Number,
+          taxableAmount: Number,
+          cgst: Number,
+          sgst: Number,
+          igst: Number,
+        },
       },
       discount: {
         amount: { type: Number, default: 0 },
@@ -150,6 +214,20 @@ const orderSchema = new mongoose.Schema(
         default: 0,
         min: [0, "Packaging fee cannot be negative"],
       },
+      // Goes in full to the delivery partner; not taxed and not part of the
+      // restaurant's settlement
+      tip: {
+        type: Number,
+        default: 0,
+        min: [0, "Tip cannot be negative"],
+      },
+      // A tip added after delivery. It's paid on its own, so unlike the tip
+      // above it isn't part of the total.
+      postDeliveryTip: {
+        type: Number,
+        default: 0,
+        min: [0, "Tip cannot be negative"],
+      },
       total: {
         type: Number,
         required: true,
@@ -160,6 +238,38 @@ const orderSchema = new mongoose.Schema(
       type: Date,
       required: true,
     },
+    // Group orders: the session the order came from and what each
+    // participant owes
+    group: {
+      groupOrder: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "GroupOrder",
+      },
+      paymentMode: {
+        type: String,
+        enum: ["host", "split"],
+      },
+      shares: [
+        {
+          user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+          },
+          name: String,
+          subtotal: Number,
+          discount: Number,
+          fees: Number, // an equal part of the delivery, platform and packaging fees
+          taxes: Number,
+          total: Number,
+          paidAt: Date,
+        },
+      ],
+    },
+    // Pre-orders: start of the requested delivery slot, and when the order is
+    // released to the restaurant to start preparing
+    scheduledFor: Date,
+    releaseAt: Date,
     actualDeliveryTime: Date,
     timeline: [
       {
@@ -167,7 +277,12 @@ const orderSchema = new mongoose.Schema(
           type: String,
           enum: [
             "order_placed",
+            "order_modified",
+            "modification_requested",
+            "modification_rejected",
+            "tip_added",
             "payment_confirmed",
+            "payment_failed",
             "order_confirmed",
             "preparing",
             "ready_for_pickup",
@@ -175,6 +290,7 @@ const orderSchema = new mongoose.Schema(
             "out_for_delivery",
             "delivered",
             "cancelled",
+            "refunded",
           ],
         },
         timestamp: {
@@ -184,11 +300,98 @@ const orderSchema = new mongoose.Schema(
         description: String,
       },
     ],
+    // Stock taken from tracked menu items when the order was placed, given
+    // back if it is cancelled
+    stockReservation: {
+      items: [
+        {
+          menuItem: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "MenuItem",
+          },
+          quantity: Number,
+        },
+      ],
+      // Business day the stock was taken from
+      date: String,
+      releasedAt: Date,
+    },
     specialInstructions: {
       type: String,
       trim: true,
       maxlength: [500, "Special instructions cannot exceed 500 characters"],
     },
+    // Changes a customer asked for after the restaurant confirmed the order,
+    // waiting for the restaurant to accept them. Items are shaped like cart
+    // items and are repriced when the change is applied.
+    pendingModification: {
+      items: [
+        {
+          menuItem: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "MenuItem",
+            required: true,
+          },
+          quantity: {
+            type: Number,
+            required: true,
+            min: [1, "Quantity must be at least 1"],
+          },
+          variant: {
+            name: String,
+          },
+          addOns: [
+            {
+              name: {
+                type: String,
+                required: true,
+              },
+            },
+          ],
+          customizations: [
+            {
+              name: {
+                type: String,
+                required: true,
+              },
+              selectedOptions: [
+                {
+                  name: String,
+                  priceModifier: Number,
+                },
+              ],
+            },
+          ],
+          bundleSelections: [
+            {
+              slot: {
+                type: String,
+                required: true,
+              },
+              menuItem: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: "MenuItem",
+                required: true,
+              },
+            },
+          ],
+          specialInstructions: {
+            type: String,
+            trim: true,
+            maxlength: [
+              200,
+              "Special instructions cannot exceed 200 characters",
+            ],
+          },
+        },
+      ],
+      specialInstructions: {
+        type: String,
+        trim: true,
+        maxlength: [500, "Special instructions cannot exceed 500 characters"],
+      },
+      requestedAt: Date,
+    },
     cancellationReason: {
       type: String,
       enum: [
@@ -205,12 +408,12 @@ const orderSchema = new mongoose.Schema(
       reason: String,
       cancelledBy: {
         type: String,
-        enum: ["customer", "restaurant", "admin", "system"],
+        enum: ["customer", "restaurant", "delivery_partner", "admin", "system"],
       },
       refundAmount: Number,
       refundStatus: {
         type: String,
-        enum: ["pending", "processed", "failed"],
+        enum: ["pending", "processed", "failed", "rejected"],
       },
     },
     rating: {
@@ -236,6 +439,44 @@ const orderSchema = new mongoose.Schema(
       code: String,
       expiresAt: Date,
     },
+    // Restaurant's commission rate when the order was placed, in percent
+    commissionRate: {
+      type: Number,
+      min: [0, "Commission rate cannot be negative"],
+      max: [100, "Commission rate cannot exceed 100"],
+    },
+    // Side effects of a status change that failed after the status was
+    // saved, e.g. a cancellation refund, kept so they can be retried
+    failedEffects: [
+      {
+        effect: String,
+        // What the effect needs to run again: role, previousStatus, user
+        context: mongoose.Schema.Types.Mixed,
+        error: String,
+        attempts: {
+          type: Number,
+          default: 1,
+        },
+        lastAttemptAt: Date,
+      },
+    ],
+    // Progress of automatic delivery partner dispatch
+    dispatch: {
+      status: {
+        type: String,
+        enum: ["searching", "offered", "assigned", "unassigned"],
+      },
+      attempts: {
+        type: Number,
+        default: 0,
+      },
+      lastOfferedAt: Date,
+      // The open offer, while status is "offered"
+      offer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "DispatchOffer",
+      },
+    },
   },
   {
     timestamps: true,
@@ -252,36 +493,15 @@ orderSchema.index({ paymentStatus: 1 });
 orderSchema.index({ createdAt: -1 });
 orderSchema.index({ customer: 1, createdAt: -1 });
 orderSchema.index({ restaurant: 1, createdAt: -1 });
+orderSchema.index({ orderStatus: 1, releaseAt: 1 });
+orderSchema.index({ restaurant: 1, scheduledFor: 1 });
 
-// Generate order number before saving
-orderSchema.pre("save", async function (next) {
-  if (!this.orderNumber) {
-    const count = await mongoose.model("Order").countDocuments();
-    this.orderNumber = `FR${Date.now()}${String(count + 1).padStart(4, "0")}`;
-  }
-  next();
-});
-
-// Add timeline entry when status changes
+// Add the first timeline entry for new orders. Later status changes write
+// their own entries through the order state machine.
 orderSchema.pre("save", function (next) {
-  if (this.isModified("orderStatus")) {
+  if (this.isNew && this.timeline.length === 0) {
     this.timeline.push({
-      status:
-        this.orderStatus === "pending"
-          ? "order_placed"
-          : this.orderStatus === "confirmed"
-          ? "order_confirmed"
-          : this.orderStatus === "preparing"
-          ? "preparing"
-          : this.orderStatus === "ready_for_pickup"
-          ? "ready_for_pickup"
-          : this.orderStatus === "out_for_delivery"
-          ? "out_for_delivery"
-          : this.orderStatus === "delivered"
-          ? "delivered"
-          : this.orderStatus === "cancelled"
-          ? "cancelled"
-          : this.orderStatus,
+      status: "order_placed",
       timestamp: new Date(),
     });
   }
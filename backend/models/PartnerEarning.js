@@ -0,0 +1,94 @@
+import mongoose from "mongoose";
+
+// Append-only earnings ledger for delivery partners. Entries are never
+// changed or removed; corrections are posted as new adjustment entries.
+const partnerEarningSchema = new mongoose.Schema(
+  {
+    deliveryPartner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "DeliveryPartner",
+      required: true,
+      immutable: true,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      immutable: true,
+    },
+    type: {
+      type: String,
+      enum: [
+        "base_pay",
+        "distance_pay",
+        "tip",
+        "incentive",
+        "penalty",
+        "adjustment",
+      ],
+      required: true,
+      immutable: true,
+    },
+    // Signed amount; penalties are negative
+    amount: {
+      type: Number,
+      required: true,
+      immutable: true,
+    },
+    distance: {
+      type: Number, // in kilometers, for distance pay
+      min: 0,
+      immutable: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [200, "Description cannot exceed 200 characters"],
+      immutable: true,
+    },
+    // Stops the same earning from being posted twice, e.g. "delivery:<order>:base_pay"
+    idempotencyKey: {
+      type: String,
+      unique: true,
+      sparse: true,
+      immutable: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      immutable: true,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+// Indexes for better performance
+// Note: idempotencyKey already has unique index, no need to add manually
+partnerEarningSchema.index({ deliveryPartner: 1, createdAt: -1 });
+partnerEarningSchema.index({ order: 1 });
+
+// Reject any attempt to rewrite the ledger
+partnerEarningSchema.pre("save", function (next) {
+  if (!this.isNew) {
+    return next(new Error("Earnings ledger entries cannot be modified"));
+  }
+  next();
+});
+
+partnerEarningSchema.pre(
+  [
+    "updateOne",
+    "updateMany",
+    "findOneAndUpdate",
+    "replaceOne",
+    "deleteOne",
+    "deleteMany",
+    "findOneAndDelete",
+  ],
+  function (next) {
+    next(new Error("Earnings ledger entries cannot be modified"));
+  }
+);
+
+export default mongoose.model("PartnerEarning", partnerEarningSchema);
@@ -0,0 +1,63 @@
+import mongoose from "mongoose";
+
+const partnerPayoutSchema = new mongoose.Schema(
+  {
+    deliveryPartner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "DeliveryPartner",
+      required: true,
+    },
+    // Weekly batch the payout belongs to, e.g. "PB-20261012"
+    batchId: {
+      type: String,
+      required: true,
+    },
+    periodStart: {
+      type: Date,
+      required: true,
+    },
+    periodEnd: {
+      type: Date,
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: [0.01, "Payout amount must be positive"],
+    },
+    // Bank details at the time the batch was created
+    bankDetails: {
+      accountHolderName: String,
+      accountNumber: String,
+      ifscCode: String,
+      bankName: String,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "exported", "paid", "failed"],
+      default: "pending",
+    },
+    exportedAt: Date,
+    // Bank transfer reference (UTR) once reconciled
+    transferReference: String,
+    reconciledAt: Date,
+    reconciledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    failureReason: String,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for better performance
+partnerPayoutSchema.index(
+  { deliveryPartner: 1, periodStart: 1 },
+  { unique: true }
+);
+partnerPayoutSchema.index({ batchId: 1, status: 1 });
+partnerPayoutSchema.index({ status: 1, createdAt: -1 });
+
+export default mongoose.model("PartnerPayout", partnerPayoutSchema);
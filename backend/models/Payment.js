@@ -0,0 +1,90 @@
+import mongoose from "mongoose";
+
+const paymentSchema = new mongoose.Schema(
+  {
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+    },
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    provider: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    intentId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    transactionId: String,
+    amount: {
+      type: Number,
+      required: true,
+      min: [0, "Amount cannot be negative"],
+    },
+    currency: {
+      type: String,
+      default: "INR",
+    },
+    // Tips added after delivery are paid separately from the order
+    purpose: {
+      type: String,
+      enum: ["order", "tip"],
+      default: "order",
+    },
+    method: {
+      type: String,
+      enum: ["card", "upi", "wallet", "net_banking"],
+    },
+    status: {
+      type: String,
+      // "processing" while a capture is with the provider
+      enum: [
+        "created",
+        "processing",
+        "succeeded",
+        "failed",
+        "partially_refunded",
+        "refunded",
+      ],
+      default: "created",
+    },
+    refundedAmount: {
+      type: Number,
+      default: 0,
+      min: [0, "Refunded amount cannot be negative"],
+    },
+    failureReason: String,
+    capturedAt: Date,
+    events: [
+      {
+        eventId: String,
+        type: {
+          type: String,
+          required: true,
+        },
+        receivedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for better performance
+// Note: intentId already has unique index, no need to add manually
+paymentSchema.index({ order: 1 });
+paymentSchema.index({ customer: 1, createdAt: -1 });
+paymentSchema.index({ transactionId: 1 });
+
+export default mongoose.model("Payment", paymentSchema);
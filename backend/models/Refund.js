@@ -0,0 +1,129 @@
+import mongoose from "mongoose";
+
+const refundSchema = new mongoose.Schema(
+  {
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+    },
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    restaurant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Restaurant",
+      required: true,
+    },
+    // Set when the refund resolves a complaint
+    complaint: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Complaint",
+    },
+    type: {
+      type: String,
+      // "modification" pays back the difference when a customer reduces a
+      // paid order before it is prepared
+      enum: ["cancellation", "partial", "items", "modification"],
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: [0.01, "Refund amount must be positive"],
+    },
+    items: [
+      {
+        orderItem: {
+          type: mongoose.Schema.Types.ObjectId,
+          required: true,
+        },
+        name: String,
+        quantity: {
+          type: Number,
+          min: [1, "Quantity must be at least 1"],
+        },
+        amount: Number,
+      },
+    ],
+    reason: {
+      type: String,
+      required: [true, "Refund reason is required"],
+      trim: true,
+      maxlength: [500, "Reason cannot exceed 500 characters"],
+    },
+    orderStage: {
+      type: String, // order status when the refund was raised
+    },
+    // Who bears the cost; refunds the restaurant is liable for are deducted
+    // from its settlement
+    liableParty: {
+      type: String,
+      enum: ["restaurant", "delivery_partner", "platform"],
+      default: "platform",
+    },
+    destination: {
+      type: String,
+      enum: ["original_method", "wallet"],
+      default: "original_method",
+    },
+    status: {
+      type: String,
+      enum: ["pending_approval", "approved", "processed", "failed", "rejected"],
+      default: "pending_approval",
+    },
+    requestedBy: {
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      role: {
+        type: String,
+        enum: ["customer", "restaurant", "delivery_partner", "admin", "system"],
+      },
+    },
+    review: {
+      reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      reviewedAt: Date,
+      note: String,
+    },
+    attempts: [
+      {
+        destination: {
+          type: String,
+          enum: ["original_method", "wallet"],
+          required: true,
+        },
+        provider: String,
+        providerRefundId: String,
+        amount: Number,
+        status: {
+          type: String,
+          enum: ["succeeded", "failed"],
+          required: true,
+        },
+        failureReason: String,
+        attemptedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    processedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for better performance
+refundSchema.index({ order: 1 });
+refundSchema.index({ customer: 1, createdAt: -1 });
+refundSchema.index({ status: 1, createdAt: 1 });
+
+export default mongoose.model("Refund", refundSchema);
@@ -1,4 +1,30 @@
 import mongoose from "mongoose";
+import { getBusinessTimezone, isValidTimezone } from "../utils/helpers.js";
+import { isOpenAt } from "../services/restaurantScheduleService.js";
+
+const TIME_FORMAT = [
+  /^([01]\d|2[0-3]):[0-5]\d$/,
+  "Time must be in HH:MM format",
+];
+
+// A stretch of opening hours. A close time at or before the open time runs
+// past midnight into the next day.
+const shiftSchema = new mongoose.Schema(
+  {
+    open: { type: String, required: true, match: TIME_FORMAT },
+    close: { type: String, required: true, match: TIME_FORMAT },
+  },
+  { _id: false }
+);
+
+// A day of the week. open/close hold a single shift; days with a break, e.g.
+// lunch and dinner service, list their shifts instead.
+const dayHoursSchema = {
+  open: { type: String, match: TIME_FORMAT },
+  close: { type: String, match: TIME_FORMAT },
+  shifts: [shiftSchema],
+  isClosed: { type: Boolean, default: false },
+};
 
 const restaurantSchema = new mongoose.Schema(
   {
@@ -119,42 +145,60 @@ const restaurantSchema = new mongoose.Schema(
       public_id: String,
       url: String,
     },
-    openingHours: {
-      monday: {
-        open: String,
-        close: String,
-        isClosed: { type: Boolean, default: false },
-      },
-      tuesday: {
-        open: String,
-        close: String,
-        isClosed: { type: Boolean, default: false },
-      },
-      wednesday: {
-        open: String,
-        close: String,
-        isClosed: { type: Boolean, default: false },
-      },
-      thursday: {
-        open: String,
-        close: String,
-        isClosed: { type: Boolean, default: false },
-      },
-      friday: {
-        open: String,
-        close: String,
-        isClosed: { type: Boolean, default: false },
+    // Timezone the opening hours are kept in
+    timezone: {
+      type: String,
+      default: getBusinessTimezone,
+      validate: {
+        validator: isValidTimezone,
+        message: "Please provide a valid timezone, e.g. Asia/Kolkata",
       },
-      saturday: {
-        open: String,
-        close: String,
-        isClosed: { type: Boolean, default: false },
+    },
+    openingHours: {
+      monday: dayHoursSchema,
+      tuesday: dayHoursSchema,
+      wednesday: dayHoursSchema,
+      thursday: dayHoursSchema,
+      friday: dayHoursSchema,
+      saturday: dayHoursSchema,
+      sunday: dayHoursSchema,
+    },
+    // Holidays and other dates whose hours differ from the usual week
+    specialHours: {
+      type: [
+        {
+          date: {
+            type: String, // YYYY-MM-DD in the restaurant's timezone
+            required: true,
+            match: [/^\d{4}-\d{2}-\d{2}$/, "Date must be YYYY-MM-DD"],
+          },
+          isClosed: { type: Boolean, default: false },
+          shifts: [shiftSchema],
+          note: {
+            type: String,
+            trim: true,
+            maxlength: [100, "Note cannot exceed 100 characters"],
+          },
+        },
+      ],
+      validate: {
+        validator: function (entries) {
+          const dates = entries.map((entry) => entry.date);
+          return new Set(dates).size === dates.length;
+        },
+        message: "Each special date can only be listed once",
       },
-      sunday: {
-        open: String,
-        close: String,
-        isClosed: { type: Boolean, default: false },
+    },
+    // Closed by the owner outside the schedule, e.g. for a power cut
+    temporaryClosure: {
+      isClosed: { type: Boolean, default: false },
+      reason: {
+        type: String,
+        trim: true,
+        maxlength: [200, "Reason cannot exceed 200 characters"],
       },
+      until: Date, // reopens by itself at this time if set
+      closedAt: Date,
     },
     rating: {
       average: {
@@ -239,6 +283,22 @@ const restaurantSchema = new mongoose.Schema(
       ifscCode: String,
       bankName: String,
     },
+    // Platform commission charged on each order's food value, in percent
+    commissionRate: {
+      type: Number,
+      default: 20,
+      min: [0, "Commission rate cannot be negative"],
+      max: [100, "Commission rate cannot exceed 100"],
+    },
+    // Orders placed ahead for a delivery slot
+    preOrder: {
+      isEnabled: { type: Boolean, default: true },
+      slotCapacity: {
+        type: Number, // orders per delivery slot
+        default: 10,
+        min: [1, "Slot capacity must be at least 1"],
+      },
+    },
   },
   {
     timestamps: true,
@@ -255,17 +315,14 @@ restaurantSchema.index({ cuisine: 1 });
 restaurantSchema.index({ isActive: 1, isVerified: 1 });
 restaurantSchema.index({ "rating.average": -1 });
 
+// Check if the restaurant is open at a given time
+restaurantSchema.methods.isOpenAt = function (date) {
+  return isOpenAt(this, date);
+};
+
 // Check if restaurant is currently open
 restaurantSchema.methods.isOpenNow = function () {
-  const now = new Date();
-  const currentDay = now.toLocaleDateString("en-US", { weekday: "lowercase" });
-  const currentTime = now.toTimeString().slice(0, 5); // HH:MM format
-
-  const daySchedule = this.openingHours[currentDay];
-
-  if (daySchedule.isClosed) return false;
-
-  return currentTime >= daySchedule.open && currentTime <= daySchedule.close;
+  return this.isOpenAt(new Date());
 };
 
 export default mongoose.model("Restaurant", restaurantSchema);
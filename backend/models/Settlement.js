@@ -0,0 +1,109 @@
+import mongoose from "mongoose";
+
+const settlementSchema = new mongoose.Schema(
+  {
+    restaurant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Restaurant",
+      required: true,
+    },
+    statementNumber: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    periodStart: {
+      type: Date,
+      required: true,
+    },
+    periodEnd: {
+      type: Date,
+      required: true,
+    },
+    // One line per order delivered in the period
+    orders: [
+      {
+        order: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Order",
+          required: true,
+        },
+        orderNumber: String,
+        deliveredAt: Date,
+        foodValue: Number, // order subtotal
+        packagingFee: Number,
+        commissionRate: Number, // in percent
+        commission: Number,
+        commissionTax: Number,
+        // Collected from the customer but kept by the platform
+        platformFee: Number,
+        deliveryFee: Number,
+        foodTax: Number, // GST on the food, part of gstCollected
+        gstCollected: Number,
+        couponDiscount: Number, // platform funded
+        netAmount: Number,
+      },
+    ],
+    // Refunds in the period the restaurant is liable for
+    deductions: [
+      {
+        // A refund the restaurant is liable for, or a complaint penalty
+        refund: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Refund",
+        },
+        complaint: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Complaint",
+        },
+        order: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Order",
+        },
+        // For refunds, the restaurant's share of refundAmount
+        amount: Number,
+        refundAmount: Number, // refunds only: what the customer got back
+        reason: String,
+        processedAt: Date,
+      },
+    ],
+    totals: {
+      orderCount: { type: Number, default: 0 },
+      foodValue: { type: Number, default: 0 },
+      packagingFees: { type: Number, default: 0 },
+      gross: { type: Number, default: 0 },
+      commission: { type: Number, default: 0 },
+      commissionTax: { type: Number, default: 0 },
+      refundDeductions: { type: Number, default: 0 },
+      penaltyDeductions: { type: Number, default: 0 },
+      // Negative balance brought over from the previous statement
+      carriedForward: { type: Number, default: 0 },
+      netPayout: { type: Number, default: 0 },
+    },
+    // Bank details at the time the statement was generated
+    bankDetails: {
+      accountHolderName: String,
+      accountNumber: String,
+      ifscCode: String,
+      bankName: String,
+    },
+    gstNumber: String,
+    status: {
+      type: String,
+      enum: ["generated", "paid"],
+      default: "generated",
+    },
+    paidAt: Date,
+    transferReference: String,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for better performance
+// Note: statementNumber already has unique index, no need to add manually
+settlementSchema.index({ restaurant: 1, periodStart: 1 }, { unique: true });
+settlementSchema.index({ status: 1, periodStart: -1 });
+
+export default mongoose.model("Settlement", settlementSchema);
@@ -0,0 +1,51 @@
+import mongoose from "mongoose";
+
+const walletSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      unique: true,
+    },
+    balance: {
+      type: Number,
+      default: 0,
+      min: [0, "Wallet balance cannot be negative"],
+    },
+    transactions: [
+      {
+        type: {
+          type: String,
+          enum: ["credit", "debit"],
+          required: true,
+        },
+        amount: {
+          type: Number,
+          required: true,
+          min: [0.01, "Transaction amount must be positive"],
+        },
+        description: String,
+        order: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Order",
+        },
+        refund: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Refund",
+        },
+        createdAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Note: user already has unique index, no need to add manually
+
+export default mongoose.model("Wallet", walletSchema);
@@ -7,3 +7,19 @@ export { default as MenuItem } from "./MenuItem.js";
 export { default as Order } from "./Order.js";
 export { default as DeliveryPartner } from "./DeliveryPartner.js";
 export { default as Review } from "./Review.js";
+export { default as Cart } from "./Cart.js";
+export { default as Coupon } from "./Coupon.js";
+export { default as CouponUsage } from "./CouponUsage.js";
+export { default as Payment } from "./Payment.js";
+export { default as Refund } from "./Refund.js";
+export { default as Wallet } from "./Wallet.js";
+export { default as DispatchOffer } from "./DispatchOffer.js";
+export { default as LocationPoint } from "./LocationPoint.js";
+export { default as PartnerEarning } from "./PartnerEarning.js";
+export { default as PartnerPayout } from "./PartnerPayout.js";
+export { default as Settlement } from "./Settlement.js";
+export { default as Counter } from "./Counter.js";
+export { default as Invoice } from "./Invoice.js";
+export { default as GroupOrder } from "./GroupOrder.js";
+export { default as IdempotencyKey } from "./IdempotencyKey.js";
+export { default as Complaint } from "./Complaint.js";
@@ -0,0 +1,77 @@
+import express from "express";
+import { body } from "express-validator";
+import {
+  getCart,
+  addToCart,
+  updateCartItem,
+  removeCartItem,
+  clearCart,
+} from "../controllers/cartController.js";
+import { protect, customer } from "../middleware/auth.js";
+import { validateRequest } from "../middleware/validation.js";
+
+const router = express.Router();
+
+// @desc    Protected routes (Customer only)
+router.use(protect);
+router.use(customer);
+
+router.route("/").get(getCart).delete(clearCart);
+
+router.post(
+  "/items",
+  [
+    body("menuItem").isMongoId().withMessage("Valid menu item ID is required"),
+    body("quantity")
+      .optional()
+      .isInt({ min: 1, max: 50 })
+      .withMessage("Quantity must be between 1 and 50")
+      .toInt(),
+    body("addOns").optional().isArray().withMessage("Add-ons must be an array"),
+    body("customizations")
+      .optional()
+      .isArray()
+      .withMessage("Customizations must be an array"),
+    body("bundleSelections")
+      .optional()
+      .isArray()
+      .withMessage("Combo selections must be an array"),
+    body("bundleSelections.*.menuItem")
+      .isMongoId()
+      .withMessage("Valid combo item ID is required"),
+    validateRequest,
+  ],
+  addToCart
+);
+
+router
+  .route("/items/:itemId")
+  .put(
+    [
+      body("quantity")
+        .optional()
+        .isInt({ min: 1, max: 50 })
+        .withMessage("Quantity must be between 1 and 50")
+        .toInt(),
+      body("addOns")
+        .optional()
+        .isArray()
+        .withMessage("Add-ons must be an array"),
+      body("customizations")
+        .optional()
+        .isArray()
+        .withMessage("Customizations must be an array"),
+      body("bundleSelections")
+        .optional()
+        .isArray()
+        .withMessage("Combo selections must be an array"),
+      body("bundleSelections.*.menuItem")
+        .isMongoId()
+        .withMessage("Valid combo item ID is required"),
+      validateRequest,
+    ],
+    updateCartItem
+  )
+  .delete(removeCartItem);
+
+export default router;
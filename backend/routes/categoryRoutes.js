@@ -12,6 +12,7 @@ import {
   getPopularCategories,
 } from "../controllers/categoryController.js";
 import { protect, admin } from "../middleware/auth.js";
+import { GST_SLABS } from "../services/taxService.js";
 
 const router = express.Router();
 
@@ -32,6 +33,10 @@ router.post(
     body("name")
       .isLength({ max: 50 })
       .withMessage("Category name cannot exceed 50 characters"),
+    body("gstRate")
+      .optional()
+      .isIn(GST_SLABS)
+      .withMessage(`GST rate must be one of ${GST_SLABS.join(", ")}`),
   ],
   createCategory
 );
@@ -0,0 +1,140 @@
+import express from "express";
+import { body, query } from "express-validator";
+import {
+  createComplaint,
+  getMyComplaints,
+  getComplaints,
+  getComplaint,
+  assignComplaint,
+  resolveComplaintRequest,
+  rejectComplaint,
+} from "../controllers/complaintController.js";
+import { protect, admin, customer } from "../middleware/auth.js";
+import { validateRequest } from "../middleware/validation.js";
+import { COMPLAINT_ISSUES } from "../models/Complaint.js";
+
+const router = express.Router();
+
+// @desc    Protected routes
+router.use(protect);
+
+// @desc    Customer routes
+router.post(
+  "/",
+  customer,
+  [
+    body("orderId").isMongoId().withMessage("Valid order ID is required"),
+    body("issues")
+      .isArray({ min: 1 })
+      .withMessage("At least one issue is required"),
+    body("issues.*")
+      .isIn(COMPLAINT_ISSUES)
+      .withMessage(`Issues must be one of: ${COMPLAINT_ISSUES.join(", ")}`),
+    body("description")
+      .notEmpty()
+      .withMessage("Please describe the problem")
+      .isLength({ max: 1000 })
+      .withMessage("Description cannot exceed 1000 characters"),
+    body("items")
+      .optional()
+      .isArray({ min: 1 })
+      .withMessage("Items must be a non-empty array"),
+    body("items.*.itemId")
+      .optional()
+      .isMongoId()
+      .withMessage("Valid order item ID is required"),
+    body("items.*.quantity")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("Quantity must be at least 1")
+      .toInt(),
+    body("photos")
+      .optional()
+      .isArray({ max: 5 })
+      .withMessage("Up to 5 photos can be attached"),
+    body("photos.*.url")
+      .optional()
+      .isURL()
+      .withMessage("Photo URL must be valid"),
+    validateRequest,
+  ],
+  createComplaint
+);
+
+router.get("/my-complaints", customer, getMyComplaints);
+
+// @desc    Admin queue
+router.get(
+  "/",
+  admin,
+  [
+    query("status")
+      .optional()
+      .isIn(["open", "in_review", "resolved", "rejected"])
+      .withMessage("Invalid status"),
+    query("issue")
+      .optional()
+      .isIn(COMPLAINT_ISSUES)
+      .withMessage("Invalid issue"),
+    validateRequest,
+  ],
+  getComplaints
+);
+router.get("/:id", getComplaint);
+router.put(
+  "/:id/assign",
+  admin,
+  [
+    body("assignee")
+      .optional()
+      .isMongoId()
+      .withMessage("Valid assignee ID is required"),
+    validateRequest,
+  ],
+  assignComplaint
+);
+router.put(
+  "/:id/resolve",
+  admin,
+  [
+    body("action")
+      .isIn(["refund", "wallet_credit", "no_action"])
+      .withMessage("Action must be refund, wallet_credit or no_action"),
+    body("amount")
+      .optional()
+      .isFloat({ min: 0.01 })
+      .withMessage("Refund amount must be positive"),
+    body("items")
+      .optional()
+      .isArray({ min: 1 })
+      .withMessage("Items must be a non-empty array"),
+    body("items.*.itemId")
+      .optional()
+      .isMongoId()
+      .withMessage("Valid order item ID is required"),
+    body("liableParty")
+      .optional()
+      .isIn(["restaurant", "delivery_partner", "platform"])
+      .withMessage(
+        "Liable party must be restaurant, delivery_partner or platform"
+      ),
+    body("penalty")
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage("Penalty cannot be negative"),
+    body("note").notEmpty().withMessage("A resolution note is required"),
+    validateRequest,
+  ],
+  resolveComplaintRequest
+);
+router.put(
+  "/:id/reject",
+  admin,
+  [
+    body("note").notEmpty().withMessage("A note is required to reject"),
+    validateRequest,
+  ],
+  rejectComplaint
+);
+
+export default router;
@@ -0,0 +1,70 @@
+import express from "express";
+import { body } from "express-validator";
+import {
+  validateCoupon,
+  createCoupon,
+  getCoupons,
+  getCoupon,
+  updateCoupon,
+  deleteCoupon,
+} from "../controllers/couponController.js";
+import { protect, admin, customer } from "../middleware/auth.js";
+import { validateRequest } from "../middleware/validation.js";
+
+const router = express.Router();
+
+// @desc    Protected routes
+router.use(protect);
+
+// @desc    Customer routes
+router.post(
+  "/validate",
+  customer,
+  [
+    body("code").notEmpty().withMessage("Coupon code is required"),
+    body("cart")
+      .optional()
+      .isMongoId()
+      .withMessage("Valid cart ID is required"),
+    body("restaurant")
+      .if(body("cart").not().exists())
+      .isMongoId()
+      .withMessage("Valid restaurant ID is required"),
+    body("subtotal")
+      .if(body("cart").not().exists())
+      .isFloat({ min: 0 })
+      .withMessage("Valid subtotal is required"),
+    validateRequest,
+  ],
+  validateCoupon
+);
+
+// @desc    Admin routes
+router
+  .route("/")
+  .get(admin, getCoupons)
+  .post(
+    admin,
+    [
+      body("code").notEmpty().withMessage("Coupon code is required"),
+      body("discountType")
+        .isIn(["percentage", "flat"])
+        .withMessage("Discount type must be percentage or flat"),
+      body("discountValue")
+        .isFloat({ min: 0 })
+        .withMessage("Valid discount value is required"),
+      body("validUntil")
+        .isISO8601()
+        .withMessage("Valid expiry date is required"),
+      validateRequest,
+    ],
+    createCoupon
+  );
+
+router
+  .route("/:id")
+  .get(admin, getCoupon)
+  .put(admin, updateCoupon)
+  .delete(admin, deleteCoupon);
+
+export default router;
@@ -1,5 +1,5 @@
 import express from "express";
-import { body } from "express-validator";
+import { body, query } from "express-validator";
 import {
   applyDeliveryPartner,
   getMyProfile,
@@ -7,13 +7,25 @@ import {
   updateAvailability,
   getAvailableOrders,
   acceptOrder,
+  recordLocations,
+  acceptDeliveryOffer,
+  declineDeliveryOffer,
   getActiveOrders,
   getDeliveryHistory,
   getMyStats,
+  getMyEarnings,
+  addEarningEntry,
   getDeliveryPartners,
   updateApprovalStatus,
 } from "../controllers/deliveryPartnerController.js";
+import {
+  createPayoutBatch,
+  getPayouts,
+  exportPayoutBatch,
+  reconcilePayout,
+} from "../controllers/payoutController.js";
 import { protect, admin } from "../middleware/auth.js";
+import { validateRequest } from "../middleware/validation.js";
 
 const router = express.Router();
 
@@ -72,15 +84,106 @@ router.put(
   updateAvailability
 );
 
+// @desc    Location history route, points are sent in batches
+router.post(
+  "/locations",
+  [
+    body("points")
+      .isArray({ min: 1, max: 100 })
+      .withMessage("Between 1 and 100 location points are required"),
+    body("points.*.latitude")
+      .isFloat({ min: -90, max: 90 })
+      .withMessage("Valid latitude is required"),
+    body("points.*.longitude")
+      .isFloat({ min: -180, max: 180 })
+      .withMessage("Valid longitude is required"),
+    body("points.*.recordedAt")
+      .optional()
+      .isISO8601()
+      .withMessage("recordedAt must be a valid date"),
+    body(["points.*.accuracy", "points.*.speed", "points.*.heading"])
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage("Accuracy, speed and heading must be positive numbers"),
+    validateRequest,
+  ],
+  recordLocations
+);
+
 // @desc    Order management routes
 router.get("/available-orders", getAvailableOrders);
 router.post("/accept-order/:orderId", acceptOrder);
+router.post("/offers/:offerId/accept", acceptDeliveryOffer);
+router.post(
+  "/offers/:offerId/decline",
+  [
+    body("reason")
+      .optional()
+      .isLength({ max: 200 })
+      .withMessage("Reason cannot exceed 200 characters"),
+    validateRequest,
+  ],
+  declineDeliveryOffer
+);
 router.get("/active-orders", getActiveOrders);
 router.get("/delivery-history", getDeliveryHistory);
 
 // @desc    Statistics route
 router.get("/stats", getMyStats);
 
+// @desc    Earnings routes
+router.get(
+  "/earnings",
+  [
+    query(["from", "to"])
+      .optional()
+      .isISO8601()
+      .withMessage("from and to must be valid dates"),
+    validateRequest,
+  ],
+  getMyEarnings
+);
+
+// @desc    Payout batch routes (Admin only)
+router
+  .route("/payouts")
+  .get(admin, getPayouts)
+  .post(
+    admin,
+    [
+      body("weekStart")
+        .optional()
+        .isISO8601()
+        .withMessage("weekStart must be a valid date"),
+      validateRequest,
+    ],
+    createPayoutBatch
+  );
+router.get(
+  "/payouts/export",
+  admin,
+  [
+    query("batchId").notEmpty().withMessage("batchId is required"),
+    validateRequest,
+  ],
+  exportPayoutBatch
+);
+router.put(
+  "/payouts/:payoutId/reconcile",
+  admin,
+  [
+    body("status")
+      .isIn(["paid", "failed"])
+      .withMessage("Status must be paid or failed"),
+    body("transferReference")
+      .if(body("status").equals("paid"))
+      .notEmpty()
+      .withMessage("Transfer reference is required for paid payouts"),
+    validateRequest,
+  ],
+  reconcilePayout
+);
+
 // @desc    Admin routes
 router.get("/", admin, getDeliveryPartners);
 router.put(
@@ -89,5 +192,25 @@ router.put(
   [body("isApproved").isBoolean().withMessage("isApproved must be boolean")],
   updateApprovalStatus
 );
+router.post(
+  "/:id/earnings",
+  admin,
+  [
+    body("type")
+      .isIn(["tip", "incentive", "penalty", "adjustment"])
+      .withMessage("Type must be tip, incentive, penalty or adjustment"),
+    body("amount")
+      .isFloat()
+      .custom((value) => Number(value) !== 0)
+      .withMessage("A non-zero amount is required"),
+    body("description")
+      .trim()
+      .notEmpty()
+      .withMessage("Description is required"),
+    body("order").optional().isMongoId().withMessage("Invalid order ID"),
+    validateRequest,
+  ],
+  addEarningEntry
+);
 
 export default router;
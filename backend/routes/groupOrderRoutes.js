@@ -0,0 +1,126 @@
+import express from "express";
+import { body } from "express-validator";
+import {
+  createGroupOrder,
+  joinGroupOrder,
+  getGroupOrder,
+  addGroupOrderItem,
+  updateGroupOrderItem,
+  removeGroupOrderItem,
+  lockGroupOrder,
+  checkoutGroupOrder,
+  cancelGroupOrder,
+} from "../controllers/groupOrderController.js";
+import { protect, customer } from "../middleware/auth.js";
+import { validateRequest } from "../middleware/validation.js";
+
+const router = express.Router();
+
+// @desc    Protected routes (Customer only)
+router.use(protect);
+router.use(customer);
+
+router.post(
+  "/",
+  [
+    body("restaurant")
+      .isMongoId()
+      .withMessage("Valid restaurant ID is required"),
+    body("deliveryAddress")
+      .isMongoId()
+      .withMessage("Valid delivery address is required"),
+    body("paymentMode")
+      .optional()
+      .isIn(["host", "split"])
+      .withMessage("Payment mode must be host or split"),
+    validateRequest,
+  ],
+  createGroupOrder
+);
+
+router.post(
+  "/join",
+  [
+    body("shareCode")
+      .isString()
+      .notEmpty()
+      .withMessage("Share code is required"),
+    validateRequest,
+  ],
+  joinGroupOrder
+);
+
+router.route("/:id").get(getGroupOrder).delete(cancelGroupOrder);
+
+router.post(
+  "/:id/items",
+  [
+    body("menuItem").isMongoId().withMessage("Valid menu item ID is required"),
+    body("quantity")
+      .optional()
+      .isInt({ min: 1, max: 50 })
+      .withMessage("Quantity must be between 1 and 50")
+      .toInt(),
+    body("addOns").optional().isArray().withMessage("Add-ons must be an array"),
+    body("customizations")
+      .optional()
+      .isArray()
+      .withMessage("Customizations must be an array"),
+    body("bundleSelections")
+      .optional()
+      .isArray()
+      .withMessage("Combo selections must be an array"),
+    body("bundleSelections.*.menuItem")
+      .isMongoId()
+      .withMessage("Valid combo item ID is required"),
+    validateRequest,
+  ],
+  addGroupOrderItem
+);
+
+router
+  .route("/:id/items/:itemId")
+  .put(
+    [
+      body("quantity")
+        .isInt({ min: 1, max: 50 })
+        .withMessage("Quantity must be between 1 and 50")
+        .toInt(),
+      validateRequest,
+    ],
+    updateGroupOrderItem
+  )
+  .delete(removeGroupOrderItem);
+
+router.put(
+  "/:id/lock",
+  [
+    body("locked")
+      .optional()
+      .isBoolean()
+      .withMessage("Locked must be true or false"),
+    validateRequest,
+  ],
+  lockGroupOrder
+);
+
+router.post(
+  "/:id/checkout",
+  [
+    body("paymentMethod")
+      .isIn(["cash_on_delivery", "card", "upi", "wallet", "net_banking"])
+      .withMessage("Valid payment method is required"),
+    body("couponCode")
+      .optional()
+      .isString()
+      .withMessage("Coupon code must be a string"),
+    body("scheduledFor")
+      .optional()
+      .isISO8601()
+      .withMessage("Scheduled delivery time must be a valid date"),
+    validateRequest,
+  ],
+  checkoutGroupOrder
+);
+
+export default router;
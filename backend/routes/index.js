@@ -6,3 +6,10 @@ export { default as orderRoutes } from "./orderRoutes.js";
 export { default as categoryRoutes } from "./categoryRoutes.js";
 export { default as reviewRoutes } from "./reviewRoutes.js";
 export { default as deliveryPartnerRoutes } from "./deliveryPartnerRoutes.js";
+export { default as cartRoutes } from "./cartRoutes.js";
+export { default as couponRoutes } from "./couponRoutes.js";
+export { default as paymentRoutes } from "./paymentRoutes.js";
+export { default as refundRoutes } from "./refundRoutes.js";
+export { default as settlementRoutes } from "./settlementRoutes.js";
+export { default as groupOrderRoutes } from "./groupOrderRoutes.js";
+export { default as complaintRoutes } from "./complaintRoutes.js";
@@ -11,8 +11,12 @@ import {
   bulkUpdateMenuItems,
   getPopularMenuItems,
   searchMenuItems,
+  updateMenuItemStock,
+  getLowStockMenuItems,
 } from "../controllers/menuItemController.js";
 import { protect, restaurantOwner } from "../middleware/auth.js";
+import { validateRequest } from "../middleware/validation.js";
+import { GST_SLABS } from "../services/taxService.js";
 
 const router = express.Router();
 
@@ -33,15 +37,39 @@ router.post(
     body("name").notEmpty().withMessage("Menu item name is required"),
     body("price").isNumeric().withMessage("Valid price is required"),
     body("category").notEmpty().withMessage("Category is required"),
+    body("gstRate")
+      .optional()
+      .isIn(GST_SLABS)
+      .withMessage(`GST rate must be one of ${GST_SLABS.join(", ")}`),
     body("restaurant")
       .optional()
       .isMongoId()
       .withMessage("Valid restaurant ID is required"),
+    body("type")
+      .optional()
+      .isIn(["single", "bundle"])
+      .withMessage("Type must be single or bundle"),
+    body("bundleSlots")
+      .if(body("type").equals("bundle"))
+      .isArray({ min: 1 })
+      .withMessage("A combo needs at least one slot"),
+    body("bundleSlots.*.name")
+      .notEmpty()
+      .withMessage("Each combo slot needs a name"),
+    body("bundleSlots.*.options.*.menuItem")
+      .isMongoId()
+      .withMessage("Valid combo item ID is required"),
+    body("bundleSlots.*.options.*.upcharge")
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage("Upcharge cannot be negative"),
+    validateRequest,
   ],
   createMenuItem
 );
 
 router.get("/my/items", restaurantOwner, getMyMenuItems);
+router.get("/my/low-stock", restaurantOwner, getLowStockMenuItems);
 
 router.put(
   "/bulk-update",
@@ -56,5 +84,50 @@ router
   .delete(restaurantOwner, deleteMenuItem);
 
 router.put("/:id/availability", restaurantOwner, toggleMenuItemAvailability);
+router.put(
+  "/:id/stock",
+  restaurantOwner,
+  [
+    body("isTracked")
+      .optional()
+      .isBoolean()
+      .withMessage("isTracked must be a boolean"),
+    body("quantity")
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage("Quantity must be a whole number of at least 0")
+      .toInt(),
+    body("adjustment")
+      .optional()
+      .isInt()
+      .withMessage("Adjustment must be a whole number")
+      .custom((value, { req }) => req.body.quantity === undefined)
+      .withMessage("Send either a quantity or an adjustment, not both")
+      .toInt(),
+    body("parLevel")
+      .optional({ values: "null" })
+      .isInt({ min: 0 })
+      .withMessage("Par level must be a whole number of at least 0")
+      .toInt(),
+    body("lowStockThreshold")
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage("Low stock threshold must be a whole number of at least 0")
+      .toInt(),
+    body()
+      .custom((value) =>
+        [
+          "isTracked",
+          "quantity",
+          "adjustment",
+          "parLevel",
+          "lowStockThreshold",
+        ].some((field) => value[field] !== undefined)
+      )
+      .withMessage("Nothing to update"),
+    validateRequest,
+  ],
+  updateMenuItemStock
+);
 
 export default router;
@@ -1,5 +1,5 @@
 import express from "express";
-import { body } from "express-validator";
+import { body, query } from "express-validator";
 import {
   createOrder,
   getMyOrders,
@@ -10,16 +10,34 @@ import {
   cancelOrder,
   verifyDeliveryOTP,
   getOrderStats,
+  getDispatchOffers,
+  streamOrderUpdates,
+  getOrderTrack,
+  getOrderInvoice,
+  rescheduleOrder,
+  reorderOrder,
+  modifyOrder,
+  respondToOrderModification,
+  tipOrder,
+  getOrderTicket,
 } from "../controllers/orderController.js";
 import {
   protect,
   customer,
   restaurantOwner,
   authorize,
+  tokenFromQuery,
 } from "../middleware/auth.js";
+import { validateRequest } from "../middleware/validation.js";
+import { idempotent } from "../middleware/idempotency.js";
+import { MAX_TIP } from "../services/tipService.js";
 
 const router = express.Router();
 
+// @desc    Live order updates, also used by EventSource clients that pass
+// the token as a query parameter
+router.get("/:id/stream", tokenFromQuery, protect, streamOrderUpdates);
+
 // @desc    Protected routes
 router.use(protect);
 
@@ -27,19 +45,52 @@ router.use(protect);
 router.post(
   "/",
   customer,
+  idempotent,
   [
+    body("cart")
+      .optional()
+      .isMongoId()
+      .withMessage("Valid cart ID is required"),
     body("restaurant")
+      .if(body("cart").not().exists())
       .isMongoId()
       .withMessage("Valid restaurant ID is required"),
     body("items")
+      .if(body("cart").not().exists())
       .isArray({ min: 1 })
       .withMessage("At least one item is required"),
+    body("items.*.quantity")
+      .isInt({ min: 1, max: 50 })
+      .withMessage("Quantity must be between 1 and 50")
+      .toInt(),
+    body("items.*.bundleSelections")
+      .optional()
+      .isArray()
+      .withMessage("Combo selections must be an array"),
+    body("items.*.bundleSelections.*.menuItem")
+      .optional()
+      .isMongoId()
+      .withMessage("Valid combo item ID is required"),
     body("deliveryAddress")
       .isMongoId()
       .withMessage("Valid delivery address is required"),
     body("paymentMethod")
       .isIn(["cash_on_delivery", "card", "upi", "wallet", "net_banking"])
       .withMessage("Valid payment method is required"),
+    body("couponCode")
+      .optional()
+      .isString()
+      .withMessage("Coupon code must be a string"),
+    body("scheduledFor")
+      .optional()
+      .isISO8601()
+      .withMessage("Scheduled delivery time must be a valid date"),
+    body("tip")
+      .optional()
+      .isFloat({ min: 0, max: MAX_TIP })
+      .withMessage(`Tip must be between 0 and ${MAX_TIP}`)
+      .toFloat(),
+    validateRequest,
   ],
   createOrder
 );
@@ -52,6 +103,26 @@ router.get("/restaurant-orders", restaurantOwner, getRestaurantOrders);
 // @desc    Shared routes (accessible by customer, restaurant owner, delivery partner, admin)
 router.get("/stats", getOrderStats);
 router.get("/:id", getOrder);
+router.get("/:id/track", getOrderTrack);
+router.get(
+  "/:id/invoice",
+  [
+    query("type")
+      .optional()
+      .isIn(["invoice", "credit_note"])
+      .withMessage("Type must be invoice or credit_note"),
+    query("refund")
+      .optional()
+      .isMongoId()
+      .withMessage("Valid refund ID is required"),
+    query("format")
+      .optional()
+      .isIn(["json", "pdf"])
+      .withMessage("Format must be json or pdf"),
+    validateRequest,
+  ],
+  getOrderInvoice
+);
 
 // @desc    Status update routes
 router.put(
@@ -83,9 +154,92 @@ router.put(
   ],
   assignDeliveryPartner
 );
+router.get("/:id/dispatch-offers", restaurantOwner, getDispatchOffers);
+router.get("/:id/ticket", restaurantOwner, getOrderTicket);
+router.put(
+  "/:id/modification",
+  restaurantOwner,
+  [
+    body("accept").isBoolean().withMessage("accept must be true or false"),
+    body("reason")
+      .optional()
+      .isLength({ max: 500 })
+      .withMessage("Reason cannot exceed 500 characters"),
+    validateRequest,
+  ],
+  respondToOrderModification
+);
 
 // @desc    Customer specific routes
-router.put("/:id/cancel", customer, cancelOrder);
+router.put("/:id/cancel", customer, idempotent, cancelOrder);
+router.put(
+  "/:id/schedule",
+  customer,
+  [
+    body("scheduledFor")
+      .isISO8601()
+      .withMessage("Scheduled delivery time must be a valid date"),
+    validateRequest,
+  ],
+  rescheduleOrder
+);
+router.put(
+  "/:id/modify",
+  customer,
+  [
+    body("items")
+      .optional()
+      .isArray({ min: 1 })
+      .withMessage("At least one item is required"),
+    body("items.*.menuItem")
+      .isMongoId()
+      .withMessage("Valid menu item ID is required"),
+    body("items.*.quantity")
+      .isInt({ min: 1, max: 50 })
+      .withMessage("Quantity must be between 1 and 50")
+      .toInt(),
+    body("specialInstructions")
+      .optional()
+      .isLength({ max: 500 })
+      .withMessage("Special instructions cannot exceed 500 characters"),
+    body()
+      .custom(
+        (value) =>
+          value.items !== undefined || value.specialInstructions !== undefined
+      )
+      .withMessage("Nothing to change"),
+    validateRequest,
+  ],
+  modifyOrder
+);
+router.post(
+  "/:id/tip",
+  customer,
+  [
+    body("amount")
+      .isFloat({ min: 1, max: MAX_TIP })
+      .withMessage(`Tip must be between 1 and ${MAX_TIP}`)
+      .toFloat(),
+    body("paymentMethod")
+      .optional()
+      .isIn(["card", "upi", "wallet", "net_banking"])
+      .withMessage("Valid payment method is required"),
+    validateRequest,
+  ],
+  tipOrder
+);
+router.post(
+  "/:id/reorder",
+  customer,
+  [
+    body("replaceCart")
+      .optional()
+      .isBoolean()
+      .withMessage("replaceCart must be true or false"),
+    validateRequest,
+  ],
+  reorderOrder
+);
 
 // @desc    Delivery partner routes
 router.post(
@@ -0,0 +1,51 @@
+import express from "express";
+import { body } from "express-validator";
+import {
+  createIntent,
+  captureIntent,
+  refundIntent,
+  getOrderPayments,
+  paymentWebhook,
+} from "../controllers/paymentController.js";
+import { protect, admin, customer } from "../middleware/auth.js";
+import { validateRequest } from "../middleware/validation.js";
+import { idempotent } from "../middleware/idempotency.js";
+
+const router = express.Router();
+
+// @desc    Provider webhooks (verified by signature, not JWT)
+router.post("/webhook/:provider", paymentWebhook);
+
+// @desc    Protected routes
+router.use(protect);
+
+// @desc    Customer routes
+router.post(
+  "/intents",
+  customer,
+  [
+    body("orderId").isMongoId().withMessage("Valid order ID is required"),
+    validateRequest,
+  ],
+  createIntent
+);
+
+router.post("/:id/capture", customer, idempotent, captureIntent);
+
+router.get("/order/:orderId", getOrderPayments);
+
+// @desc    Admin routes
+router.post(
+  "/:id/refund",
+  admin,
+  [
+    body("amount")
+      .optional()
+      .isFloat({ min: 0.01 })
+      .withMessage("Refund amount must be positive"),
+    validateRequest,
+  ],
+  refundIntent
+);
+
+export default router;
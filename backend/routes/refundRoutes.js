@@ -0,0 +1,99 @@
+import express from "express";
+import { body } from "express-validator";
+import {
+  requestRefund,
+  getRefunds,
+  getMyRefunds,
+  getRefund,
+  approveRefund,
+  rejectRefund,
+  retryRefund,
+} from "../controllers/refundController.js";
+import { protect, admin, customer } from "../middleware/auth.js";
+import { validateRequest } from "../middleware/validation.js";
+
+const router = express.Router();
+
+// @desc    Protected routes
+router.use(protect);
+
+// @desc    Customer and admin routes
+router.post(
+  "/",
+  [
+    body("orderId").isMongoId().withMessage("Valid order ID is required"),
+    body("reason").notEmpty().withMessage("Refund reason is required"),
+    body("items")
+      .optional()
+      .isArray({ min: 1 })
+      .withMessage("Items must be a non-empty array"),
+    body("items.*.itemId")
+      .optional()
+      .isMongoId()
+      .withMessage("Valid order item ID is required"),
+    body("items.*.quantity")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("Quantity must be at least 1")
+      .toInt(),
+    body("amount")
+      .optional()
+      .isFloat({ min: 0.01 })
+      .withMessage("Refund amount must be positive"),
+    body("destination")
+      .optional()
+      .isIn(["original_method", "wallet"])
+      .withMessage("Destination must be original_method or wallet"),
+    body("liableParty")
+      .optional()
+      .isIn(["restaurant", "delivery_partner", "platform"])
+      .withMessage(
+        "Liable party must be restaurant, delivery_partner or platform"
+      ),
+    validateRequest,
+  ],
+  requestRefund
+);
+
+router.get("/my-refunds", customer, getMyRefunds);
+
+// @desc    Admin approval queue
+router.get("/", admin, getRefunds);
+router.get("/:id", getRefund);
+router.put(
+  "/:id/approve",
+  admin,
+  [
+    body("liableParty")
+      .optional()
+      .isIn(["restaurant", "delivery_partner", "platform"])
+      .withMessage(
+        "Liable party must be restaurant, delivery_partner or platform"
+      ),
+    validateRequest,
+  ],
+  approveRefund
+);
+router.put(
+  "/:id/reject",
+  admin,
+  [
+    body("note").notEmpty().withMessage("A note is required to reject"),
+    validateRequest,
+  ],
+  rejectRefund
+);
+router.post(
+  "/:id/retry",
+  admin,
+  [
+    body("destination")
+      .optional()
+      .isIn(["original_method", "wallet"])
+      .withMessage("Destination must be original_method or wallet"),
+    validateRequest,
+  ],
+  retryRefund
+);
+
+export default router;
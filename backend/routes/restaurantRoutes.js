@@ -1,5 +1,5 @@
 import express from "express";
-import { body } from "express-validator";
+import { body, query } from "express-validator";
 import {
   createRestaurant,
   getRestaurants,
@@ -10,9 +10,13 @@ import {
   getRestaurantMenu,
   getMyRestaurant,
   updateRestaurantStatus,
+  updateTemporaryClosure,
   getRestaurantStats,
+  updateCommissionRate,
+  getRestaurantDeliverySlots,
 } from "../controllers/restaurantController.js";
 import { protect, restaurantOwner, admin } from "../middleware/auth.js";
+import { validateRequest } from "../middleware/validation.js";
 
 const router = express.Router();
 
@@ -20,7 +24,25 @@ const router = express.Router();
 router.get("/", getRestaurants);
 router.get("/nearby", getNearbyRestaurants);
 router.get("/:id", getRestaurant);
-router.get("/:id/menu", getRestaurantMenu);
+router.get(
+  "/:id/menu",
+  [
+    query("at").optional().isISO8601().withMessage("Time must be a valid date"),
+    validateRequest,
+  ],
+  getRestaurantMenu
+);
+router.get(
+  "/:id/delivery-slots",
+  [
+    query("date")
+      .isISO8601({ strict: true })
+      .matches(/^\d{4}-\d{2}-\d{2}$/)
+      .withMessage("Date must be in YYYY-MM-DD format"),
+    validateRequest,
+  ],
+  getRestaurantDeliverySlots
+);
 
 // @desc    Protected routes
 router.use(protect);
@@ -66,6 +88,40 @@ router.put(
   updateRestaurantStatus
 );
 
+router.put(
+  "/:id/closure",
+  restaurantOwner,
+  [
+    body("isClosed").isBoolean().withMessage("isClosed must be boolean"),
+    body("reason")
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage("Reason cannot exceed 200 characters"),
+    body("until")
+      .optional()
+      .isISO8601()
+      .withMessage("Until must be a valid date")
+      .custom((value) => new Date(value) > new Date())
+      .withMessage("Until must be in the future"),
+    validateRequest,
+  ],
+  updateTemporaryClosure
+);
+
 router.get("/:id/stats", restaurantOwner, getRestaurantStats);
 
+router.put(
+  "/:id/commission",
+  admin,
+  [
+    body("commissionRate")
+      .isFloat({ min: 0, max: 100 })
+      .withMessage("Commission rate must be between 0 and 100"),
+    validateRequest,
+  ],
+  updateCommissionRate
+);
+
 export default router;
@@ -13,6 +13,7 @@ import {
   getReviewStats,
 } from "../controllers/reviewController.js";
 import { protect, customer, restaurantOwner } from "../middleware/auth.js";
+import { idempotent } from "../middleware/idempotency.js";
 
 const router = express.Router();
 
@@ -28,6 +29,7 @@ router.use(protect);
 router.post(
   "/",
   customer,
+  idempotent,
   [
     body("orderId").isMongoId().withMessage("Valid order ID is required"),
     body("ratings.food")
@@ -0,0 +1,48 @@
+import express from "express";
+import { body } from "express-validator";
+import {
+  getSettlements,
+  getSettlement,
+  downloadSettlement,
+  generateSettlements,
+  markSettlementPaid,
+} from "../controllers/settlementController.js";
+import { protect, admin, restaurantOwner } from "../middleware/auth.js";
+import { validateRequest } from "../middleware/validation.js";
+
+const router = express.Router();
+
+// @desc    Protected routes
+router.use(protect);
+
+// @desc    Admin routes
+router.post(
+  "/generate",
+  admin,
+  [
+    body("weekStart")
+      .optional()
+      .isISO8601()
+      .withMessage("weekStart must be a valid date"),
+    validateRequest,
+  ],
+  generateSettlements
+);
+router.put(
+  "/:id/paid",
+  admin,
+  [
+    body("transferReference")
+      .notEmpty()
+      .withMessage("Transfer reference is required"),
+    validateRequest,
+  ],
+  markSettlementPaid
+);
+
+// @desc    Restaurant owner routes
+router.get("/", restaurantOwner, getSettlements);
+router.get("/:id", restaurantOwner, getSettlement);
+router.get("/:id/download", restaurantOwner, downloadSettlement);
+
+export default router;
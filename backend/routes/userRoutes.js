@@ -13,6 +13,7 @@ import {
   updateAddress,
   deleteAddress,
   setDefaultAddress,
+  getWallet,
 } from "../controllers/userController.js";
 import { protect, admin, customer } from "../middleware/auth.js";
 import { validateRequest } from "../middleware/validation.js";
@@ -100,6 +101,9 @@ router.route("/addresses/:id").put(updateAddress).delete(deleteAddress);
 
 router.put("/addresses/:id/default", setDefaultAddress);
 
+// @desc    Wallet routes
+router.get("/wallet", getWallet);
+
 // @desc    Admin only routes
 router.get("/", admin, getUsers);
 router.delete("/:id", admin, deleteUser);
@@ -0,0 +1,199 @@
+import { MenuItem } from "../models/index.js";
+import { isSoldOut } from "./inventoryService.js";
+
+// Fields of the component items needed to validate and price a bundle
+export const BUNDLE_COMPONENT_FIELDS = "name isAvailable restaurant stock";
+
+const getId = (value) => (value?._id || value)?.toString();
+
+// Check a bundle's slots when it is created or edited: every component must
+// be a single item from the same restaurant, and the selection bounds must
+// be satisfiable. Returns an error message, or null if the slots are valid.
+export const getBundleSlotsError = async (restaurantId, bundleSlots) => {
+  if (!bundleSlots?.length) {
+    return "A combo needs at least one slot";
+  }
+
+  const slotNames = new Set();
+  for (let slot of bundleSlots) {
+    if (slotNames.has(slot.name)) {
+      return `Slot ${slot.name} is listed more than once`;
+    }
+    slotNames.add(slot.name);
+
+    if (!slot.options?.length) {
+      return `Slot ${slot.name} needs at least one option`;
+    }
+
+    const min = slot.minSelections ?? 1;
+    const max = slot.maxSelections ?? 1;
+    if (min > max) {
+      return `Slot ${slot.name} requires more selections than it allows`;
+    }
+  }
+
+  const ids = bundleSlots.flatMap((slot) =>
+    slot.options.map((option) => getId(option.menuItem))
+  );
+  const components = await MenuItem.find({ _id: { $in: ids } }).select(
+    "name type restaurant"
+  );
+  const componentMap = new Map(
+    components.map((component) => [component._id.toString(), component])
+  );
+
+  for (let id of ids) {
+    const component = componentMap.get(id);
+    if (!component || !component.restaurant.equals(restaurantId)) {
+      return "Combo items must be on this restaurant's menu";
+    }
+    if (component.type === "bundle") {
+      return `${component.name} is a combo and can't be part of another combo`;
+    }
+  }
+
+  return null;
+};
+
+// The customer's slot selections with fixed slots filled in, so clients
+// don't have to send the parts of a combo that can't be changed
+export const resolveBundleSelections = (menuItem, selections = []) => {
+  const resolved = selections.map((selection) => ({
+    slot: selection.slot,
+    menuItem: getId(selection.menuItem),
+  }));
+
+  for (let slot of menuItem.bundleSlots) {
+    const isFixed = slot.options.length === 1 && slot.minSelections > 0;
+    if (isFixed && !resolved.some((s) => s.slot === slot.name)) {
+      for (let i = 0; i < slot.minSelections; i++) {
+        resolved.push({
+          slot: slot.name,
+          menuItem: getId(slot.options[0].menuItem),
+        });
+      }
+    }
+  }
+
+  return resolved;
+};
+
+// Find the slot option a selection refers to, or null
+const findOption = (menuItem, selection) => {
+  const slot = menuItem.bundleSlots.find((s) => s.name === selection.slot);
+  const option = slot?.options.find(
+    (o) => getId(o.menuItem) === selection.menuItem
+  );
+  return option ? { slot, option } : null;
+};
+
+// Check a line's slot selections against a bundle. Component items must be
+// populated with BUNDLE_COMPONENT_FIELDS. Returns an error message, or null.
+export const validateBundleSelections = (menuItem, selections) => {
+  if (menuItem.type !== "bundle") {
+    return selections?.length > 0 ? `${menuItem.name} is not a combo` : null;
+  }
+
+  const counts = new Map();
+  for (let selection of resolveBundleSelections(menuItem, selections)) {
+    const slot = menuItem.bundleSlots.find((s) => s.name === selection.slot);
+    if (!slot) {
+      return `${menuItem.name} has no ${selection.slot} choice`;
+    }
+
+    const match = findOption(menuItem, selection);
+    if (!match) {
+      return `That item is not a ${slot.name} choice for ${menuItem.name}`;
+    }
+
+    const component = match.option.menuItem;
+    if (!component?.isAvailable || isSoldOut(component)) {
+      return `${component?.name || "An item"} is not available for ${
+        slot.name
+      }`;
+    }
+
+    counts.set(slot.name, (counts.get(slot.name) || 0) + 1);
+  }
+
+  for (let slot of menuItem.bundleSlots) {
+    const count = counts.get(slot.name) || 0;
+    if (count < slot.minSelections) {
+      return slot.minSelections === 1
+        ? `Please choose a ${slot.name}`
+        : `Please choose ${slot.minSelections} ${slot.name} items`;
+    }
+    if (count > slot.maxSelections) {
+      return `You can choose at most ${slot.maxSelections} ${slot.name} item${
+        slot.maxSelections === 1 ? "" : "s"
+      }`;
+    }
+  }
+
+  return null;
+};
+
+// Slot selections as stored on an order line, with names and upcharges from
+// the menu. Selections that don't match the bundle are left out.
+export const priceBundleSelections = (menuItem, selections) => {
+  if (menuItem.type !== "bundle") return [];
+
+  const priced = [];
+  for (let selection of resolveBundleSelections(menuItem, selections)) {
+    const match = findOption(menuItem, selection);
+    if (!match) continue;
+
+    priced.push({
+      slot: match.slot.name,
+      menuItem: getId(match.option.menuItem),
+      name: match.option.menuItem?.name,
+      upcharge: match.option.upcharge,
+    });
+  }
+
+  // Keep the menu's slot order, e.g. main, side, drink
+  const slotIndex = (name) =>
+    menuItem.bundleSlots.findIndex((slot) => slot.name === name);
+  return priced.sort((a, b) => slotIndex(a.slot) - slotIndex(b.slot));
+};
+
+// The order as the kitchen needs it: combos are broken down into the items
+// that have to be prepared, with repeated components counted together
+export const buildKitchenTicket = (order) =>
+  order.items.map((item) => {
+    const line = {
+      name: item.name,
+      quantity: item.quantity,
+      variant: item.variant?.name,
+      addOns: item.addOns.map((addOn) => addOn.name),
+      customizations: item.customizations.map((customization) => ({
+        name: customization.name,
+        options: customization.selectedOptions.map((option) => option.name),
+      })),
+      specialInstructions: item.specialInstructions,
+    };
+
+    if (item.bundleSelections?.length > 0) {
+      const components = [];
+      for (let selection of item.bundleSelections) {
+        const existing = components.find(
+          (c) =>
+            c.slot === selection.slot &&
+            c.menuItem.toString() === selection.menuItem.toString()
+        );
+        if (existing) {
+          existing.quantity += item.quantity;
+        } else {
+          components.push({
+            slot: selection.slot,
+            menuItem: selection.menuItem,
+            name: selection.name,
+            quantity: item.quantity,
+          });
+        }
+      }
+      line.components = components;
+    }
+
+    return line;
+  });
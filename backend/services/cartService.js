@@ -0,0 +1,197 @@
+import { Restaurant } from "../models/index.js";
+import {
+  loadMenuItems,
+  getUnavailableReason,
+  validateLineItem,
+  validateItemOptions,
+  priceLineItem,
+  calculateCharges,
+} from "./pricingService.js";
+
+// Reprice every line in the cart against the current menu
+export const buildCartSummary = async (cart) => {
+  if (!cart.restaurant || cart.items.length === 0) {
+    return { _id: cart._id, restaurant: null, items: [], pricing: null };
+  }
+
+  const [restaurant, menuItems] = await Promise.all([
+    Restaurant.findById(cart.restaurant).select(
+      "name images address.state deliveryFee deliveryTime minimumOrder isActive timezone"
+    ),
+    loadMenuItems(cart.items),
+  ]);
+
+  let subtotal = 0;
+  const items = cart.items.map((item) => {
+    const menuItem = menuItems.get(item.menuItem.toString());
+    const reason = validateLineItem(menuItem, item, cart.restaurant, {
+      timeZone: restaurant?.timezone,
+    });
+
+    if (reason) {
+      return {
+        _id: item._id,
+        menuItem: item.menuItem,
+        name: menuItem?.name,
+        quantity: item.quantity,
+        isAvailable: false,
+        reason,
+      };
+    }
+
+    const line = priceLineItem(menuItem, item);
+    subtotal += line.itemTotal;
+    return { _id: item._id, ...line, isAvailable: true };
+  });
+
+  // No delivery address yet, so taxes are previewed as intra-state
+  const pricing = restaurant
+    ? calculateCharges(
+        restaurant,
+        items.filter((item) => item.isAvailable)
+      )
+    : null;
+
+  return {
+    _id: cart._id,
+    restaurant,
+    items,
+    pricing,
+    isRestaurantAvailable: Boolean(restaurant?.isActive),
+    hasUnavailableItems: items.some((item) => !item.isAvailable),
+    meetsMinimumOrder: restaurant ? subtotal >= restaurant.minimumOrder : false,
+    updatedAt: cart.updatedAt,
+  };
+};
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// Rebuild cart lines from a past order against the current menu. Lines that
+// can't be ordered any more are left out; variants, add-ons and customization
+// options that no longer exist are dropped from their line. Everything that
+// differs from the original order is reported so the customer can review it.
+export const buildCartItemsFromOrder = async (order) => {
+  const menuItems = await loadMenuItems(order.items);
+
+  const items = [];
+  const unavailableItems = [];
+  const missingOptions = [];
+  const priceChanges = [];
+
+  for (let orderItem of order.items) {
+    const menuItemId = orderItem.menuItem.toString();
+    const menuItem = menuItems.get(menuItemId);
+    const reason = getUnavailableReason(menuItem, order.restaurant);
+
+    if (reason) {
+      unavailableItems.push({
+        menuItem: menuItemId,
+        name: orderItem.name,
+        reason,
+      });
+      continue;
+    }
+
+    const missing = { variant: null, addOns: [], customizations: [] };
+
+    let variant;
+    if (orderItem.variant?.name) {
+      const menuVariant = menuItem.variants.find(
+        (v) => v.name === orderItem.variant.name && v.isAvailable
+      );
+      if (menuVariant) {
+        variant = { name: menuVariant.name };
+      } else {
+        missing.variant = orderItem.variant.name;
+      }
+    }
+
+    const addOns = [];
+    for (let addOn of orderItem.addOns) {
+      const menuAddOn = menuItem.addOns.find((a) => a.name === addOn.name);
+      if (menuAddOn?.isAvailable) {
+        addOns.push({ name: addOn.name });
+      } else {
+        missing.addOns.push(addOn.name);
+      }
+    }
+
+    // Options take their current price from the menu
+    const customizations = [];
+    for (let customization of orderItem.customizations) {
+      const menuCustomization = menuItem.customizations.find(
+        (c) => c.name === customization.name
+      );
+      const selectedOptions = [];
+      for (let option of customization.selectedOptions) {
+        const menuOption = menuCustomization?.options.find(
+          (o) => o.name === option.name
+        );
+        if (menuOption) {
+          selectedOptions.push({
+            name: menuOption.name,
+            priceModifier: menuOption.priceModifier,
+          });
+        } else {
+          missing.customizations.push(`${customization.name}: ${option.name}`);
+        }
+      }
+      if (selectedOptions.length > 0) {
+        customizations.push({ name: customization.name, selectedOptions });
+      }
+    }
+
+    const item = {
+      menuItem: menuItem._id,
+      quantity: orderItem.quantity,
+      variant,
+      addOns,
+      customizations,
+      bundleSelections: orderItem.bundleSelections.map((selection) => ({
+        slot: selection.slot,
+        menuItem: selection.menuItem,
+      })),
+      specialInstructions: orderItem.specialInstructions,
+    };
+
+    // The menu's rules may have changed too, e.g. a new required choice
+    const optionError = validateItemOptions(menuItem, item);
+    if (optionError) {
+      unavailableItems.push({
+        menuItem: menuItemId,
+        name: orderItem.name,
+        reason: optionError,
+      });
+      continue;
+    }
+    items.push(item);
+
+    if (
+      missing.variant ||
+      missing.addOns.length > 0 ||
+      missing.customizations.length > 0
+    ) {
+      missingOptions.push({
+        menuItem: menuItemId,
+        name: orderItem.name,
+        ...missing,
+      });
+    }
+
+    // Compare unit prices, so quantity doesn't matter
+    const previousPrice = round(orderItem.itemTotal / orderItem.quantity);
+    const currentPrice = round(
+      priceLineItem(menuItem, item).itemTotal / item.quantity
+    );
+    if (previousPrice !== currentPrice) {
+      priceChanges.push({
+        menuItem: menuItemId,
+        name: orderItem.name,
+        previousPrice,
+        currentPrice,
+      });
+    }
+  }
+
+  return { items, unavailableItems, missingOptions, priceChanges };
+};
@@ -0,0 +1,217 @@
+import { Complaint, Counter, Order, Refund } from "../models/index.js";
+import {
+  calculateItemRefund,
+  getRefundableAmount,
+  processRefund,
+  releaseRefundItems,
+  reserveRefundItems,
+} from "./refundService.js";
+import { postEarning } from "./earningsService.js";
+
+// How long after delivery a complaint can be raised
+export const COMPLAINT_WINDOW_HOURS = 48;
+
+// Hours support has to resolve each issue; a complaint is due by its most
+// urgent one
+const SLA_HOURS = {
+  missing_items: 4,
+  wrong_order: 4,
+  stale_food: 4,
+  damaged_packaging: 12,
+  cold_food: 12,
+  late_delivery: 24,
+  rude_delivery: 24,
+  other: 24,
+};
+
+// Who is usually at fault for an issue, when the admin doesn't say
+const DEFAULT_LIABLE_PARTY = {
+  missing_items: "restaurant",
+  wrong_order: "restaurant",
+  stale_food: "restaurant",
+  cold_food: "restaurant",
+  damaged_packaging: "restaurant",
+  late_delivery: "delivery_partner",
+  rude_delivery: "delivery_partner",
+  other: "platform",
+};
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+export const getSlaDueAt = (issues, from = new Date()) =>
+  new Date(
+    from.getTime() +
+      Math.min(...issues.map((issue) => SLA_HOURS[issue])) * 60 * 60 * 1000
+  );
+
+export const isOverdue = (complaint, now = new Date()) =>
+  ["open", "in_review"].includes(complaint.status) && complaint.slaDueAt < now;
+
+// Ticket numbers run in one sequence, e.g. "CMP-000042"
+export const generateTicketNumber = async () =>
+  `CMP-${String(await Counter.next("complaint")).padStart(6, "0")}`;
+
+// Can a complaint be raised about this order? Returns an error message if not.
+export const getComplaintError = async (order) => {
+  if (order.orderStatus !== "delivered") {
+    return "Complaints can be raised once the order is delivered";
+  }
+
+  const windowEnd =
+    order.actualDeliveryTime.getTime() +
+    COMPLAINT_WINDOW_HOURS * 60 * 60 * 1000;
+  if (Date.now() > windowEnd) {
+    return `Complaints can only be raised within ${COMPLAINT_WINDOW_HOURS} hours of delivery`;
+  }
+
+  const open = await Complaint.exists({
+    order: order._id,
+    status: { $in: ["open", "in_review"] },
+  });
+  if (open) {
+    return "There is already an open complaint for this order";
+  }
+
+  return null;
+};
+
+// Close a complaint with a refund or wallet credit and an optional penalty
+// for whoever was at fault.
+//
+// resolution: { action, amount, items, liableParty, penalty, note }
+//   action  - "refund" to the original payment, "wallet_credit" or "no_action"
+//   items   - [{ itemId, quantity }] to price the refund from order lines
+//             instead of a fixed amount
+//   penalty - amount charged to the restaurant's settlement or taken from the
+//             delivery partner's earnings
+//
+// Returns { complaint, refund } or { error, statusCode }.
+export const resolveComplaint = async (complaint, resolution, admin) => {
+  const { action, items, note } = resolution;
+  const liableParty =
+    resolution.liableParty || DEFAULT_LIABLE_PARTY[complaint.issues[0]];
+  const penalty = round(Number(resolution.penalty) || 0);
+
+  const order = await Order.findById(complaint.order);
+  if (!order) {
+    return { error: "Order not found", statusCode: 404 };
+  }
+
+  // Work out the refund before anything is changed
+  let refundItems = [];
+  let refundAmount = 0;
+  if (action !== "no_action") {
+    if (items?.length > 0) {
+      const result = calculateItemRefund(order, items);
+      if (result.error) return { error: result.error, statusCode: 400 };
+      refundItems = result.items;
+      refundAmount = result.amount;
+    } else {
+      refundAmount = round(Number(resolution.amount) || 0);
+    }
+
+    const refundable = await getRefundableAmount(order);
+    if (refundAmount <= 0 || refundAmount > refundable) {
+      return {
+        error: `Refund must be between ₹0.01 and ₹${refundable} for this order`,
+        statusCode: 400,
+      };
+    }
+  }
+
+  if (penalty > 0 && liableParty === "platform") {
+    return {
+      error:
+        "Penalties can only be charged to the restaurant or delivery partner",
+      statusCode: 400,
+    };
+  }
+
+  if (
+    penalty > 0 &&
+    liableParty === "delivery_partner" &&
+    !complaint.deliveryPartner
+  ) {
+    return {
+      error: "This order had no delivery partner to penalize",
+      statusCode: 400,
+    };
+  }
+
+  // Hold the refunded items so they can't be claimed again
+  if (
+    refundItems.length > 0 &&
+    !(await reserveRefundItems(order, refundItems))
+  ) {
+    return {
+      error: "These items have already been refunded",
+      statusCode: 409,
+    };
+  }
+
+  // Claim the complaint so it can only be resolved once
+  const claimed = await Complaint.findOneAndUpdate(
+    { _id: complaint._id, status: { $in: ["open", "in_review"] } },
+    {
+      status: "resolved",
+      firstResponseAt: complaint.firstResponseAt || new Date(),
+    },
+    { new: true }
+  );
+  if (!claimed) {
+    await releaseRefundItems(order._id, refundItems);
+    return { error: "Complaint has already been closed", statusCode: 409 };
+  }
+
+  let refund = null;
+  if (refundAmount > 0) {
+    refund = await Refund.create({
+      order: order._id,
+      customer: order.customer,
+      restaurant: order.restaurant,
+      complaint: claimed._id,
+      type: refundItems.length > 0 ? "items" : "partial",
+      amount: refundAmount,
+      items: refundItems,
+      reason: `Complaint ${claimed.ticketNumber}: ${claimed.issues.join(", ")}`,
+      orderStage: order.orderStatus,
+      liableParty,
+      destination: action === "wallet_credit" ? "wallet" : "original_method",
+      status: "approved",
+      requestedBy: { user: admin._id, role: "admin" },
+      review: {
+        reviewedBy: admin._id,
+        reviewedAt: new Date(),
+        note,
+      },
+    });
+    await processRefund(refund, order);
+  }
+
+  let earning;
+  if (penalty > 0 && liableParty === "delivery_partner") {
+    earning = await postEarning({
+      deliveryPartner: claimed.deliveryPartner,
+      order: order._id,
+      type: "penalty",
+      amount: -penalty,
+      description: `Penalty for complaint ${claimed.ticketNumber}`,
+      idempotencyKey: `complaint:${claimed._id}:penalty`,
+      createdBy: admin._id,
+    });
+  }
+
+  claimed.resolution = {
+    action,
+    refund: refund?._id,
+    refundAmount: refundAmount || undefined,
+    liableParty,
+    penalty: penalty > 0 ? { amount: penalty, earning: earning?._id } : {},
+    note,
+    resolvedBy: admin._id,
+    resolvedAt: new Date(),
+  };
+  await claimed.save();
+
+  return { complaint: claimed, refund };
+};
@@ -0,0 +1,192 @@
+import { Coupon, CouponUsage, Counter, Order } from "../models/index.js";
+
+// Check a coupon code against an order and work out the discount.
+// Returns { coupon, discount } on success or { error } if it can't be used.
+export const evaluateCoupon = async ({
+  code,
+  userId,
+  restaurant,
+  subtotal,
+}) => {
+  const coupon = await Coupon.findOne({ code: code.toUpperCase().trim() });
+
+  if (!coupon || !coupon.isValidAt()) {
+    return { error: "Invalid or expired coupon code" };
+  }
+
+  if (subtotal < coupon.minOrderValue) {
+    return {
+      error: `Add items worth ₹${
+        coupon.minOrderValue - subtotal
+      } more to use this coupon`,
+    };
+  }
+
+  // Restaurant and cuisine scoping
+  if (
+    coupon.applicableRestaurants.length > 0 &&
+    !coupon.applicableRestaurants.some(
+      (id) => id.toString() === restaurant._id.toString()
+    )
+  ) {
+    return { error: "Coupon is not valid for this restaurant" };
+  }
+
+  if (
+    coupon.applicableCuisines.length > 0 &&
+    !restaurant.cuisine.some((c) => coupon.applicableCuisines.includes(c))
+  ) {
+    return { error: "Coupon is not valid for this cuisine" };
+  }
+
+  if (coupon.firstOrderOnly) {
+    const hasOrdered = await Order.exists({
+      customer: userId,
+      orderStatus: { $ne: "cancelled" },
+    });
+    if (hasOrdered) {
+      return { error: "Coupon is only valid on your first order" };
+    }
+  }
+
+  // Usage limits
+  if (coupon.usageLimit.total && coupon.usedCount >= coupon.usageLimit.total) {
+    return { error: "Coupon usage limit has been reached" };
+  }
+
+  const usage = await CouponUsage.findOne({ coupon: coupon._id, user: userId });
+  if (usage && usage.count >= coupon.usageLimit.perUser) {
+    return { error: "You have already used this coupon" };
+  }
+
+  return { coupon, discount: coupon.calculateDiscount(subtotal) };
+};
+
+const getFirstOrderCounter = (userId) => `first-order:${userId}`;
+
+const releaseFirstOrder = (userId) =>
+  Counter.updateOne(
+    { _id: getFirstOrderCounter(userId), seq: { $gt: 0 } },
+    { $inc: { seq: -1 } }
+  );
+
+// Take the customer's first order for a first-order coupon. The counter is
+// only taken while it is free, so two concurrent first orders can't both
+// use one; it is given back if the order is cancelled.
+const claimFirstOrder = async (userId) => {
+  try {
+    await Counter.updateOne(
+      { _id: getFirstOrderCounter(userId), seq: 0 },
+      { $inc: { seq: 1 } },
+      { upsert: true }
+    );
+  } catch (error) {
+    // The upsert collides with a counter that is already taken
+    if (error.code === 11000) return false;
+    throw error;
+  }
+
+  // Orders placed without a first-order coupon count too
+  if (
+    await Order.exists({ customer: userId, orderStatus: { $ne: "cancelled" } })
+  ) {
+    await releaseFirstOrder(userId);
+    return false;
+  }
+
+  return true;
+};
+
+// Atomically reserve one use of a coupon for a customer. Both the per-user
+// and global counters are only incremented while they are under the limit,
+// so concurrent checkouts can't push either past it.
+const reserveCouponUse = async (coupon, userId) => {
+  try {
+    const usage = await CouponUsage.findOneAndUpdate(
+      {
+        coupon: coupon._id,
+        user: userId,
+        count: { $lt: coupon.usageLimit.perUser },
+      },
+      { $inc: { count: 1 } },
+      { upsert: true, new: true }
+    );
+    if (!usage) return false;
+  } catch (error) {
+    // The upsert collides with an existing record that is at its limit
+    if (error.code === 11000) return false;
+    throw error;
+  }
+
+  const limitFilter = coupon.usageLimit.total
+    ? { usedCount: { $lt: coupon.usageLimit.total } }
+    : {};
+
+  const updated = await Coupon.findOneAndUpdate(
+    { _id: coupon._id, isActive: true, ...limitFilter },
+    { $inc: { usedCount: 1 } },
+    { new: true }
+  );
+
+  if (!updated) {
+    await CouponUsage.updateOne(
+      { coupon: coupon._id, user: userId },
+      { $inc: { count: -1 } }
+    );
+    return false;
+  }
+
+  return true;
+};
+
+// Reserve a coupon for a customer's order. First-order coupons also take
+// the customer's first order.
+export const redeemCoupon = async (coupon, userId) => {
+  if (coupon.firstOrderOnly && !(await claimFirstOrder(userId))) {
+    return false;
+  }
+
+  const redeemed = await reserveCouponUse(coupon, userId);
+  if (!redeemed && coupon.firstOrderOnly) {
+    await releaseFirstOrder(userId);
+  }
+  return redeemed;
+};
+
+// Give back a reserved use, e.g. when the order could not be created
+export const releaseCoupon = async (coupon, userId, orderId) => {
+  await Promise.all([
+    Coupon.updateOne(
+      { _id: coupon._id, usedCount: { $gt: 0 } },
+      { $inc: { usedCount: -1 } }
+    ),
+    CouponUsage.updateOne(
+      { coupon: coupon._id, user: userId, count: { $gt: 0 } },
+      { $inc: { count: -1 }, ...(orderId && { $pull: { orders: orderId } }) }
+    ),
+    coupon.firstOrderOnly && releaseFirstOrder(userId),
+  ]);
+};
+
+// Link a redeemed coupon to the order that used it
+export const recordCouponOrder = async (couponId, userId, orderId) => {
+  await CouponUsage.updateOne(
+    { coupon: couponId, user: userId },
+    { $push: { orders: orderId } }
+  );
+};
+
+// Give back the coupon used by an order that has been cancelled
+export const releaseOrderCoupon = async (order) => {
+  const couponCode = order.pricing?.discount?.couponCode;
+  if (!couponCode) return;
+
+  const coupon = await Coupon.findOne({ code: couponCode });
+  if (coupon) {
+    await releaseCoupon(
+      coupon,
+      order.customer._id || order.customer,
+      order._id
+    );
+  }
+};
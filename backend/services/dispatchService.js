@@ -0,0 +1,316 @@
+import {
+  DeliveryPartner,
+  DispatchOffer,
+  Order,
+  Restaurant,
+} from "../models/index.js";
+
+// Order statuses where a delivery partner can still be lined up
+const DISPATCHABLE_STATUSES = ["confirmed", "preparing", "ready_for_pickup"];
+
+// How often expired offers are checked for and unassigned orders retried
+const DISPATCH_INTERVAL_MS = 15 * 1000;
+
+const getOfferTimeout = () =>
+  (Number(process.env.DISPATCH_OFFER_TIMEOUT_SECONDS) || 45) * 1000;
+
+const getMaxDistance = () => Number(process.env.DISPATCH_MAX_DISTANCE_KM) || 10;
+
+const getReofferCooldown = () =>
+  (Number(process.env.DISPATCH_REOFFER_COOLDOWN_MINUTES) || 10) * 60 * 1000;
+
+const idOf = (value) => value?._id || value;
+
+// Online, approved and idle partners who cover the restaurant's area,
+// nearest first. Partners offered this order within the re-offer cooldown,
+// or holding an open offer for another one, are skipped.
+export const rankCandidates = async (order, restaurant) => {
+  const { city, coordinates } = restaurant.address;
+  if (!coordinates?.latitude || !coordinates?.longitude) return [];
+
+  const [recentlyOffered, busy] = await Promise.all([
+    DispatchOffer.distinct("deliveryPartner", {
+      order: order._id,
+      createdAt: { $gt: new Date(Date.now() - getReofferCooldown()) },
+    }),
+    DispatchOffer.distinct("deliveryPartner", {
+      status: "offered",
+      expiresAt: { $gt: new Date() },
+    }),
+  ]);
+
+  const partners = await DeliveryPartner.find({
+    _id: { $nin: [...recentlyOffered, ...busy] },
+    isActive: true,
+    currentOrder: null,
+    "availability.isOnline": true,
+    "verificationStatus.isApproved": true,
+    "workingAreas.city": city,
+  });
+
+  const maxDistance = getMaxDistance();
+
+  return partners
+    .filter(
+      (partner) =>
+        partner.availability.currentLocation?.latitude != null &&
+        partner.isAvailableInArea(
+          city,
+          coordinates.latitude,
+          coordinates.longitude
+        )
+    )
+    .map((partner) => ({
+      partner,
+      distance: partner.calculateDistance(
+        partner.availability.currentLocation.latitude,
+        partner.availability.currentLocation.longitude,
+        coordinates.latitude,
+        coordinates.longitude
+      ),
+    }))
+    .filter((candidate) => candidate.distance <= maxDistance)
+    .sort((a, b) => a.distance - b.distance);
+};
+
+// Offer the order to the best remaining candidate. Leaves the order
+// unassigned when nobody is left, so the dispatch timer can try again later.
+// The order's dispatch state is claimed before the offer is made, so only one
+// offer is open at a time: the order must not be on offer already, unless
+// previousOffer is the offer that just closed (orders offered before offers
+// were tracked on the order are let through too). The claim is handed back if
+// the offer can't be saved, so the dispatch timer picks the order up again.
+export const offerToNextPartner = async (order, previousOffer = null) => {
+  if (
+    order.deliveryPartner ||
+    !DISPATCHABLE_STATUSES.includes(order.orderStatus)
+  ) {
+    return null;
+  }
+
+  const restaurant = await Restaurant.findById(idOf(order.restaurant)).select(
+    "address"
+  );
+  const [next] = restaurant ? await rankCandidates(order, restaurant) : [];
+
+  const offer =
+    next &&
+    new DispatchOffer({
+      order: order._id,
+      deliveryPartner: next.partner._id,
+      distance: Math.round(next.distance * 100) / 100,
+      expiresAt: new Date(Date.now() + getOfferTimeout()),
+    });
+
+  const claimed = await Order.findOneAndUpdate(
+    {
+      _id: order._id,
+      deliveryPartner: null,
+      orderStatus: { $in: DISPATCHABLE_STATUSES },
+      $or: [
+        { "dispatch.status": { $ne: "offered" } },
+        ...(previousOffer
+          ? [{ "dispatch.offer": { $in: [previousOffer._id, null] } }]
+          : []),
+      ],
+    },
+    next
+      ? {
+          "dispatch.status": "offered",
+          "dispatch.offer": offer._id,
+          "dispatch.lastOfferedAt": new Date(),
+          $inc: { "dispatch.attempts": 1 },
+        }
+      : { "dispatch.status": "unassigned", "dispatch.offer": null },
+    { new: true }
+  );
+  if (!claimed || !next) return null;
+
+  offer.attempt = claimed.dispatch.attempts;
+  try {
+    return await offer.save();
+  } catch (error) {
+    await Order.updateOne(
+      { _id: order._id, "dispatch.offer": offer._id },
+      { "dispatch.status": "unassigned", "dispatch.offer": null }
+    );
+    throw error;
+  }
+};
+
+// Start looking for a partner, unless one is assigned or already being offered
+export const startDispatch = async (order) => {
+  if (
+    order.deliveryPartner ||
+    ["offered", "assigned"].includes(order.dispatch?.status)
+  ) {
+    return null;
+  }
+
+  return offerToNextPartner(order);
+};
+
+// Withdraw any open offers, e.g. when the order is cancelled
+export const cancelDispatch = async (order) => {
+  await DispatchOffer.updateMany(
+    { order: order._id, status: "offered" },
+    { status: "cancelled", respondedAt: new Date() }
+  );
+};
+
+// Take an idle partner for the order. Fails if they already have one.
+const claimPartner = (partnerId, orderId) =>
+  DeliveryPartner.findOneAndUpdate(
+    { _id: partnerId, currentOrder: null },
+    { currentOrder: orderId }
+  );
+
+// Undo claimPartner when the order couldn't be assigned after all
+const releasePartner = (partnerId, orderId) =>
+  DeliveryPartner.updateOne(
+    { _id: partnerId, currentOrder: orderId },
+    { $unset: { currentOrder: 1 } }
+  );
+
+// Assign a partner to an order and withdraw any other offers for it. The
+// partner must already be claimed for the order.
+const assignOrder = async (orderId, partnerId) => {
+  const order = await Order.findOneAndUpdate(
+    {
+      _id: orderId,
+      deliveryPartner: null,
+      orderStatus: { $in: DISPATCHABLE_STATUSES },
+    },
+    {
+      deliveryPartner: partnerId,
+      "dispatch.status": "assigned",
+      "dispatch.offer": null,
+    },
+    { new: true }
+  );
+  if (!order) return null;
+
+  await cancelDispatch(order);
+  return order;
+};
+
+// Accept an open offer on behalf of the partner it was made to
+export const acceptOffer = async (offerId, partner) => {
+  const pending = await DispatchOffer.findOne({
+    _id: offerId,
+    deliveryPartner: partner._id,
+  }).select("order");
+  if (!pending) {
+    return { error: "Offer is no longer available", statusCode: 400 };
+  }
+
+  if (!(await claimPartner(partner._id, pending.order))) {
+    return { error: "You already have an active order", statusCode: 400 };
+  }
+
+  const offer = await DispatchOffer.findOneAndUpdate(
+    {
+      _id: offerId,
+      deliveryPartner: partner._id,
+      status: "offered",
+      expiresAt: { $gt: new Date() },
+    },
+    { status: "accepted", respondedAt: new Date() },
+    { new: true }
+  );
+  if (!offer) {
+    await releasePartner(partner._id, pending.order);
+    return { error: "Offer is no longer available", statusCode: 400 };
+  }
+
+  const order = await assignOrder(offer.order, partner._id);
+  if (!order) {
+    offer.status = "cancelled";
+    await Promise.all([offer.save(), releasePartner(partner._id, offer.order)]);
+    return {
+      error: "Order no longer needs a delivery partner",
+      statusCode: 409,
+    };
+  }
+
+  return { offer, order };
+};
+
+// Decline an open offer and move on to the next candidate
+export const declineOffer = async (offerId, partner, reason) => {
+  const offer = await DispatchOffer.findOneAndUpdate(
+    { _id: offerId, deliveryPartner: partner._id, status: "offered" },
+    { status: "declined", respondedAt: new Date(), declineReason: reason },
+    { new: true }
+  );
+  if (!offer) {
+    return { error: "Offer is no longer available", statusCode: 400 };
+  }
+
+  const order = await Order.findById(offer.order);
+  if (order) await offerToNextPartner(order, offer);
+
+  return { offer };
+};
+
+// Assign a partner by hand, bypassing the offer queue
+export const assignPartner = async (order, partner) => {
+  if (!(await claimPartner(partner._id, order._id))) {
+    return {
+      error: "Delivery partner already has an active order",
+      statusCode: 400,
+    };
+  }
+
+  const assigned = await assignOrder(order._id, partner._id);
+  if (!assigned) {
+    await releasePartner(partner._id, order._id);
+    return {
+      error: "Order already has a delivery partner or can't be dispatched",
+      statusCode: 400,
+    };
+  }
+
+  return { order: assigned };
+};
+
+// Expire offers past their accept window and cascade each order to the next
+// candidate, then retry orders nobody was available for
+export const runDispatchCycle = async () => {
+  const expired = await DispatchOffer.find({
+    status: "offered",
+    expiresAt: { $lte: new Date() },
+  });
+
+  for (let offer of expired) {
+    const { modifiedCount } = await DispatchOffer.updateOne(
+      { _id: offer._id, status: "offered" },
+      { status: "expired" }
+    );
+    if (!modifiedCount) continue;
+
+    const order = await Order.findById(offer.order);
+    if (order) await offerToNextPartner(order, offer);
+  }
+
+  const unassigned = await Order.find({
+    "dispatch.status": "unassigned",
+    deliveryPartner: null,
+    orderStatus: { $in: DISPATCHABLE_STATUSES },
+  });
+
+  for (let order of unassigned) {
+    await offerToNextPartner(order);
+  }
+};
+
+// Run the dispatch cycle in the background for the lifetime of the process
+export const startDispatchTimer = () => {
+  const timer = setInterval(() => {
+    runDispatchCycle().catch((error) =>
+      console.error(`Dispatch cycle failed: ${error.message}`)
+    );
+  }, DISPATCH_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
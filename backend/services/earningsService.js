@@ -0,0 +1,338 @@
+import {
+  Address,
+  DeliveryPartner,
+  PartnerEarning,
+  PartnerPayout,
+  Restaurant,
+} from "../models/index.js";
+import {
+  calculateDistance,
+  getBusinessTimezone,
+  getStartOfWeek,
+  toCsv,
+} from "../utils/helpers.js";
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+const getBasePay = () => Number(process.env.PARTNER_BASE_PAY) || 30;
+
+const getPerKmPay = () => Number(process.env.PARTNER_PER_KM_PAY) || 8;
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// Add an entry to the ledger and keep the partner's running total in step.
+// Returns the existing entry if one was already posted with the same key.
+export const postEarning = async ({
+  deliveryPartner,
+  order,
+  type,
+  amount,
+  distance,
+  description,
+  idempotencyKey,
+  createdBy,
+}) => {
+  try {
+    const entry = await PartnerEarning.create({
+      deliveryPartner,
+      order,
+      type,
+      amount: round(amount),
+      distance,
+      description,
+      idempotencyKey,
+      createdBy,
+    });
+
+    await DeliveryPartner.updateOne(
+      { _id: deliveryPartner },
+      {
+        $inc: {
+          "statistics.totalEarnings": entry.amount,
+          ...(type === "tip" && { "statistics.totalTips": entry.amount }),
+        },
+      }
+    );
+
+    return entry;
+  } catch (error) {
+    if (error.code === 11000 && idempotencyKey) {
+      return PartnerEarning.findOne({ idempotencyKey });
+    }
+    throw error;
+  }
+};
+
+// Pass the tip on an order to its delivery partner in full, whether it was
+// added at checkout or after delivery. Safe to call again; the tip is only
+// posted once.
+export const creditTip = async (order) => {
+  const amount =
+    (order.pricing.tip || 0) + (order.pricing.postDeliveryTip || 0);
+  if (!order.deliveryPartner || !(amount > 0)) return null;
+
+  return postEarning({
+    deliveryPartner: order.deliveryPartner._id || order.deliveryPartner,
+    order: order._id,
+    type: "tip",
+    amount,
+    description: `Tip for order ${order.orderNumber}`,
+    idempotencyKey: `delivery:${order._id}:tip`,
+  });
+};
+
+// Post base pay and per-km pay for a delivered order, and any tip added at
+// checkout. Distance is measured from the restaurant to the delivery address.
+export const recordDeliveryEarnings = async (order) => {
+  if (!order.deliveryPartner) return [];
+
+  const deliveryPartner = order.deliveryPartner._id || order.deliveryPartner;
+  const [restaurant, address] = await Promise.all([
+    Restaurant.findById(order.restaurant._id || order.restaurant).select(
+      "address.coordinates"
+    ),
+    Address.findById(order.deliveryAddress._id || order.deliveryAddress).select(
+      "coordinates"
+    ),
+  ]);
+
+  const from = restaurant?.address?.coordinates;
+  const to = address?.coordinates;
+  const distance =
+    from?.latitude != null && to?.latitude != null
+      ? round(
+          calculateDistance(
+            from.latitude,
+            from.longitude,
+            to.latitude,
+            to.longitude
+          )
+        )
+      : 0;
+
+  const entries = [
+    await postEarning({
+      deliveryPartner,
+      order: order._id,
+      type: "base_pay",
+      amount: getBasePay(),
+      description: `Base pay for order ${order.orderNumber}`,
+      idempotencyKey: `delivery:${order._id}:base_pay`,
+    }),
+  ];
+
+  if (distance > 0) {
+    entries.push(
+      await postEarning({
+        deliveryPartner,
+        order: order._id,
+        type: "distance_pay",
+        amount: distance * getPerKmPay(),
+        distance,
+        description: `${distance} km for order ${order.orderNumber}`,
+        idempotencyKey: `delivery:${order._id}:distance_pay`,
+      })
+    );
+  }
+
+  const tip = await creditTip(order);
+  if (tip) entries.push(tip);
+
+  return entries;
+};
+
+// Total of all ledger entries for a partner, optionally before a date
+const getLedgerTotal = async (deliveryPartner, before) => {
+  const [result] = await PartnerEarning.aggregate([
+    {
+      $match: {
+        deliveryPartner,
+        ...(before && { createdAt: { $lt: before } }),
+      },
+    },
+    { $group: { _id: null, total: { $sum: "$amount" } } },
+  ]);
+  return result?.total || 0;
+};
+
+// Total already paid out or on its way; failed payouts are owed again
+const getPayoutTotal = async (deliveryPartner) => {
+  const [result] = await PartnerPayout.aggregate([
+    { $match: { deliveryPartner, status: { $ne: "failed" } } },
+    { $group: { _id: null, total: { $sum: "$amount" } } },
+  ]);
+  return result?.total || 0;
+};
+
+// Earnings not yet covered by a payout
+export const getUnpaidBalance = async (deliveryPartner) =>
+  round(
+    (await getLedgerTotal(deliveryPartner)) -
+      (await getPayoutTotal(deliveryPartner))
+  );
+
+// Create the payout batch for the week starting at weekStart. Each partner
+// is paid everything earned up to the end of the week that hasn't been paid
+// yet, so negative weeks and failed transfers carry over. Safe to re-run.
+export const createWeeklyPayouts = async (weekStart) => {
+  const periodStart = getStartOfWeek(weekStart, getBusinessTimezone());
+  const periodEnd = new Date(periodStart.getTime() + WEEK_MS);
+
+  if (periodEnd > new Date()) {
+    return { error: "Payouts can only be created for completed weeks" };
+  }
+
+  const localDate = new Intl.DateTimeFormat("en-CA", {
+    timeZone: getBusinessTimezone(),
+  }).format(periodStart);
+  const batchId = `PB-${localDate.replace(/-/g, "")}`;
+
+  const partnerIds = await PartnerEarning.distinct("deliveryPartner", {
+    createdAt: { $lt: periodEnd },
+  });
+
+  const payouts = [];
+  for (let partnerId of partnerIds) {
+    const exists = await PartnerPayout.exists({
+      deliveryPartner: partnerId,
+      periodStart,
+    });
+    if (exists) continue;
+
+    const amount = round(
+      (await getLedgerTotal(partnerId, periodEnd)) -
+        (await getPayoutTotal(partnerId))
+    );
+    if (amount <= 0) continue;
+
+    const partner = await DeliveryPartner.findById(partnerId).select(
+      "bankDetails"
+    );
+    if (!partner) continue;
+
+    try {
+      payouts.push(
+        await PartnerPayout.create({
+          deliveryPartner: partnerId,
+          batchId,
+          periodStart,
+          periodEnd,
+          amount,
+          bankDetails: {
+            accountHolderName: partner.bankDetails.accountHolderName,
+            accountNumber: partner.bankDetails.accountNumber,
+            ifscCode: partner.bankDetails.ifscCode,
+            bankName: partner.bankDetails.bankName,
+          },
+        })
+      );
+    } catch (error) {
+      // Another run created this payout first
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  return { batchId, periodStart, periodEnd, payouts };
+};
+
+// Bank transfer file for a set of payouts
+export const buildPayoutCsv = (payouts) => {
+  const header = [
+    "Payout ID",
+    "Beneficiary Name",
+    "Account Number",
+    "IFSC Code",
+    "Bank Name",
+    "Amount",
+    "Narration",
+  ];
+
+  const rows = payouts.map((payout) => [
+    payout._id,
+    payout.bankDetails.accountHolderName,
+    payout.bankDetails.accountNumber,
+    payout.bankDetails.ifscCode,
+    payout.bankDetails.bankName,
+    payout.amount.toFixed(2),
+    `FoodRush payout ${payout.batchId}`,
+  ]);
+
+  return toCsv([header, ...rows]);
+};
+
+// Start of the current payout week
+export const getCurrentWeekStart = () =>
+  getStartOfWeek(new Date(), getBusinessTimezone());
+
+// Daily and weekly earnings for a partner between two dates
+export const getEarningsBreakdown = async (deliveryPartner, from, to) => {
+  const match = {
+    deliveryPartner,
+    createdAt: { $gte: from, $lt: to },
+  };
+
+  const bucket = (unit) => [
+    { $match: match },
+    {
+      $group: {
+        _id: {
+          period: {
+            $dateTrunc: {
+              date: "$createdAt",
+              unit,
+              timezone: getBusinessTimezone(),
+              startOfWeek: "monday",
+            },
+          },
+          type: "$type",
+        },
+        amount: { $sum: "$amount" },
+        orders: { $addToSet: "$order" },
+      },
+    },
+    {
+      $group: {
+        _id: "$_id.period",
+        total: { $sum: "$amount" },
+        byType: { $push: { k: "$_id.type", v: { $round: ["$amount", 2] } } },
+        orders: { $push: "$orders" },
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        period: "$_id",
+        total: { $round: ["$total", 2] },
+        byType: { $arrayToObject: "$byType" },
+        // Distinct orders, leaving out entries with none such as incentives
+        deliveries: {
+          $size: {
+            $filter: {
+              input: {
+                $reduce: {
+                  input: "$orders",
+                  initialValue: [],
+                  in: { $setUnion: ["$$value", "$$this"] },
+                },
+              },
+              as: "order",
+              cond: { $ne: ["$$order", null] },
+            },
+          },
+        },
+      },
+    },
+    { $sort: { period: 1 } },
+  ];
+
+  const [daily, weekly] = await Promise.all([
+    PartnerEarning.aggregate(bucket("day")),
+    PartnerEarning.aggregate(bucket("week")),
+  ]);
+
+  return {
+    total: round(daily.reduce((sum, day) => sum + day.total, 0)),
+    daily,
+    weekly,
+  };
+};
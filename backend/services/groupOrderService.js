@@ -0,0 +1,142 @@
+import crypto from "crypto";
+import { Address, Restaurant } from "../models/index.js";
+import {
+  loadMenuItems,
+  validateLineItem,
+  priceLineItem,
+  calculateCharges,
+} from "./pricingService.js";
+import { taxAmount } from "./taxService.js";
+
+// Sessions left open longer than this can no longer be joined or ordered
+export const GROUP_ORDER_TTL_HOURS = 12;
+
+// Share codes avoid characters that are easy to misread (0/O, 1/I)
+const SHARE_CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const SHARE_CODE_LENGTH = 6;
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+export const generateShareCode = () =>
+  Array.from(
+    { length: SHARE_CODE_LENGTH },
+    () => SHARE_CODE_ALPHABET[crypto.randomInt(SHARE_CODE_ALPHABET.length)]
+  ).join("");
+
+// Work out what each participant owes for a priced group order. Everyone pays
+// for their own items and the tax on them; fees and the tax on fees are split
+// equally between participants who ordered something.
+export const calculateShares = (participants, orderItems, pricing) => {
+  const fees =
+    (pricing.deliveryFee || 0) +
+    (pricing.platformFee || 0) +
+    (pricing.packagingFee || 0);
+  const feeTaxes = Object.values(pricing.feeTaxes || {}).reduce(
+    (sum, tax) => sum + taxAmount(tax),
+    0
+  );
+
+  const payers = participants.filter((participant) =>
+    orderItems.some((line) => line.participant?.equals(participant.user))
+  );
+  if (payers.length === 0) return [];
+
+  const shares = payers.map((participant) => {
+    const lines = orderItems.filter((line) =>
+      line.participant?.equals(participant.user)
+    );
+    const subtotal = lines.reduce((sum, line) => sum + line.itemTotal, 0);
+    const taxable = lines.reduce(
+      (sum, line) => sum + (line.tax?.taxableAmount ?? line.itemTotal),
+      0
+    );
+    const foodTax = lines.reduce((sum, line) => sum + taxAmount(line.tax), 0);
+
+    const share = {
+      user: participant.user,
+      name: participant.name,
+      subtotal: round(subtotal),
+      discount: round(subtotal - taxable),
+      fees: round(fees / payers.length),
+      taxes: round(foodTax + feeTaxes / payers.length),
+    };
+    share.total = round(
+      share.subtotal - share.discount + share.fees + share.taxes
+    );
+    return share;
+  });
+
+  // Rounding leftovers go to the first share, the host's when they ordered
+  const leftover = round(
+    pricing.total - shares.reduce((sum, share) => sum + share.total, 0)
+  );
+  shares[0].fees = round(shares[0].fees + leftover);
+  shares[0].total = round(shares[0].total + leftover);
+
+  return shares;
+};
+
+// Reprice the session against the current menu, with each participant's share
+export const buildGroupSummary = async (session) => {
+  const [restaurant, address, menuItems] = await Promise.all([
+    Restaurant.findById(session.restaurant).select(
+      "name images address.state deliveryFee deliveryTime minimumOrder isActive timezone"
+    ),
+    Address.findById(session.deliveryAddress),
+    loadMenuItems(session.items),
+  ]);
+
+  const lines = [];
+  const items = session.items.map((item) => {
+    const menuItem = menuItems.get(item.menuItem.toString());
+    const reason = validateLineItem(menuItem, item, session.restaurant, {
+      timeZone: restaurant?.timezone,
+    });
+
+    if (reason) {
+      return {
+        _id: item._id,
+        participant: item.participant,
+        menuItem: item.menuItem,
+        name: menuItem?.name,
+        quantity: item.quantity,
+        isAvailable: false,
+        reason,
+      };
+    }
+
+    const line = {
+      _id: item._id,
+      ...priceLineItem(menuItem, item),
+      isAvailable: true,
+    };
+    lines.push(line);
+    return line;
+  });
+
+  const pricing =
+    restaurant && lines.length > 0
+      ? calculateCharges(restaurant, lines, { deliveryState: address?.state })
+      : null;
+  const subtotal = lines.reduce((sum, line) => sum + line.itemTotal, 0);
+
+  return {
+    _id: session._id,
+    host: session.host,
+    shareCode: session.shareCode,
+    paymentMode: session.paymentMode,
+    status: session.status,
+    restaurant,
+    deliveryAddress: address,
+    participants: session.participants,
+    items,
+    pricing,
+    shares: pricing
+      ? calculateShares(session.participants, lines, pricing)
+      : [],
+    hasUnavailableItems: items.some((item) => !item.isAvailable),
+    meetsMinimumOrder: restaurant ? subtotal >= restaurant.minimumOrder : false,
+    order: session.order,
+    expiresAt: session.expiresAt,
+  };
+};
@@ -0,0 +1,214 @@
+import { MenuItem, Order, Restaurant } from "../models/index.js";
+import { getBusinessTimezone } from "../utils/helpers.js";
+
+// How often tracked items are checked for their daily reset to par level
+const STOCK_RESET_INTERVAL_MS = 5 * 60 * 1000;
+
+// Stock is counted per day in the restaurant's timezone, e.g. "2026-10-18"
+export const getStockDay = (
+  date = new Date(),
+  timeZone = getBusinessTimezone()
+) =>
+  new Intl.DateTimeFormat("en-CA", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  }).format(date);
+
+export const isSoldOut = (menuItem) =>
+  Boolean(menuItem?.stock?.isTracked && menuItem.stock.quantity <= 0);
+
+const getId = (value) => (value?._id || value).toString();
+
+// How many of each menu item a set of order lines uses up. Combos use up
+// their components as well as themselves.
+export const getStockUsage = (orderItems) => {
+  const usage = new Map();
+  const add = (menuItem, quantity) => {
+    const id = getId(menuItem);
+    usage.set(id, (usage.get(id) || 0) + quantity);
+  };
+
+  for (let item of orderItems) {
+    add(item.menuItem, item.quantity);
+    for (let selection of item.bundleSelections || []) {
+      add(selection.menuItem, item.quantity);
+    }
+  }
+
+  return usage;
+};
+
+// Put stock back. Given the day it was taken, items whose count has been
+// reset to par since then aren't topped up again.
+export const releaseStock = async (items, date) => {
+  await Promise.all(
+    items.map(({ menuItem, quantity }) =>
+      MenuItem.updateOne(
+        {
+          _id: menuItem,
+          "stock.isTracked": true,
+          ...(date && {
+            $or: [{ "stock.parLevel": null }, { "stock.resetDate": date }],
+          }),
+        },
+        { $inc: { "stock.quantity": quantity } }
+      )
+    )
+  );
+};
+
+// Take stock for a map of menu item id -> quantity. Each count is only
+// decremented while enough is left, so concurrent orders can't oversell;
+// if any item falls short, what was already taken is put back.
+// Returns { items, date } for the order to keep, or { error, statusCode }.
+export const reserveStock = async (usage, timeZone) => {
+  const date = getStockDay(new Date(), timeZone);
+  const tracked = await MenuItem.find({
+    _id: { $in: [...usage.keys()] },
+    "stock.isTracked": true,
+  }).select("name");
+
+  const reserved = [];
+  for (let menuItem of tracked) {
+    const quantity = usage.get(menuItem._id.toString());
+    const updated = await MenuItem.findOneAndUpdate(
+      {
+        _id: menuItem._id,
+        "stock.isTracked": true,
+        "stock.quantity": { $gte: quantity },
+      },
+      { $inc: { "stock.quantity": -quantity } },
+      { new: true }
+    );
+
+    if (!updated) {
+      await releaseStock(reserved);
+      const current = await MenuItem.findById(menuItem._id).select("stock");
+      const left = current?.stock.quantity || 0;
+      return {
+        error:
+          left > 0
+            ? `Only ${left} ${menuItem.name} left`
+            : `${menuItem.name} is sold out`,
+        statusCode: 400,
+      };
+    }
+    reserved.push({ menuItem: menuItem._id, quantity });
+  }
+
+  return { items: reserved, date };
+};
+
+// Change the stock held by an order to match new order lines: take what the
+// new lines need on top. What they no longer use is handed back as surplus
+// for the caller to release once the order is saved with its new lines; if
+// the save fails, the caller releases reserved instead.
+// Returns the new { items, date, reserved, surplus } or { error, statusCode }.
+export const adjustOrderStock = async (order, orderItems, timeZone) => {
+  const held = new Map(
+    (order.stockReservation?.items || []).map((item) => [
+      item.menuItem.toString(),
+      item.quantity,
+    ])
+  );
+  const needed = getStockUsage(orderItems);
+
+  const extra = new Map();
+  for (let [id, quantity] of needed) {
+    const more = quantity - (held.get(id) || 0);
+    if (more > 0) extra.set(id, more);
+  }
+
+  const result = await reserveStock(extra, timeZone);
+  if (result.error) return result;
+
+  const surplus = [];
+  for (let [id, quantity] of held) {
+    const less = quantity - (needed.get(id) || 0);
+    if (less > 0) surplus.push({ menuItem: id, quantity: less });
+  }
+
+  // Everything the order now holds, tracked items only
+  const items = [];
+  for (let [id, quantity] of needed) {
+    const wasHeld = held.has(id);
+    const isNew = result.items.some((item) => item.menuItem.toString() === id);
+    if (wasHeld || isNew) items.push({ menuItem: id, quantity });
+  }
+
+  return {
+    items,
+    date: order.stockReservation?.date || result.date,
+    reserved: result.items,
+    surplus,
+  };
+};
+
+// Give back the stock held by a cancelled order, once
+export const releaseOrderStock = async (order) => {
+  const claimed = await Order.findOneAndUpdate(
+    {
+      _id: order._id,
+      "stockReservation.items.0": { $exists: true },
+      "stockReservation.releasedAt": null,
+    },
+    { "stockReservation.releasedAt": new Date() }
+  );
+  if (!claimed) return;
+
+  await releaseStock(
+    claimed.stockReservation.items,
+    claimed.stockReservation.date
+  );
+};
+
+// Set tracked items with a par level back to it at the start of each day,
+// which begins at midnight in each restaurant's own timezone
+export const resetDailyStock = async () => {
+  const businessTimezone = getBusinessTimezone();
+  const timeZones = new Set([
+    businessTimezone,
+    ...(await Restaurant.distinct("timezone")).filter(Boolean),
+  ]);
+
+  let modified = 0;
+  for (let timeZone of timeZones) {
+    // Restaurants saved before timezones were added are on business time
+    const restaurants = await Restaurant.distinct("_id", {
+      timezone:
+        timeZone === businessTimezone ? { $in: [timeZone, null] } : timeZone,
+    });
+    const today = getStockDay(new Date(), timeZone);
+    const result = await MenuItem.updateMany(
+      {
+        restaurant: { $in: restaurants },
+        "stock.isTracked": true,
+        "stock.parLevel": { $ne: null },
+        "stock.resetDate": { $ne: today },
+      },
+      [
+        {
+          $set: {
+            "stock.quantity": "$stock.parLevel",
+            "stock.resetDate": today,
+          },
+        },
+      ]
+    );
+    modified += result.modifiedCount;
+  }
+  return modified;
+};
+
+// Reset stock in the background for the lifetime of the process
+export const startStockResetTimer = () => {
+  const timer = setInterval(() => {
+    resetDailyStock().catch((error) =>
+      console.error(`Daily stock reset failed: ${error.message}`)
+    );
+  }, STOCK_RESET_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
@@ -0,0 +1,376 @@
+import { Invoice, Order } from "../models/index.js";
+import { getBusinessTimezone, getFinancialYear } from "../utils/helpers.js";
+import { createTextPdf } from "../utils/pdf.js";
+import { DEFAULT_FOOD_GST_RATE, splitTax, sumTaxes } from "./taxService.js";
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// Fees invoiced with an order. Delivery and platform fees are the platform's
+// own supply rather than the restaurant's, and their lines say so.
+const FEES = {
+  deliveryFee: { description: "Delivery fee", suppliedBy: "platform" },
+  platformFee: { description: "Platform fee", suppliedBy: "platform" },
+  packagingFee: { description: "Packaging fee", suppliedBy: "restaurant" },
+};
+
+// Attempts at taking the next number before giving up when other invoices
+// keep taking it first
+const MAX_NUMBERING_ATTEMPTS = 5;
+
+const withTotal = (tax) => ({
+  ...tax,
+  total: round(tax.taxableAmount + tax.cgst + tax.sgst + tax.igst),
+});
+
+const copyAddress = (address) =>
+  address && {
+    addressLine1: address.addressLine1,
+    addressLine2: address.addressLine2,
+    city: address.city,
+    state: address.state,
+    postalCode: address.postalCode,
+  };
+
+// Invoice lines for an order, one per item and one per fee charged. Orders
+// placed before per-line taxes were stored were taxed at 5% on the food only.
+const buildOrderLines = (order) => {
+  const interState = Boolean(order.pricing.taxes?.interState);
+  const { subtotal, discount } = order.pricing;
+  const discountRatio = subtotal > 0 ? (discount?.amount || 0) / subtotal : 0;
+
+  const lines = order.items.map((item) => {
+    const tax =
+      item.tax?.rate != null
+        ? item.tax
+        : splitTax(
+            item.itemTotal * (1 - discountRatio),
+            DEFAULT_FOOD_GST_RATE,
+            interState
+          );
+
+    return {
+      orderItem: item._id,
+      description: item.variant?.name
+        ? `${item.name} (${item.variant.name})`
+        : item.name,
+      quantity: item.quantity,
+      unitPrice: round(item.itemTotal / item.quantity),
+      discount: round(item.itemTotal - tax.taxableAmount),
+      ...withTotal({
+        rate: tax.rate,
+        taxableAmount: tax.taxableAmount,
+        cgst: tax.cgst,
+        sgst: tax.sgst,
+        igst: tax.igst,
+      }),
+    };
+  });
+
+  for (let [fee, { description, suppliedBy }] of Object.entries(FEES)) {
+    const amount = order.pricing[fee] || 0;
+    if (amount <= 0) continue;
+
+    const tax = order.pricing.feeTaxes?.[fee];
+    lines.push({
+      description,
+      suppliedBy,
+      quantity: 1,
+      unitPrice: amount,
+      ...withTotal(
+        tax?.rate != null
+          ? {
+              rate: tax.rate,
+              taxableAmount: tax.taxableAmount,
+              cgst: tax.cgst,
+              sgst: tax.sgst,
+              igst: tax.igst,
+            }
+          : { rate: 0, taxableAmount: amount, cgst: 0, sgst: 0, igst: 0 }
+      ),
+    });
+  }
+
+  return lines;
+};
+
+const sumLines = (lines) => {
+  const taxes = sumTaxes(lines);
+  const taxableAmount = round(
+    lines.reduce((sum, line) => sum + line.taxableAmount, 0)
+  );
+  return withTotal({ taxableAmount, ...taxes });
+};
+
+// Number a document in the restaurant's series for the financial year.
+// Invoices and credit notes are numbered in separate series.
+const formatInvoiceNumber = (type, restaurantId, financialYear, sequence) => {
+  const series = type === "credit_note" ? "CN" : "";
+  const restaurantCode = restaurantId.toString().slice(-6).toUpperCase();
+  const yearCode = financialYear.replace("-", "").slice(2);
+  return {
+    financialYear,
+    sequence,
+    invoiceNumber: `${restaurantCode}/${series}${yearCode}/${String(
+      sequence
+    ).padStart(4, "0")}`,
+  };
+};
+
+const loadOrder = (orderId) =>
+  Order.findById(orderId)
+    .populate("customer", "name phoneNumber")
+    .populate("restaurant", "name phoneNumber address gstNumber")
+    .populate("deliveryAddress");
+
+// Create a document numbered after the last one in its series, or return the
+// one another request created first. Numbers are only taken by inserting, so
+// the series has no gaps: a request beaten to a number tries the next one.
+const createOnce = async (data, existingQuery) => {
+  const financialYear = getFinancialYear(data.issuedAt, getBusinessTimezone());
+
+  for (let attempt = 1; ; attempt++) {
+    const last = await Invoice.findOne({
+      restaurant: data.restaurant,
+      type: data.type,
+      financialYear,
+    })
+      .sort({ sequence: -1 })
+      .select("sequence");
+
+    try {
+      return await Invoice.create({
+        ...data,
+        ...formatInvoiceNumber(
+          data.type,
+          data.restaurant,
+          financialYear,
+          (last?.sequence || 0) + 1
+        ),
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      if (!error.keyPattern?.sequence) {
+        return Invoice.findOne(existingQuery);
+      }
+      if (attempt === MAX_NUMBERING_ATTEMPTS) throw error;
+    }
+  }
+};
+
+// Issue the tax invoice for a delivered order, or return the one already
+// issued. Returns { invoice } or { error, statusCode }.
+export const issueInvoice = async (orderId) => {
+  const existing = await Invoice.findOne({ order: orderId, type: "invoice" });
+  if (existing) return { invoice: existing };
+
+  const order = await loadOrder(orderId);
+  if (!order) {
+    return { error: "Order not found", statusCode: 404 };
+  }
+  if (!order.actualDeliveryTime) {
+    return {
+      error: "An invoice is available once the order is delivered",
+      statusCode: 400,
+    };
+  }
+
+  const issuedAt = new Date();
+  const lines = buildOrderLines(order);
+  const { restaurant, customer, deliveryAddress } = order;
+
+  const invoice = await createOnce(
+    {
+      type: "invoice",
+      order: order._id,
+      orderNumber: order.orderNumber,
+      restaurant: restaurant._id,
+      customer: customer._id,
+      supplier: {
+        name: restaurant.name,
+        gstNumber: restaurant.gstNumber,
+        phoneNumber: restaurant.phoneNumber,
+        address: copyAddress(restaurant.address),
+      },
+      recipient: {
+        name: customer.name,
+        phoneNumber: customer.phoneNumber,
+        address: copyAddress(deliveryAddress),
+      },
+      placeOfSupply: deliveryAddress?.state,
+      interState: Boolean(order.pricing.taxes?.interState),
+      lines,
+      totals: sumLines(lines),
+      issuedAt,
+    },
+    { order: order._id, type: "invoice" }
+  );
+
+  return { invoice };
+};
+
+// Issue the credit note for a processed refund against the order's invoice.
+// Item refunds reverse the refunded lines; other refunds reverse every line
+// in proportion. Returns { invoice } or { error, statusCode }.
+export const issueCreditNote = async (refund) => {
+  const existing = await Invoice.findOne({
+    refund: refund._id,
+    type: "credit_note",
+  });
+  if (existing) return { invoice: existing };
+
+  if (refund.status !== "processed") {
+    return {
+      error: "A credit note is issued once the refund is processed",
+      statusCode: 400,
+    };
+  }
+
+  const result = await issueInvoice(refund.order);
+  if (result.error) return result;
+  const original = result.invoice;
+
+  const reverse = (line, ratio) => {
+    const taxableAmount = round(line.taxableAmount * Math.min(ratio, 1));
+    return {
+      orderItem: line.orderItem,
+      description: line.description,
+      suppliedBy: line.suppliedBy,
+      quantity: line.quantity,
+      unitPrice: line.unitPrice,
+      ...withTotal(splitTax(taxableAmount, line.rate, original.interState)),
+    };
+  };
+
+  let lines;
+  if (refund.type === "items" && refund.items.length > 0) {
+    lines = refund.items
+      .map((item) => {
+        const line = original.lines.find((l) =>
+          l.orderItem?.equals(item.orderItem)
+        );
+        if (!line || !line.total) return null;
+        return {
+          ...reverse(line, item.amount / line.total),
+          quantity: item.quantity,
+        };
+      })
+      .filter(Boolean);
+  } else {
+    const ratio = original.totals.total
+      ? refund.amount / original.totals.total
+      : 0;
+    lines = original.lines.map((line) => reverse(line, ratio));
+  }
+
+  const issuedAt = new Date();
+
+  const invoice = await createOnce(
+    {
+      type: "credit_note",
+      order: original.order,
+      orderNumber: original.orderNumber,
+      restaurant: original.restaurant,
+      customer: original.customer,
+      refund: refund._id,
+      originalInvoice: original._id,
+      originalInvoiceNumber: original.invoiceNumber,
+      supplier: original.supplier,
+      recipient: original.recipient,
+      placeOfSupply: original.placeOfSupply,
+      interState: original.interState,
+      lines,
+      totals: sumLines(lines),
+      issuedAt,
+    },
+    { refund: refund._id, type: "credit_note" }
+  );
+
+  return { invoice };
+};
+
+const formatAddress = (address) =>
+  [
+    address?.addressLine1,
+    address?.addressLine2,
+    [address?.city, address?.state, address?.postalCode]
+      .filter(Boolean)
+      .join(", "),
+  ].filter(Boolean);
+
+const money = (amount) => (amount || 0).toFixed(2);
+
+// Render an invoice or credit note as a PDF
+export const buildInvoicePdf = (invoice) => {
+  const isCreditNote = invoice.type === "credit_note";
+  const taxColumns = invoice.interState ? ["IGST"] : ["CGST", "SGST"];
+  const columns = [
+    ["Description", 26, "left"],
+    ["Qty", 4],
+    ["Taxable", 10],
+    ["GST%", 5],
+    ...taxColumns.map((name) => [name, 8]),
+    ["Total", 10],
+  ];
+  const row = (values) =>
+    values
+      .map((value, index) => {
+        const [, width, align] = columns[index];
+        const text = String(value ?? "").slice(0, width);
+        return align === "left" ? text.padEnd(width) : text.padStart(width);
+      })
+      .join(" ");
+  const taxValues = (tax) =>
+    invoice.interState ? [money(tax.igst)] : [money(tax.cgst), money(tax.sgst)];
+
+  const lines = [
+    isCreditNote ? "CREDIT NOTE" : "TAX INVOICE",
+    "",
+    `${isCreditNote ? "Credit note" : "Invoice"} no: ${invoice.invoiceNumber}`,
+    `Date: ${new Intl.DateTimeFormat("en-CA", {
+      timeZone: getBusinessTimezone(),
+    }).format(invoice.issuedAt)}`,
+    `Order: ${invoice.orderNumber}`,
+    ...(isCreditNote
+      ? [`Against invoice: ${invoice.originalInvoiceNumber}`]
+      : []),
+    `Place of supply: ${invoice.placeOfSupply || "-"}`,
+    "",
+    "Supplier:",
+    invoice.supplier.name,
+    `GSTIN: ${invoice.supplier.gstNumber || "Unregistered"}`,
+    ...formatAddress(invoice.supplier.address),
+    "",
+    "Billed to:",
+    invoice.recipient.name,
+    ...formatAddress(invoice.recipient.address),
+    "",
+    row(columns.map(([name]) => name)),
+    "-".repeat(row(columns.map(() => "")).length),
+    ...invoice.lines.map((line) =>
+      row([
+        line.suppliedBy === "platform"
+          ? `${line.description} *`
+          : line.description,
+        line.quantity,
+        money(line.taxableAmount),
+        line.rate,
+        ...taxValues(line),
+        money(line.total),
+      ])
+    ),
+    "-".repeat(row(columns.map(() => "")).length),
+    row([
+      "Total",
+      "",
+      money(invoice.totals.taxableAmount),
+      "",
+      ...taxValues(invoice.totals),
+      money(invoice.totals.total),
+    ]),
+    ...(invoice.lines.some((line) => line.suppliedBy === "platform")
+      ? ["", "* Supplied by the platform, not the restaurant"]
+      : []),
+  ];
+
+  return createTextPdf(lines);
+};
@@ -0,0 +1,90 @@
+import { getBusinessTimezone } from "../utils/helpers.js";
+
+const WEEKDAYS = [
+  "sunday",
+  "monday",
+  "tuesday",
+  "wednesday",
+  "thursday",
+  "friday",
+  "saturday",
+];
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+};
+
+// Local calendar date, weekday and minutes since midnight of a moment
+const getLocalParts = (date, timeZone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      weekday: "long",
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23",
+    })
+      .formatToParts(date)
+      .map((part) => [part.type, part.value])
+  );
+
+  const day = WEEKDAYS.indexOf(parts.weekday.toLowerCase());
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    weekday: WEEKDAYS[day],
+    previousWeekday: WEEKDAYS[(day + 6) % 7],
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+  };
+};
+
+const coversDay = (window, weekday) =>
+  !window.days?.length || window.days.includes(weekday);
+
+// Is a MenuItem/Category availability schedule open at a moment?
+export const isScheduleOpen = (
+  availability,
+  date = new Date(),
+  timeZone = getBusinessTimezone()
+) => {
+  if (!availability) return true;
+
+  const { windows = [], startDate, endDate } = availability;
+  if (windows.length === 0 && !startDate && !endDate) return true;
+
+  const local = getLocalParts(date, timeZone);
+
+  // Dates are compared as YYYY-MM-DD strings, both ends inclusive
+  if (startDate && local.date < startDate) return false;
+  if (endDate && local.date > endDate) return false;
+
+  if (windows.length === 0) return true;
+
+  return windows.some((window) => {
+    const start = toMinutes(window.startTime);
+    const end = toMinutes(window.endTime);
+
+    if (start <= end) {
+      return (
+        coversDay(window, local.weekday) &&
+        local.minutes >= start &&
+        local.minutes < end
+      );
+    }
+
+    // Overnight window: the late part belongs to the day it started on
+    return (
+      (coversDay(window, local.weekday) && local.minutes >= start) ||
+      (coversDay(window, local.previousWeekday) && local.minutes < end)
+    );
+  });
+};
+
+// Is a menu item on its schedule, and its category's, at a moment? The
+// category is only checked when it has been populated with its availability.
+export const isOnSchedule = (menuItem, date = new Date(), timeZone) =>
+  isScheduleOpen(menuItem.availability, date, timeZone) &&
+  isScheduleOpen(menuItem.category?.availability, date, timeZone);
@@ -0,0 +1,29 @@
+import { EventEmitter } from "events";
+
+// In-process pub/sub for live order updates. Subscribers only receive events
+// published by the same server process.
+//
+// Event types:
+//   status   - { status, previousStatus, estimatedDeliveryTime }
+//   timeline - a timeline entry as stored on the order
+//   location - { latitude, longitude, updatedAt } of the delivery partner
+//   eta      - { estimatedDeliveryTime, distance }
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+export const publishOrderEvent = (orderId, type, data) => {
+  emitter.emit(orderId.toString(), { type, data });
+};
+
+// Publish the most recent timeline entry of an order
+export const publishTimelineEntry = (order) => {
+  const entry = order.timeline[order.timeline.length - 1];
+  if (entry) publishOrderEvent(order._id, "timeline", entry);
+};
+
+// Listen for events on an order. Returns a function that unsubscribes.
+export const subscribeToOrder = (orderId, listener) => {
+  const key = orderId.toString();
+  emitter.on(key, listener);
+  return () => emitter.off(key, listener);
+};
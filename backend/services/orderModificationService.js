@@ -0,0 +1,309 @@
+import {
+  Address,
+  Coupon,
+  Payment,
+  Refund,
+  Restaurant,
+} from "../models/index.js";
+import { priceItems, calculateCharges } from "./pricingService.js";
+import { releaseCoupon } from "./couponService.js";
+import { getAmountPaid } from "./paymentService.js";
+import { processRefund } from "./refundService.js";
+import { publishTimelineEntry } from "./orderEvents.js";
+import { adjustOrderStock, releaseStock } from "./inventoryService.js";
+
+// Customers change these orders straight away; confirmed orders need the
+// restaurant to accept the change first
+const DIRECT_STATUSES = ["scheduled", "pending"];
+const APPROVAL_STATUSES = ["confirmed"];
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// Can the customer still change this order? Returns an error message if not.
+export const getModificationError = (order) => {
+  if (![...DIRECT_STATUSES, ...APPROVAL_STATUSES].includes(order.orderStatus)) {
+    return "Orders can only be changed before the restaurant starts preparing them";
+  }
+  if (order.group?.groupOrder) {
+    return "Group orders can't be changed after they are placed";
+  }
+  return null;
+};
+
+export const needsRestaurantApproval = (order) =>
+  APPROVAL_STATUSES.includes(order.orderStatus);
+
+// Order lines back in cart shape, to keep them when only instructions change
+const toCartItems = (order) =>
+  order.items.map((item) => ({
+    menuItem: item.menuItem,
+    quantity: item.quantity,
+    variant: item.variant?.name ? { name: item.variant.name } : undefined,
+    addOns: item.addOns.map((addOn) => ({ name: addOn.name })),
+    customizations: item.customizations,
+    bundleSelections: item.bundleSelections.map((selection) => ({
+      slot: selection.slot,
+      menuItem: selection.menuItem,
+    })),
+    specialInstructions: item.specialInstructions,
+  }));
+
+// Reprice a changed order against the current menu, for its delivery time
+// or another one given as at. A coupon on the order is kept while the new
+// subtotal still qualifies for it.
+// Returns { orderItems, pricing, dropCoupon, timeZone } or
+// { error, statusCode, meta }; timeZone is the restaurant's.
+export const priceModification = async (
+  order,
+  items,
+  { at = order.scheduledFor || new Date() } = {}
+) => {
+  const restaurantId = order.restaurant._id || order.restaurant;
+  const [restaurant, address] = await Promise.all([
+    Restaurant.findById(restaurantId),
+    Address.findById(order.deliveryAddress),
+  ]);
+
+  const { orderItems, subtotal, unavailableItems } = await priceItems(
+    items,
+    restaurantId,
+    { at, timeZone: restaurant.timezone }
+  );
+
+  if (unavailableItems.length > 0) {
+    return {
+      error: unavailableItems[0].reason,
+      statusCode: 400,
+      meta: { unavailableItems },
+    };
+  }
+
+  if (subtotal < restaurant.minimumOrder) {
+    return {
+      error: `Minimum order value is ₹${restaurant.minimumOrder}`,
+      statusCode: 400,
+    };
+  }
+
+  const couponCode = order.pricing.discount?.couponCode;
+  const coupon = couponCode && (await Coupon.findOne({ code: couponCode }));
+  const keepCoupon = coupon && subtotal >= coupon.minOrderValue;
+  const discount = keepCoupon ? coupon.calculateDiscount(subtotal) : 0;
+
+  const pricing = calculateCharges(restaurant, orderItems, {
+    discount,
+    deliveryState: address?.state,
+    tip: order.pricing.tip,
+  });
+  if (keepCoupon) {
+    pricing.discount = {
+      amount: discount,
+      couponCode: coupon.code,
+      description: order.pricing.discount.description,
+    };
+  }
+
+  return {
+    orderItems,
+    pricing,
+    dropCoupon: keepCoupon ? null : coupon,
+    timeZone: restaurant.timezone,
+  };
+};
+
+// Can the order's lines still be ordered for another delivery time, e.g.
+// when a pre-order moves to a new slot? Returns null or
+// { error, statusCode, meta }.
+export const checkOrderItemsAt = async (order, at) => {
+  const priced = await priceModification(order, toCartItems(order), { at });
+  return priced.error ? priced : null;
+};
+
+// Apply a change to an order's items and instructions, then settle the
+// difference: open payment intents for the old amount are voided, a paid
+// order owes any increase and has any decrease refunded. The order is only
+// saved while its status is still the one the change was checked against.
+//
+// changes: { items, specialInstructions } - items replace the order's lines;
+//          leave them out to only update the instructions
+// context: { user, role, description }
+//
+// Returns { order, refund, amountDue } or { error, statusCode, meta }.
+export const applyOrderModification = async (order, changes, context = {}) => {
+  const previousTotal = order.pricing.total;
+  const previousStatus = order.orderStatus;
+
+  let dropCoupon;
+  let stock;
+  if (changes.items) {
+    const priced = await priceModification(order, changes.items);
+    if (priced.error) return priced;
+
+    // Pre-orders hold no stock until they are released
+    if (order.orderStatus !== "scheduled") {
+      stock = await adjustOrderStock(order, priced.orderItems, priced.timeZone);
+      if (stock.error) return stock;
+
+      order.stockReservation.items = stock.items;
+      order.stockReservation.date = stock.date;
+    }
+
+    order.items = priced.orderItems;
+    order.pricing = priced.pricing;
+    dropCoupon = priced.dropCoupon;
+  }
+  if (changes.specialInstructions !== undefined) {
+    order.specialInstructions = changes.specialInstructions;
+  }
+
+  const total = order.pricing.total;
+  const amountPaid =
+    order.paymentMethod === "cash_on_delivery" ? 0 : await getAmountPaid(order);
+
+  if (order.paymentStatus === "paid" && total > amountPaid) {
+    order.paymentStatus = "pending";
+  }
+
+  const summary =
+    total === previousTotal
+      ? "Order updated"
+      : `Order updated, total changed from ₹${previousTotal} to ₹${total}`;
+  order.timeline.push({
+    status: "order_modified",
+    timestamp: new Date(),
+    description: context.description
+      ? `${summary}. ${context.description}`
+      : summary,
+  });
+
+  order.$where = { orderStatus: previousStatus };
+  try {
+    await order.save();
+  } catch (error) {
+    if (stock) await releaseStock(stock.reserved);
+    if (error.name !== "DocumentNotFoundError") throw error;
+    return {
+      error: `Order is no longer ${previousStatus}, refresh and try again`,
+      statusCode: 409,
+    };
+  } finally {
+    order.$where = undefined;
+  }
+  publishTimelineEntry(order);
+
+  if (stock) await releaseStock(stock.surplus, stock.date);
+
+  // Intents for the old amount must not be captured any more
+  if (total !== previousTotal) {
+    await Payment.updateMany(
+      { order: order._id, purpose: "order", status: "created" },
+      { status: "failed", failureReason: "Order was modified" }
+    );
+  }
+
+  if (dropCoupon) {
+    await releaseCoupon(dropCoupon, order.customer, order._id);
+  }
+
+  // Pay back what was paid over the new total
+  let refund = null;
+  const excess = round(amountPaid - total);
+  if (order.paymentStatus === "paid" && excess > 0) {
+    refund = await Refund.create({
+      order: order._id,
+      customer: order.customer,
+      restaurant: order.restaurant._id || order.restaurant,
+      type: "modification",
+      amount: excess,
+      reason: "Order modified by the customer",
+      orderStage: order.orderStatus,
+      status: "approved",
+      requestedBy: { user: context.user?._id, role: context.role },
+    });
+    await processRefund(refund, order);
+  }
+
+  return {
+    order,
+    refund,
+    amountDue:
+      order.paymentMethod === "cash_on_delivery"
+        ? total
+        : round(Math.max(total - amountPaid, 0)),
+  };
+};
+
+// Hold a change to a confirmed order until the restaurant responds. The items
+// are priced now so customers hear about problems straight away.
+// Returns { order } or { error, statusCode, meta }.
+export const requestOrderModification = async (order, changes) => {
+  const priced = await priceModification(
+    order,
+    changes.items || toCartItems(order)
+  );
+  if (priced.error) return priced;
+
+  order.pendingModification = {
+    items: changes.items || [],
+    specialInstructions: changes.specialInstructions,
+    requestedAt: new Date(),
+  };
+  order.timeline.push({
+    status: "modification_requested",
+    timestamp: new Date(),
+    description: `Customer asked to change the order, new total would be ₹${priced.pricing.total}`,
+  });
+
+  await order.save();
+  publishTimelineEntry(order);
+
+  return { order };
+};
+
+// Accept or reject the change a customer asked for on a confirmed order.
+// Returns what applyOrderModification does, or { order } when rejected.
+export const respondToModification = async (
+  order,
+  accept,
+  { user, reason } = {}
+) => {
+  if (!order.pendingModification?.requestedAt) {
+    return {
+      error: "There is no change waiting for approval",
+      statusCode: 400,
+    };
+  }
+
+  if (!needsRestaurantApproval(order)) {
+    return {
+      error: "The order has moved on and can no longer be changed",
+      statusCode: 400,
+    };
+  }
+
+  // No items in the request means only the instructions change
+  const { specialInstructions } = order.pendingModification;
+  const items = order.pendingModification.items.map((item) => item.toObject());
+  order.pendingModification = undefined;
+
+  if (!accept) {
+    order.timeline.push({
+      status: "modification_rejected",
+      timestamp: new Date(),
+      description: reason || "Restaurant couldn't accept the change",
+    });
+    await order.save();
+    publishTimelineEntry(order);
+    return { order };
+  }
+
+  return applyOrderModification(
+    order,
+    { items: items.length > 0 ? items : undefined, specialInstructions },
+    {
+      user,
+      role: "restaurant",
+      description: "Change accepted by the restaurant",
+    }
+  );
+};
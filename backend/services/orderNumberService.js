@@ -0,0 +1,87 @@
+import Counter from "../models/Counter.js";
+import { getBusinessTimezone, getTimezoneOffset } from "../utils/helpers.js";
+
+// Codes for the cities restaurants are in, keyed by lower-case city name.
+// Each code names one city, so numbers from different cities never share a
+// sequence; alternative spellings map to the same code.
+const CITY_CODES = {
+  ahmedabad: "AMD",
+  bangalore: "BLR",
+  bengaluru: "BLR",
+  bombay: "BOM",
+  calcutta: "CCU",
+  chandigarh: "IXC",
+  chennai: "MAA",
+  delhi: "DEL",
+  goa: "GOI",
+  gurgaon: "GGN",
+  gurugram: "GGN",
+  hyderabad: "HYD",
+  indore: "IDR",
+  jaipur: "JAI",
+  kochi: "COK",
+  kolkata: "CCU",
+  lucknow: "LKO",
+  madras: "MAA",
+  mumbai: "BOM",
+  "new delhi": "DEL",
+  noida: "NOI",
+  pune: "PNQ",
+  surat: "STV",
+};
+
+// Used for cities without a code of their own
+const DEFAULT_CITY_CODE = "FRX";
+
+// Luhn check digit for a string of digits, so mistyped order numbers can be
+// caught before they are looked up
+export const getCheckDigit = (digits) => {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    // Double every other digit, starting with the rightmost
+    if (i % 2 === 0) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return (10 - (sum % 10)) % 10;
+};
+
+// e.g. "Bengaluru" -> "BLR"
+const getCityCode = (city) =>
+  CITY_CODES[(city || "").trim().toLowerCase().replace(/\s+/g, " ")] ||
+  DEFAULT_CITY_CODE;
+
+// Take the next order number for a city on the local business day, e.g.
+// "BLR-261018-00428": city code, date, a daily sequence of at least four
+// digits and a check digit. The sequence comes from an atomic counter, so
+// numbers stay unique however many orders are created at once.
+export const generateOrderNumber = async (city, date = new Date()) => {
+  const local = new Date(
+    date.getTime() + getTimezoneOffset(date, getBusinessTimezone())
+  );
+  const day = [
+    local.getUTCFullYear() % 100,
+    local.getUTCMonth() + 1,
+    local.getUTCDate(),
+  ]
+    .map((part) => String(part).padStart(2, "0"))
+    .join("");
+
+  const cityCode = getCityCode(city);
+  const seq = await Counter.next(`order:${cityCode}:${day}`);
+  const sequence = String(seq).padStart(4, "0");
+
+  return `${cityCode}-${day}-${sequence}${getCheckDigit(day + sequence)}`;
+};
+
+// Does an order number have the expected shape and a matching check digit?
+export const isValidOrderNumber = (orderNumber) => {
+  const match = /^[A-Z]{3}-(\d{6})-(\d{4,})(\d)$/.exec(orderNumber || "");
+  if (!match) return false;
+
+  const [, day, sequence, checkDigit] = match;
+  return getCheckDigit(day + sequence) === Number(checkDigit);
+};
@@ -0,0 +1,221 @@
+import { Address, Order, Restaurant } from "../models/index.js";
+import { generateOTP } from "../utils/helpers.js";
+import { priceItems, calculateCharges } from "./pricingService.js";
+import {
+  evaluateCoupon,
+  redeemCoupon,
+  releaseCoupon,
+  recordCouponOrder,
+} from "./couponService.js";
+import {
+  claimDeliverySlot,
+  releaseDeliverySlot,
+  validateDeliverySlot,
+} from "./scheduledOrderService.js";
+import { getOpenStatus } from "./restaurantScheduleService.js";
+import { generateOrderNumber } from "./orderNumberService.js";
+import {
+  getStockUsage,
+  releaseStock,
+  reserveStock,
+} from "./inventoryService.js";
+
+// Price and create an order for a customer. Shared by checkout from items or
+// a cart, and by group orders.
+//
+// options: { customer, restaurant, deliveryAddress, items, paymentMethod,
+//            specialInstructions, couponCode, scheduledFor, tip, group }
+//   tip   - amount for the delivery partner, added to the total untaxed
+//   group - { groupOrder, paymentMode, splitShares } for group orders;
+//           splitShares(orderItems, pricing) works out what each person owes
+//
+// Returns { order } or { error, statusCode, meta }.
+export const placeOrder = async ({
+  customer,
+  restaurant,
+  deliveryAddress,
+  items,
+  paymentMethod,
+  specialInstructions,
+  couponCode,
+  scheduledFor,
+  tip = 0,
+  group,
+}) => {
+  // Verify restaurant exists and is active
+  const restaurantData = await Restaurant.findById(restaurant);
+  if (!restaurantData || !restaurantData.isActive) {
+    return { error: "Restaurant not available", statusCode: 400 };
+  }
+
+  // Verify delivery address belongs to user
+  const address = await Address.findOne({
+    _id: deliveryAddress,
+    user: customer,
+  });
+  if (!address) {
+    return { error: "Invalid delivery address", statusCode: 400 };
+  }
+
+  // Pre-orders must fit a delivery slot the restaurant can serve; orders
+  // for now need the restaurant to be open now
+  let slot;
+  if (scheduledFor) {
+    slot = await validateDeliverySlot(restaurantData, new Date(scheduledFor));
+    if (slot.error) return slot;
+  } else {
+    const openStatus = getOpenStatus(restaurantData);
+    if (!openStatus.isOpen) {
+      return {
+        error: openStatus.message,
+        statusCode: 400,
+        meta: { openStatus },
+      };
+    }
+  }
+
+  // Verify and calculate order items
+  // Pre-orders need their items to be on the menu at the delivery time
+  const { orderItems, subtotal, unavailableItems } = await priceItems(
+    items,
+    restaurantData._id,
+    {
+      at: scheduledFor ? new Date(scheduledFor) : new Date(),
+      timeZone: restaurantData.timezone,
+    }
+  );
+
+  if (unavailableItems.length > 0) {
+    return {
+      error: unavailableItems[0].reason,
+      statusCode: 400,
+      meta: { unavailableItems },
+    };
+  }
+
+  // Check minimum order value
+  if (subtotal < restaurantData.minimumOrder) {
+    return {
+      error: `Minimum order value is ₹${restaurantData.minimumOrder}`,
+      statusCode: 400,
+    };
+  }
+
+  // Apply coupon discount
+  let coupon;
+  let discount = 0;
+  if (couponCode) {
+    const result = await evaluateCoupon({
+      code: couponCode,
+      userId: customer,
+      restaurant: restaurantData,
+      subtotal,
+    });
+    if (result.error) {
+      return { error: result.error, statusCode: 400 };
+    }
+    ({ coupon, discount } = result);
+  }
+
+  // Calculate pricing
+  const pricing = calculateCharges(restaurantData, orderItems, {
+    discount,
+    deliveryState: address.state,
+    tip,
+  });
+  if (coupon) {
+    pricing.discount = {
+      amount: discount,
+      couponCode: coupon.code,
+      description: coupon.description || coupon.summary,
+    };
+  }
+
+  // Calculate estimated delivery time; pre-orders arrive in their slot
+  const estimatedDeliveryTime = new Date(slot?.scheduledFor || Date.now());
+  if (!slot) {
+    estimatedDeliveryTime.setMinutes(
+      estimatedDeliveryTime.getMinutes() +
+        (restaurantData.deliveryTime.min + restaurantData.deliveryTime.max) / 2
+    );
+  }
+
+  // Generate OTP for delivery
+  const otpCode = generateOTP(4);
+  const otpExpiresAt = new Date(slot?.scheduledFor || Date.now());
+  otpExpiresAt.setMinutes(otpExpiresAt.getMinutes() + 30); // OTP valid for 30 minutes
+
+  // Reserve the coupon before the order exists so its limits can't be raced
+  if (coupon && !(await redeemCoupon(coupon, customer))) {
+    return {
+      error: coupon.firstOrderOnly
+        ? "Coupon is only valid on your first order"
+        : "Coupon usage limit has been reached",
+      statusCode: 400,
+    };
+  }
+
+  // Take stock of tracked items the same way. Pre-orders take theirs when
+  // they are released to the restaurant, from that day's stock.
+  const stock = slot
+    ? { items: [] }
+    : await reserveStock(getStockUsage(orderItems), restaurantData.timezone);
+  if (stock.error) {
+    if (coupon) await releaseCoupon(coupon, customer);
+    return stock;
+  }
+
+  // And a place in the delivery slot for pre-orders
+  if (slot && !(await claimDeliverySlot(restaurantData, slot.scheduledFor))) {
+    if (coupon) await releaseCoupon(coupon, customer);
+    return { error: "This delivery slot is full", statusCode: 409 };
+  }
+
+  // Create order
+  let order;
+  try {
+    // Numbered last, so orders that fail earlier checks don't use one up
+    const orderNumber = await generateOrderNumber(restaurantData.address?.city);
+
+    order = await Order.create({
+      orderNumber,
+      customer,
+      restaurant: restaurantData._id,
+      items: orderItems,
+      deliveryAddress,
+      paymentMethod,
+      specialInstructions,
+      pricing,
+      commissionRate: restaurantData.commissionRate,
+      stockReservation: stock,
+      ...(slot && {
+        orderStatus: "scheduled",
+        scheduledFor: slot.scheduledFor,
+        releaseAt: slot.releaseAt,
+      }),
+      ...(group && {
+        group: {
+          groupOrder: group.groupOrder,
+          paymentMode: group.paymentMode,
+          shares: group.splitShares(orderItems, pricing),
+        },
+      }),
+      estimatedDeliveryTime,
+      otp: {
+        code: otpCode,
+        expiresAt: otpExpiresAt,
+      },
+    });
+  } catch (error) {
+    if (coupon) await releaseCoupon(coupon, customer);
+    await releaseStock(stock.items);
+    if (slot) await releaseDeliverySlot(restaurantData._id, slot.scheduledFor);
+    throw error;
+  }
+
+  if (coupon) {
+    await recordCouponOrder(coupon._id, customer, order._id);
+  }
+
+  return { order };
+};
@@ -0,0 +1,450 @@
+import {
+  DeliveryPartner,
+  MenuItem,
+  Order,
+  Restaurant,
+} from "../models/index.js";
+import { releaseOrderCoupon } from "./couponService.js";
+import { cancelDispatch, startDispatch } from "./dispatchService.js";
+import { recordDeliveryEarnings } from "./earningsService.js";
+import { issueInvoice } from "./invoiceService.js";
+import { publishOrderEvent, publishTimelineEntry } from "./orderEvents.js";
+import { createCancellationRefund } from "./refundService.js";
+import { releaseOrderStock } from "./inventoryService.js";
+import { releaseDeliverySlot } from "./scheduledOrderService.js";
+
+// Roles that can act on an order. "system" is used by background jobs and
+// internal workflows such as refunds.
+export const ORDER_ROLES = [
+  "customer",
+  "restaurant",
+  "delivery_partner",
+  "admin",
+  "system",
+];
+
+// Timeline entry written for each status
+const TIMELINE_STATUS = {
+  pending: "order_placed",
+  confirmed: "order_confirmed",
+  preparing: "preparing",
+  ready_for_pickup: "ready_for_pickup",
+  out_for_delivery: "out_for_delivery",
+  delivered: "delivered",
+  cancelled: "cancelled",
+  refunded: "refunded",
+};
+
+// Guards return an error message when a transition isn't allowed yet
+const guards = {
+  partnerAssigned: (order) =>
+    order.deliveryPartner ? null : "A delivery partner must be assigned first",
+
+  otpVerified: (order, context) =>
+    context.otpVerified || ["admin", "system"].includes(context.role)
+      ? null
+      : "Delivery OTP must be verified",
+};
+
+// Side effects that run once the new status has been saved
+const effects = {
+  // Free up the delivery partner for their next order
+  releasePartner: async (order) => {
+    if (!order.deliveryPartner) return;
+    await DeliveryPartner.updateOne(
+      {
+        _id: order.deliveryPartner._id || order.deliveryPartner,
+        currentOrder: order._id,
+      },
+      { $unset: { currentOrder: 1 } }
+    );
+  },
+
+  recordDelivery: async (order) => {
+    const restaurantId = order.restaurant._id || order.restaurant;
+    await Promise.all([
+      Restaurant.updateOne({ _id: restaurantId }, { $inc: { totalOrders: 1 } }),
+      ...order.items.map((item) =>
+        MenuItem.updateOne(
+          { _id: item.menuItem._id || item.menuItem },
+          { $inc: { totalOrders: item.quantity } }
+        )
+      ),
+    ]);
+
+    if (order.deliveryPartner) {
+      const partner = await DeliveryPartner.findById(
+        order.deliveryPartner._id || order.deliveryPartner
+      );
+      if (partner) {
+        const deliveryMinutes = Math.round(
+          (order.actualDeliveryTime - order.createdAt) / 60000
+        );
+        const completed = partner.statistics.completedOrders;
+        partner.statistics.averageDeliveryTime = Math.round(
+          (partner.statistics.averageDeliveryTime * completed +
+            deliveryMinutes) /
+            (completed + 1)
+        );
+        partner.statistics.completedOrders = completed + 1;
+        await partner.save();
+      }
+    }
+  },
+
+  recordPartnerCancellation: async (order) => {
+    if (!order.deliveryPartner) return;
+    await DeliveryPartner.updateOne(
+      { _id: order.deliveryPartner._id || order.deliveryPartner },
+      { $inc: { "statistics.cancelledOrders": 1 } }
+    );
+  },
+
+  recordPartnerEarnings: (order) => recordDeliveryEarnings(order),
+
+  issueInvoice: (order) => issueInvoice(order._id),
+
+  // Line up a delivery partner while the food is being prepared
+  dispatchPartner: (order) => startDispatch(order),
+
+  withdrawOffers: (order) => cancelDispatch(order),
+
+  releaseCoupon: (order) => releaseOrderCoupon(order),
+
+  releaseStock: (order) => releaseOrderStock(order),
+
+  releaseSlot: async (order) => {
+    if (!order.scheduledFor) return;
+    await releaseDeliverySlot(
+      order.restaurant._id || order.restaurant,
+      order.scheduledFor
+    );
+  },
+
+  raiseCancellationRefund: (order, context) =>
+    createCancellationRefund(order, {
+      stage: context.previousStatus,
+      cancelledBy: order.cancellationDetails.cancelledBy,
+      requestedBy: context.user?._id,
+    }),
+};
+
+// Effect names, to record failed effects by
+const EFFECT_NAMES = new Map(
+  Object.entries(effects).map(([name, effect]) => [effect, name])
+);
+
+// How often failed effects are retried, and how many tries each one gets
+// before it is left for an admin to look at
+const EFFECT_RETRY_INTERVAL_MS = 5 * 60 * 1000;
+const MAX_EFFECT_ATTEMPTS = 5;
+
+const CANCELLATION_EFFECTS = [
+  effects.withdrawOffers,
+  effects.releasePartner,
+  effects.recordPartnerCancellation,
+  effects.releaseCoupon,
+  effects.releaseStock,
+  effects.releaseSlot,
+  effects.raiseCancellationRefund,
+];
+
+// Every allowed status change, who may make it, what must hold first and
+// what happens afterwards
+export const ORDER_TRANSITIONS = {
+  // Pre-orders wait here until they are released at their prep lead time
+  scheduled: {
+    pending: { roles: ["admin", "system"] },
+    cancelled: {
+      roles: ["customer", "restaurant", "admin", "system"],
+      effects: CANCELLATION_EFFECTS,
+    },
+  },
+  pending: {
+    confirmed: {
+      roles: ["restaurant", "admin"],
+      effects: [effects.dispatchPartner],
+    },
+    cancelled: {
+      roles: ["customer", "restaurant", "admin", "system"],
+      effects: CANCELLATION_EFFECTS,
+    },
+  },
+  confirmed: {
+    preparing: {
+      roles: ["restaurant", "admin"],
+      effects: [effects.dispatchPartner],
+    },
+    cancelled: {
+      roles: ["customer", "restaurant", "admin", "system"],
+      effects: CANCELLATION_EFFECTS,
+    },
+  },
+  preparing: {
+    ready_for_pickup: { roles: ["restaurant", "admin"] },
+    cancelled: {
+      roles: ["customer", "restaurant", "admin"],
+      effects: CANCELLATION_EFFECTS,
+    },
+  },
+  ready_for_pickup: {
+    out_for_delivery: {
+      roles: ["delivery_partner", "admin"],
+      guards: [guards.partnerAssigned],
+    },
+    cancelled: {
+      roles: ["restaurant", "admin"],
+      effects: CANCELLATION_EFFECTS,
+    },
+  },
+  out_for_delivery: {
+    delivered: {
+      roles: ["delivery_partner", "admin"],
+      guards: [guards.partnerAssigned, guards.otpVerified],
+      effects: [
+        effects.releasePartner,
+        effects.recordDelivery,
+        effects.recordPartnerEarnings,
+        effects.issueInvoice,
+      ],
+    },
+    cancelled: {
+      roles: ["restaurant", "delivery_partner", "admin"],
+      effects: CANCELLATION_EFFECTS,
+    },
+  },
+  delivered: {
+    refunded: { roles: ["admin", "system"] },
+  },
+  cancelled: {
+    refunded: { roles: ["admin", "system"] },
+  },
+  refunded: {},
+};
+
+const idOf = (value) => (value?._id || value)?.toString();
+
+// Work out which roles a user holds on an order
+export const getActorRoles = async (order, user) => {
+  if (!user) return [];
+
+  const userId = user._id.toString();
+  const roles = [];
+
+  if (user.role === "admin") roles.push("admin");
+  if (idOf(order.customer) === userId) roles.push("customer");
+
+  const owner =
+    order.restaurant.owner ??
+    (await Restaurant.findById(idOf(order.restaurant)).select("owner"))?.owner;
+  if (idOf(owner) === userId) roles.push("restaurant");
+
+  if (order.deliveryPartner) {
+    const partnerUser =
+      order.deliveryPartner.user ??
+      (
+        await DeliveryPartner.findById(idOf(order.deliveryPartner)).select(
+          "user"
+        )
+      )?.user;
+    if (idOf(partnerUser) === userId) roles.push("delivery_partner");
+  }
+
+  return roles;
+};
+
+// Statuses a given set of roles can move an order to
+export const getAvailableTransitions = (order, roles) =>
+  Object.entries(ORDER_TRANSITIONS[order.orderStatus] || {})
+    .filter(([, rule]) => rule.roles.some((role) => roles.includes(role)))
+    .map(([status]) => status);
+
+// Move an order to a new status.
+//
+// context: { user, role, reason, cancellationReason, otpVerified, description,
+//            changes }
+//   user    - the acting user; their roles on the order are worked out here
+//   role    - act as a fixed role instead, e.g. "system" for background jobs
+//   changes - other fields saved along with the new status, e.g. the
+//             delivery partner picking the order up
+//
+// The status is only changed if no one else has changed it in the meantime,
+// so concurrent transitions can't both run their effects.
+//
+// Returns { order } on success or { error, statusCode } if the transition
+// isn't allowed.
+export const transitionOrder = async (order, toStatus, context = {}) => {
+  const fromStatus = order.orderStatus;
+  const rule = ORDER_TRANSITIONS[fromStatus]?.[toStatus];
+
+  if (!rule) {
+    return {
+      error: `Cannot change status from ${fromStatus} to ${toStatus}`,
+      statusCode: 400,
+    };
+  }
+
+  // Roles and guards see the order with the caller's changes
+  if (context.changes) order.set(context.changes);
+
+  const roles = context.role
+    ? [context.role]
+    : await getActorRoles(order, context.user);
+  const role = rule.roles.find((r) => roles.includes(r));
+
+  if (!role) {
+    return { error: "Access denied", statusCode: 403 };
+  }
+
+  const transitionContext = { ...context, role, previousStatus: fromStatus };
+
+  for (let guard of rule.guards || []) {
+    const error = guard(order, transitionContext);
+    if (error) return { error, statusCode: 400 };
+  }
+
+  const set = { ...context.changes, orderStatus: toStatus };
+  const unset = {};
+
+  if (toStatus === "delivered") {
+    set.actualDeliveryTime = new Date();
+    unset.otp = 1; // Remove OTP after successful delivery
+  }
+
+  if (toStatus === "cancelled") {
+    set.cancellationReason =
+      context.cancellationReason ||
+      (role === "customer" ? "customer_request" : "other");
+    set.cancellationDetails = {
+      reason: context.reason || "No reason provided",
+      cancelledBy: role,
+    };
+  }
+
+  const updated = await Order.findOneAndUpdate(
+    { _id: order._id, orderStatus: fromStatus },
+    {
+      $set: set,
+      ...(unset.otp && { $unset: unset }),
+      $push: {
+        timeline: {
+          status: TIMELINE_STATUS[toStatus],
+          timestamp: new Date(),
+          description: context.description || context.reason,
+        },
+      },
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    return {
+      error: `Order is no longer ${fromStatus}, refresh and try again`,
+      statusCode: 409,
+    };
+  }
+
+  // Bring the caller's copy up to date, keeping its populated paths
+  order.set({ ...set, timeline: updated.timeline });
+  if (unset.otp) order.otp = undefined;
+
+  publishOrderEvent(order._id, "status", {
+    status: toStatus,
+    previousStatus: fromStatus,
+    estimatedDeliveryTime: order.estimatedDeliveryTime,
+  });
+  publishTimelineEntry(order);
+
+  // The new status is saved, so one failing effect mustn't stop the others
+  // or fail the request. Failures are recorded on the order to be retried.
+  for (let effect of rule.effects || []) {
+    try {
+      await effect(order, transitionContext);
+    } catch (error) {
+      const name = EFFECT_NAMES.get(effect);
+      console.error(
+        `Order ${order.orderNumber} ${toStatus} effect ${name} failed: ${error.message}`
+      );
+      await Order.updateOne(
+        { _id: order._id },
+        {
+          $push: {
+            failedEffects: {
+              effect: name,
+              context: {
+                role,
+                previousStatus: fromStatus,
+                user: context.user?._id,
+              },
+              error: error.message,
+              lastAttemptAt: new Date(),
+            },
+          },
+        }
+      ).catch((recordError) =>
+        console.error(
+          `Recording failed effect ${name} on order ${order.orderNumber} failed: ${recordError.message}`
+        )
+      );
+    }
+  }
+
+  return { order };
+};
+
+// Run failed effects again. Each one is taken off its order before it runs,
+// so concurrent retries can't repeat it, and put back with its attempt
+// counted if it fails again.
+export const retryFailedEffects = async () => {
+  const orders = await Order.find({
+    failedEffects: {
+      $elemMatch: { attempts: { $lt: MAX_EFFECT_ATTEMPTS } },
+    },
+  });
+
+  for (let order of orders) {
+    for (let failed of order.failedEffects) {
+      if (failed.attempts >= MAX_EFFECT_ATTEMPTS) continue;
+
+      const { modifiedCount } = await Order.updateOne(
+        { _id: order._id },
+        { $pull: { failedEffects: { _id: failed._id } } }
+      );
+      if (!modifiedCount) continue;
+
+      const { user, ...context } = failed.context || {};
+      try {
+        await effects[failed.effect](await Order.findById(order._id), {
+          ...context,
+          user: user && { _id: user },
+        });
+      } catch (error) {
+        await Order.updateOne(
+          { _id: order._id },
+          {
+            $push: {
+              failedEffects: {
+                effect: failed.effect,
+                context: failed.context,
+                error: error.message,
+                attempts: failed.attempts + 1,
+                lastAttemptAt: new Date(),
+              },
+            },
+          }
+        );
+      }
+    }
+  }
+};
+
+// Retry failed effects in the background for the lifetime of the process
+export const startEffectRetryTimer = () => {
+  const timer = setInterval(() => {
+    retryFailedEffects().catch((error) =>
+      console.error(`Effect retry failed: ${error.message}`)
+    );
+  }, EFFECT_RETRY_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
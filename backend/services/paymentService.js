@@ -0,0 +1,244 @@
+import { Order, Payment } from "../models/index.js";
+import mockProvider from "./payments/mockProvider.js";
+import { publishTimelineEntry } from "./orderEvents.js";
+import { recordTipPayment } from "./tipService.js";
+
+// Payment providers implement the same interface:
+//   createIntent({ amount, currency, reference }) -> { id, clientSecret, amount, currency, status }
+//   capture(intentId, { paymentToken })           -> { intentId, status, transactionId, failureReason }
+//   refund(transactionId, { amount, reference })  -> { id, status, amount, failureReason }
+//   verifyWebhook(rawBody, headers)               -> { id, type, data } or null if the signature or body is invalid
+//
+// Webhook events use the types "payment.succeeded", "payment.failed" and
+// "refund.succeeded"/"refund.failed", with data.intentId identifying the payment.
+const providers = {
+  [mockProvider.name]: mockProvider,
+};
+
+// Look up a provider by name, defaulting to the configured one
+export const getPaymentProvider = (name = process.env.PAYMENT_PROVIDER) => {
+  const provider = providers[name || "mock"];
+  if (!provider) {
+    throw new Error(`Unknown payment provider: ${name}`);
+  }
+  return provider;
+};
+
+// Start a payment for an order, reusing an open intent for the same amount.
+// Split group orders take one payment per participant for their share, and
+// tips added after delivery are paid on their own.
+export const createPaymentIntent = async (
+  order,
+  {
+    customer = order.customer,
+    amount = order.pricing.total,
+    purpose = "order",
+    method = order.paymentMethod,
+  } = {}
+) => {
+  const existing = await Payment.findOne({
+    order: order._id,
+    customer,
+    purpose,
+    status: "created",
+    amount,
+  });
+  if (existing) return existing;
+
+  const provider = getPaymentProvider();
+  const attempt = await Payment.countDocuments({ order: order._id });
+  const intent = await provider.createIntent({
+    amount,
+    reference: `${order.orderNumber}-${attempt + 1}`,
+  });
+
+  return Payment.create({
+    order: order._id,
+    customer,
+    provider: provider.name,
+    intentId: intent.id,
+    amount: intent.amount,
+    currency: intent.currency,
+    purpose,
+    method,
+  });
+};
+
+// Amount captured for an order and not refunded since. Tips paid on top are
+// the delivery partner's and don't count.
+export const getAmountPaid = async (order) => {
+  const payments = await Payment.find({
+    order: order._id,
+    purpose: "order",
+    status: { $in: ["succeeded", "partially_refunded", "refunded"] },
+  });
+
+  const paid = payments.reduce(
+    (sum, payment) => sum + payment.amount - payment.refundedAmount,
+    0
+  );
+  return Math.round(paid * 100) / 100;
+};
+
+// Record the outcome of a payment on both the payment and its order
+export const applyPaymentResult = async (
+  payment,
+  { status, transactionId, failureReason }
+) => {
+  // Outcomes are applied once: a webhook may repeat what capture already
+  // applied, so the payment is only updated while it is still open
+  const outcome =
+    status === "succeeded"
+      ? { status: "succeeded", transactionId, capturedAt: new Date() }
+      : { status: "failed", failureReason };
+  const updated = await Payment.findOneAndUpdate(
+    { _id: payment._id, status: { $in: ["created", "processing"] } },
+    outcome,
+    { new: true }
+  );
+  if (!updated) return Payment.findById(payment._id);
+  payment = updated;
+
+  const order = await Order.findById(payment.order);
+
+  // Tip payments leave the order's own payment status alone
+  if (payment.purpose === "tip") {
+    if (order && payment.status === "succeeded") {
+      await recordTipPayment(order, payment);
+    }
+    return payment;
+  }
+
+  if (!order) return payment;
+
+  if (payment.status === "succeeded") {
+    // A split order is paid once every participant has paid their share
+    const share = order.group?.shares.find((s) =>
+      s.user.equals(payment.customer)
+    );
+    if (order.group?.paymentMode === "split" && share) {
+      share.paidAt = payment.capturedAt;
+    }
+    const fullyPaid =
+      order.group?.paymentMode !== "split" ||
+      order.group.shares.every((s) => s.paidAt);
+
+    if (fullyPaid) {
+      order.paymentStatus = "paid";
+      order.paymentDetails = {
+        transactionId,
+        paymentGateway: payment.provider,
+        paidAt: payment.capturedAt,
+      };
+    }
+    order.timeline.push({
+      status: "payment_confirmed",
+      description: share?.paidAt
+        ? `${share.name}'s share of ₹${payment.amount} received via ${payment.provider}`
+        : `Payment of ₹${payment.amount} received via ${payment.provider}`,
+    });
+  } else if (order.paymentStatus !== "paid") {
+    order.paymentStatus = "failed";
+    order.timeline.push({
+      status: "payment_failed",
+      description: failureReason || "Payment failed",
+    });
+  }
+
+  await order.save();
+  publishTimelineEntry(order);
+
+  return payment;
+};
+
+// Capture a payment intent with the provider. The intent is claimed first,
+// so concurrent requests can't capture it twice. Returns null if it is no
+// longer open for capture.
+export const capturePayment = async (payment, { paymentToken } = {}) => {
+  const claimed = await Payment.findOneAndUpdate(
+    { _id: payment._id, status: "created" },
+    { status: "processing" },
+    { new: true }
+  );
+  if (!claimed) return null;
+
+  // Reopen the intent if the provider couldn't be reached
+  const provider = getPaymentProvider(claimed.provider);
+  let result;
+  try {
+    result = await provider.capture(claimed.intentId, { paymentToken });
+  } catch (error) {
+    await Payment.updateOne(
+      { _id: claimed._id, status: "processing" },
+      { status: "created" }
+    );
+    throw error;
+  }
+
+  return applyPaymentResult(claimed, result);
+};
+
+// Refund part or all of a captured payment. Returns the provider's result;
+// the payment and order are only updated when the refund succeeds.
+export const refundPayment = async (payment, { amount, reference }) => {
+  const refundable = payment.amount - payment.refundedAmount;
+  const refundAmount = Math.round(Math.min(amount, refundable) * 100) / 100;
+
+  if (!payment.transactionId || refundAmount <= 0) {
+    return { status: "failed", failureReason: "Nothing to refund" };
+  }
+
+  const provider = getPaymentProvider(payment.provider);
+  const result = await provider.refund(payment.transactionId, {
+    amount: refundAmount,
+    reference,
+  });
+
+  if (result.status === "succeeded") {
+    payment.refundedAmount =
+      Math.round((payment.refundedAmount + refundAmount) * 100) / 100;
+    payment.status =
+      payment.refundedAmount >= payment.amount
+        ? "refunded"
+        : "partially_refunded";
+    await payment.save();
+
+    if (payment.status === "refunded") {
+      await Order.findByIdAndUpdate(payment.order, {
+        paymentStatus: "refunded",
+      });
+    }
+  }
+
+  return { ...result, amount: refundAmount };
+};
+
+// Verify and apply a provider webhook. Returns false if the signature is bad.
+export const handleWebhook = async (providerName, rawBody, headers) => {
+  const provider = getPaymentProvider(providerName);
+  const event = provider.verifyWebhook(rawBody, headers);
+  if (!event) return false;
+
+  const payment = await Payment.findOne({
+    provider: provider.name,
+    intentId: event.data?.intentId,
+  });
+  if (!payment) return true;
+
+  // Ignore events we have already processed
+  if (event.id && payment.events.some((e) => e.eventId === event.id)) {
+    return true;
+  }
+  payment.events.push({ eventId: event.id, type: event.type });
+
+  if (event.type === "payment.succeeded" || event.type === "payment.failed") {
+    await applyPaymentResult(payment, {
+      status: event.type === "payment.succeeded" ? "succeeded" : "failed",
+      transactionId: event.data.transactionId,
+      failureReason: event.data.failureReason,
+    });
+  }
+
+  await payment.save();
+  return true;
+};
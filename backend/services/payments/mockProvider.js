@@ -0,0 +1,100 @@
+import crypto from "crypto";
+
+// Deterministic payment provider for local runs and tests. The same inputs
+// always produce the same IDs and outcomes, and nothing leaves the process.
+//
+// Test tokens accepted by capture():
+//   tok_success (default) - payment succeeds
+//   tok_fail              - payment is declined
+//   tok_insufficient      - payment fails for insufficient funds
+//
+// Refunds of exactly ₹13.13 fail, so refund failures can be exercised too.
+
+const SIGNATURE_HEADER = "x-mock-signature";
+
+const getWebhookSecret = () =>
+  process.env.MOCK_PAYMENT_WEBHOOK_SECRET || "mock_webhook_secret";
+
+const digest = (...parts) =>
+  crypto
+    .createHash("sha256")
+    .update(parts.join(":"))
+    .digest("hex")
+    .slice(0, 24);
+
+const DECLINES = {
+  tok_fail: "Card declined",
+  tok_insufficient: "Insufficient funds",
+};
+
+const mockProvider = {
+  name: "mock",
+
+  // Create a payment intent for an amount
+  async createIntent({ amount, currency = "INR", reference }) {
+    const id = `pi_mock_${digest(reference, amount, currency)}`;
+    return {
+      id,
+      clientSecret: `${id}_secret_${digest(id, "secret")}`,
+      amount,
+      currency,
+      status: "requires_capture",
+    };
+  },
+
+  // Capture a previously created intent
+  async capture(intentId, { paymentToken = "tok_success" } = {}) {
+    const failureReason = DECLINES[paymentToken];
+    if (failureReason) {
+      return { intentId, status: "failed", failureReason };
+    }
+
+    return {
+      intentId,
+      status: "succeeded",
+      transactionId: `txn_mock_${digest(intentId)}`,
+    };
+  },
+
+  // Refund part or all of a captured payment
+  async refund(transactionId, { amount, reference }) {
+    const id = `rf_mock_${digest(transactionId, amount, reference)}`;
+
+    if (amount === 13.13) {
+      return { id, status: "failed", failureReason: "Refund rejected" };
+    }
+
+    return { id, status: "succeeded", amount };
+  },
+
+  // Verify a webhook signature and return the parsed event, or null
+  verifyWebhook(rawBody, headers) {
+    const signature = headers[SIGNATURE_HEADER];
+    if (typeof signature !== "string" || !rawBody) return null;
+
+    // timingSafeEqual throws on buffers of different lengths
+    const received = Buffer.from(signature);
+    const expected = Buffer.from(this.signPayload(rawBody));
+    const valid =
+      received.length === expected.length &&
+      crypto.timingSafeEqual(received, expected);
+
+    if (!valid) return null;
+
+    try {
+      return JSON.parse(rawBody.toString());
+    } catch {
+      return null;
+    }
+  },
+
+  // Sign a webhook body so local tools can simulate provider callbacks
+  signPayload(rawBody) {
+    return crypto
+      .createHmac("sha256", getWebhookSecret())
+      .update(rawBody)
+      .digest("hex");
+  },
+};
+
+export default mockProvider;
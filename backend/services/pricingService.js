@@ -0,0 +1,301 @@
+import { MenuItem } from "../models/index.js";
+import { calculateTaxes, isInterState, resolveGstRate } from "./taxService.js";
+import {
+  BUNDLE_COMPONENT_FIELDS,
+  priceBundleSelections,
+  validateBundleSelections,
+} from "./bundleService.js";
+import { isOnSchedule } from "./menuAvailabilityService.js";
+import { isSoldOut } from "./inventoryService.js";
+
+// Load a menu item with everything needed to validate a line for it
+export const loadMenuItem = (id) =>
+  MenuItem.findById(id)
+    .populate("category", "gstRate availability")
+    .populate("bundleSlots.options.menuItem", BUNDLE_COMPONENT_FIELDS);
+
+// Load the menu items referenced by a list of cart/order lines, keyed by id
+export const loadMenuItems = async (items) => {
+  const ids = items.map((item) => item.menuItem?._id || item.menuItem);
+  const menuItems = await MenuItem.find({ _id: { $in: ids } })
+    .populate("category", "gstRate availability")
+    .populate("bundleSlots.options.menuItem", BUNDLE_COMPONENT_FIELDS);
+
+  return new Map(
+    menuItems.map((menuItem) => [menuItem._id.toString(), menuItem])
+  );
+};
+
+// Explain why a menu item can't be ordered at a moment (now by default), or
+// return null if it can. Schedules are read in the restaurant's timezone.
+export const getUnavailableReason = (
+  menuItem,
+  restaurantId,
+  { at = new Date(), timeZone } = {}
+) => {
+  if (!menuItem) return "Menu item no longer exists";
+  if (!menuItem.isAvailable) return `${menuItem.name} is not available`;
+  if (!isOnSchedule(menuItem, at, timeZone)) {
+    return `${menuItem.name} is not available at this time`;
+  }
+  if (isSoldOut(menuItem)) return `${menuItem.name} is sold out`;
+  if (
+    restaurantId &&
+    menuItem.restaurant.toString() !== restaurantId.toString()
+  ) {
+    return `${menuItem.name} does not belong to this restaurant`;
+  }
+  return null;
+};
+
+// Check a line's variant, add-ons and customizations against the menu item.
+// Every choice must exist on the menu and be available, each customization
+// group must be selected at most once, and each group's selections must fall
+// within its min/max bounds (a required group needs at least one). Combos
+// also need a valid choice for each of their slots. Returns an error message,
+// or null if the line is valid.
+export const validateItemOptions = (
+  menuItem,
+  { variant, addOns, customizations, bundleSelections }
+) => {
+  if (variant?.name) {
+    const menuVariant = menuItem.variants.find((v) => v.name === variant.name);
+    if (!menuVariant || !menuVariant.isAvailable) {
+      return `Variant ${variant.name} is not available`;
+    }
+  }
+
+  const addOnNames = new Set();
+  for (let addOn of addOns || []) {
+    const menuAddOn = menuItem.addOns.find((a) => a.name === addOn.name);
+    if (!menuAddOn || !menuAddOn.isAvailable) {
+      return `Add-on ${addOn.name} is not available`;
+    }
+    if (addOnNames.has(addOn.name)) {
+      return `Add-on ${addOn.name} can only be added once`;
+    }
+    addOnNames.add(addOn.name);
+  }
+
+  const selections = new Map();
+  for (let customization of customizations || []) {
+    const menuCustomization = menuItem.customizations.find(
+      (c) => c.name === customization.name
+    );
+    if (!menuCustomization) {
+      return `${menuItem.name} has no ${customization.name} option`;
+    }
+    if (selections.has(customization.name)) {
+      return `${customization.name} can only be chosen once`;
+    }
+
+    const optionNames = new Set();
+    for (let option of customization.selectedOptions || []) {
+      if (!menuCustomization.options.some((o) => o.name === option.name)) {
+        return `${option.name} is not a ${customization.name} option`;
+      }
+      if (optionNames.has(option.name)) {
+        return `${option.name} can only be selected once`;
+      }
+      optionNames.add(option.name);
+    }
+    selections.set(customization.name, optionNames.size);
+  }
+
+  for (let menuCustomization of menuItem.customizations) {
+    const count = selections.get(menuCustomization.name) || 0;
+    const min = menuCustomization.isRequired
+      ? Math.max(menuCustomization.minSelections, 1)
+      : menuCustomization.minSelections;
+    const max = menuCustomization.maxSelections;
+
+    if (count < min) {
+      return min === 1
+        ? `Please choose a ${menuCustomization.name} option`
+        : `Please choose at least ${min} ${menuCustomization.name} options`;
+    }
+    if (count > max) {
+      return `You can choose at most ${max} ${menuCustomization.name} option${
+        max === 1 ? "" : "s"
+      }`;
+    }
+  }
+
+  return validateBundleSelections(menuItem, bundleSelections);
+};
+
+// Explain why a cart/order line can't be ordered as it stands: the menu item
+// itself is unavailable or its options break the menu's rules
+export const validateLineItem = (menuItem, item, restaurantId, options) =>
+  getUnavailableReason(menuItem, restaurantId, options) ||
+  validateItemOptions(menuItem, item);
+
+// Price a single line against the current menu item
+export const priceLineItem = (menuItem, item) => {
+  let itemPrice = menuItem.price;
+  let variant;
+
+  // Calculate variant price
+  if (item.variant?.name) {
+    const menuVariant = menuItem.variants.find(
+      (v) => v.name === item.variant.name
+    );
+    if (menuVariant) {
+      itemPrice = menuVariant.discountedPrice || menuVariant.price;
+      variant = { name: menuVariant.name, price: itemPrice };
+    }
+  }
+
+  // Calculate base item total
+  let itemTotal = itemPrice * item.quantity;
+
+  // Add add-ons
+  const addOns = [];
+  for (let addOn of item.addOns || []) {
+    const menuAddOn = menuItem.addOns.find((a) => a.name === addOn.name);
+    if (menuAddOn && menuAddOn.isAvailable) {
+      addOns.push({ name: menuAddOn.name, price: menuAddOn.price });
+      itemTotal += menuAddOn.price * item.quantity;
+    }
+  }
+
+  // Apply customizations, priced from the menu rather than the request
+  const customizations = [];
+  for (let customization of item.customizations || []) {
+    const menuCustomization = menuItem.customizations.find(
+      (c) => c.name === customization.name
+    );
+    if (!menuCustomization) continue;
+
+    const selectedOptions = [];
+    for (let option of customization.selectedOptions || []) {
+      const menuOption = menuCustomization.options.find(
+        (o) => o.name === option.name
+      );
+      if (menuOption) {
+        selectedOptions.push({
+          name: menuOption.name,
+          priceModifier: menuOption.priceModifier,
+        });
+        itemTotal += menuOption.priceModifier * item.quantity;
+      }
+    }
+    customizations.push({ name: menuCustomization.name, selectedOptions });
+  }
+
+  // Add combo upcharges
+  const bundleSelections = priceBundleSelections(
+    menuItem,
+    item.bundleSelections
+  );
+  for (let selection of bundleSelections) {
+    itemTotal += selection.upcharge * item.quantity;
+  }
+
+  return {
+    menuItem: menuItem._id,
+    name: menuItem.name,
+    price: itemPrice,
+    quantity: item.quantity,
+    variant,
+    addOns,
+    customizations,
+    bundleSelections,
+    specialInstructions: item.specialInstructions,
+    participant: item.participant,
+    itemTotal,
+    gstRate: resolveGstRate(menuItem),
+  };
+};
+
+// Price a list of lines for a restaurant. Lines that can't be ordered at the
+// given moment, or whose options break the menu's rules, are reported in
+// unavailableItems and left out of the subtotal.
+export const priceItems = async (
+  items,
+  restaurantId,
+  { at, timeZone } = {}
+) => {
+  const menuItems = await loadMenuItems(items);
+
+  let subtotal = 0;
+  const orderItems = [];
+  const unavailableItems = [];
+
+  for (let item of items) {
+    const menuItemId = (item.menuItem?._id || item.menuItem)?.toString();
+    const menuItem = menuItems.get(menuItemId);
+    const reason = validateLineItem(menuItem, item, restaurantId, {
+      at,
+      timeZone,
+    });
+
+    if (reason) {
+      unavailableItems.push({
+        menuItem: menuItemId,
+        name: menuItem?.name || item.name,
+        reason,
+      });
+      continue;
+    }
+
+    const line = priceLineItem(menuItem, item);
+    orderItems.push(line);
+    subtotal += line.itemTotal;
+  }
+
+  return { orderItems, subtotal, unavailableItems };
+};
+
+// Fees and taxes charged on top of the priced lines, shaped like Order.pricing.
+// Each line gets its tax breakdown attached. A discount reduces the taxable
+// amount as well as the total. A tip is added to the total untaxed.
+export const calculateCharges = (
+  restaurant,
+  lines,
+  { discount = 0, deliveryState, tip: tipAmount = 0 } = {}
+) => {
+  const tip = Number(tipAmount) || 0;
+  const subtotal = lines.reduce((sum, line) => sum + line.itemTotal, 0);
+  const deliveryFee = restaurant.deliveryFee || 0;
+  const platformFee = Math.round(subtotal * 0.02); // 2% platform fee
+  const packagingFee = 10;
+  const taxableAmount = Math.max(subtotal - discount, 0);
+  const interState = isInterState(restaurant.address?.state, deliveryState);
+
+  const taxes = calculateTaxes({
+    lines,
+    discount,
+    fees: { deliveryFee, platformFee, packagingFee },
+    interState,
+  });
+  lines.forEach((line, index) => {
+    line.tax = taxes.items[index];
+  });
+
+  const { cgst, sgst, igst } = taxes.totals;
+  const total =
+    Math.round(
+      (taxableAmount +
+        deliveryFee +
+        platformFee +
+        packagingFee +
+        cgst +
+        sgst +
+        igst +
+        tip) *
+        100
+    ) / 100;
+
+  return {
+    subtotal,
+    deliveryFee,
+    taxes: { cgst, sgst, igst, interState },
+    feeTaxes: taxes.fees,
+    discount: { amount: discount },
+    platformFee,
+    packagingFee,
+    tip,
+    total,
+  };
+};
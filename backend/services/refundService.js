@@ -0,0 +1,319 @@
+import { Order, Payment, Refund } from "../models/index.js";
+import { getAmountPaid, refundPayment } from "./paymentService.js";
+import { creditWallet } from "./walletService.js";
+import { transitionOrder } from "./orderStateMachine.js";
+import { taxAmount } from "./taxService.js";
+import { issueCreditNote } from "./invoiceService.js";
+
+// Share of the order total refunded when a customer cancels at each stage.
+// Cancellations by the restaurant, admin or system are always refunded in full.
+export const CANCELLATION_REFUND_POLICY = {
+  scheduled: 1,
+  pending: 1,
+  confirmed: 1,
+  preparing: 0.5,
+  ready_for_pickup: 0,
+  out_for_delivery: 0,
+};
+
+// Stages where cancellations are refunded in full, paid out without review
+const AUTO_APPROVED_STAGES = ["scheduled", "pending", "confirmed"];
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// Has the customer actually paid for this order?
+const isOrderPaid = (order) =>
+  order.paymentStatus === "paid" ||
+  (order.paymentMethod === "cash_on_delivery" &&
+    order.orderStatus === "delivered");
+
+// Refund due when an order is cancelled at a given stage: what was captured
+// for it, up to the policy's share of the total. Orders can hold payments
+// without being marked paid, e.g. a split group order only partly paid or an
+// order whose total went up after it was paid.
+export const getCancellationRefundAmount = async (
+  order,
+  stage,
+  cancelledBy
+) => {
+  const share =
+    cancelledBy === "customer" ? CANCELLATION_REFUND_POLICY[stage] ?? 0 : 1;
+
+  const paid = await getAmountPaid(order);
+  return round(Math.min(paid, order.pricing.total * share));
+};
+
+// The part of the order total that can be refunded. The tip belongs to the
+// delivery partner; tips added after delivery aren't in the total at all.
+const getRefundableTotal = (order) =>
+  round(order.pricing.total - (order.pricing.tip || 0));
+
+// Amount still available to refund, counting refunds already in flight.
+// Modification refunds are left out as they were taken off the total.
+export const getRefundableAmount = async (order) => {
+  if (!isOrderPaid(order)) return 0;
+
+  const [committed] = await Refund.aggregate([
+    {
+      $match: {
+        order: order._id,
+        type: { $ne: "modification" },
+        status: { $in: ["pending_approval", "approved", "processed"] },
+      },
+    },
+    { $group: { _id: null, total: { $sum: "$amount" } } },
+  ]);
+
+  return round(
+    Math.max(getRefundableTotal(order) - (committed?.total || 0), 0)
+  );
+};
+
+// Price refunded order lines, including their share of taxes and discount
+export const calculateItemRefund = (order, requestedItems) => {
+  const { subtotal, taxes, discount } = order.pricing;
+  const taxTotal = (taxes.cgst || 0) + (taxes.sgst || 0) + (taxes.igst || 0);
+  const adjustment =
+    subtotal > 0 ? (taxTotal - (discount?.amount || 0)) / subtotal : 0;
+
+  const items = [];
+  for (let requested of requestedItems) {
+    const orderItem = order.items.id(requested.itemId);
+    if (!orderItem) {
+      return { error: "Item not found in this order" };
+    }
+
+    // Units refunded before can't be claimed again
+    const remaining = orderItem.quantity - (orderItem.refundedQuantity || 0);
+    if (remaining <= 0) {
+      return { error: `${orderItem.name} has already been refunded` };
+    }
+
+    const quantity = requested.quantity || remaining;
+    if (quantity > remaining) {
+      return {
+        error: `Only ${remaining} x ${orderItem.name} left to refund`,
+      };
+    }
+
+    // Lines taxed individually refund what was paid for them; older orders
+    // spread taxes and discount across lines by value
+    const linePaid =
+      orderItem.tax?.rate != null
+        ? orderItem.tax.taxableAmount + taxAmount(orderItem.tax)
+        : orderItem.itemTotal * (1 + adjustment);
+    items.push({
+      orderItem: orderItem._id,
+      name: orderItem.name,
+      quantity,
+      amount: round((linePaid / orderItem.quantity) * quantity),
+    });
+  }
+
+  return {
+    items,
+    amount: round(items.reduce((sum, item) => sum + item.amount, 0)),
+  };
+};
+
+// Give back order line units held by an item refund, e.g. once it is rejected
+export const releaseRefundItems = async (orderId, items) => {
+  await Promise.all(
+    items.map((item) =>
+      Order.updateOne(
+        { _id: orderId, "items._id": item.orderItem },
+        { $inc: { "items.$.refundedQuantity": -item.quantity } }
+      )
+    )
+  );
+};
+
+// Hold order line units for an item refund. Each line is only claimed while
+// enough of it is left, so concurrent claims can't refund the same units
+// twice; if any line falls short, what was already held is given back.
+// Returns false if the units are no longer available.
+export const reserveRefundItems = async (order, items) => {
+  const reserved = [];
+  for (let item of items) {
+    const orderItem = order.items.id(item.orderItem);
+    const result = await Order.updateOne(
+      {
+        _id: order._id,
+        items: {
+          $elemMatch: {
+            _id: item.orderItem,
+            // Older orders have no refunded quantity yet
+            refundedQuantity: {
+              $not: { $gt: orderItem.quantity - item.quantity },
+            },
+          },
+        },
+      },
+      { $inc: { "items.$.refundedQuantity": item.quantity } }
+    );
+
+    if (result.modifiedCount === 0) {
+      await releaseRefundItems(order._id, reserved);
+      return false;
+    }
+    reserved.push(item);
+  }
+
+  return true;
+};
+
+// Move an order on once its refunds are paid out
+const syncOrderRefundStatus = async (order, refund) => {
+  if (refund.type === "cancellation" && order.cancellationDetails) {
+    order.cancellationDetails.refundStatus =
+      refund.status === "processed" ? "processed" : "failed";
+    await order.save();
+  }
+
+  if (refund.status !== "processed") return;
+
+  // Delivered orders were invoiced, so the refund reduces that invoice
+  if (order.actualDeliveryTime) {
+    await issueCreditNote(refund);
+  }
+
+  const [processed] = await Refund.aggregate([
+    {
+      $match: {
+        order: order._id,
+        type: { $ne: "modification" },
+        status: "processed",
+      },
+    },
+    { $group: { _id: null, total: { $sum: "$amount" } } },
+  ]);
+
+  if (
+    order.orderStatus === "cancelled" ||
+    (processed?.total || 0) >= getRefundableTotal(order)
+  ) {
+    await transitionOrder(order, "refunded", {
+      role: "system",
+      description: `₹${refund.amount} refunded`,
+    });
+  }
+};
+
+// Pay out an approved refund to the original payment method or the wallet,
+// recording every attempt on the refund. An order can have several captured
+// payments, e.g. a top-up after a modification or one per participant of a
+// split group order, so the refund is spread across them. Cash orders and
+// refunds requested as store credit go to the wallet.
+export const processRefund = async (refund, order) => {
+  order = order || (await Order.findById(refund.order));
+
+  // A retry only pays out what earlier attempts didn't
+  const paidOut = refund.attempts
+    .filter((attempt) => attempt.status === "succeeded")
+    .reduce((sum, attempt) => sum + attempt.amount, 0);
+  let remaining = round(refund.amount - paidOut);
+
+  if (
+    refund.destination === "wallet" ||
+    order.paymentMethod === "cash_on_delivery"
+  ) {
+    await creditWallet(refund.customer, remaining, {
+      description: `Refund for order ${order.orderNumber}`,
+      order: order._id,
+      refund: refund._id,
+    });
+    refund.attempts.push({
+      destination: "wallet",
+      amount: remaining,
+      status: "succeeded",
+    });
+    remaining = 0;
+  } else {
+    // Tips are the delivery partner's and aren't refunded with the order
+    const payments = await Payment.find({
+      order: refund.order,
+      purpose: "order",
+      status: { $in: ["succeeded", "partially_refunded"] },
+    }).sort({ capturedAt: 1 });
+
+    let failed = false;
+    for (let payment of payments) {
+      if (remaining <= 0) break;
+      const available = round(payment.amount - payment.refundedAmount);
+      if (available <= 0) continue;
+
+      const result = await refundPayment(payment, {
+        amount: Math.min(remaining, available),
+        reference: `${refund._id}-${refund.attempts.length + 1}`,
+      });
+      const succeeded = result.status === "succeeded";
+      refund.attempts.push({
+        destination: "original_method",
+        provider: payment.provider,
+        providerRefundId: result.id,
+        amount: result.amount,
+        status: succeeded ? "succeeded" : "failed",
+        failureReason: result.failureReason,
+      });
+      if (succeeded) {
+        remaining = round(remaining - result.amount);
+      } else {
+        failed = true;
+      }
+    }
+
+    if (remaining > 0 && !failed) {
+      refund.attempts.push({
+        destination: "original_method",
+        amount: remaining,
+        status: "failed",
+        failureReason: "The order's payments don't cover the refund",
+      });
+    }
+  }
+
+  refund.status = remaining <= 0 ? "processed" : "failed";
+  if (refund.status === "processed") {
+    refund.processedAt = new Date();
+  }
+  await refund.save();
+
+  await syncOrderRefundStatus(order, refund);
+
+  return refund;
+};
+
+// Raise the refund owed for a cancelled order. The order must already be
+// saved as cancelled; its cancellationDetails are updated with the outcome.
+export const createCancellationRefund = async (
+  order,
+  { stage, cancelledBy, requestedBy }
+) => {
+  const amount = await getCancellationRefundAmount(order, stage, cancelledBy);
+
+  order.cancellationDetails.refundAmount = amount;
+  order.cancellationDetails.refundStatus = amount > 0 ? "pending" : undefined;
+  await order.save();
+
+  if (amount <= 0) return null;
+
+  const refund = await Refund.create({
+    order: order._id,
+    customer: order.customer,
+    restaurant: order.restaurant._id || order.restaurant,
+    type: "cancellation",
+    amount,
+    reason: order.cancellationDetails.reason || "Order cancelled",
+    orderStage: stage,
+    status: AUTO_APPROVED_STAGES.includes(stage)
+      ? "approved"
+      : "pending_approval",
+    requestedBy: { user: requestedBy, role: cancelledBy },
+  });
+
+  if (refund.status === "approved") {
+    await processRefund(refund, order);
+  }
+
+  return refund;
+};
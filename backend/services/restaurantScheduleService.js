@@ -0,0 +1,191 @@
+import { getBusinessTimezone, getTimezoneOffset } from "../utils/helpers.js";
+
+const WEEKDAYS = [
+  "sunday",
+  "monday",
+  "tuesday",
+  "wednesday",
+  "thursday",
+  "friday",
+  "saturday",
+];
+
+// How far ahead to look for the next time a restaurant opens
+const LOOKAHEAD_DAYS = 14;
+
+// Restaurants that haven't set any weekly hours take orders around the clock
+const ALL_DAY = [{ open: "00:00", close: "00:00" }];
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+};
+
+export const getRestaurantTimezone = (restaurant) =>
+  restaurant.timezone || getBusinessTimezone();
+
+// Local calendar date and minutes since midnight of a moment
+const getLocalParts = (date, timeZone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23",
+    })
+      .formatToParts(date)
+      .map((part) => [part.type, part.value])
+  );
+
+  return {
+    day: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+  };
+};
+
+// Calendar arithmetic on YYYY-MM-DD dates
+const addDays = (day, days) => {
+  const [year, month, date] = day.split("-").map(Number);
+  return new Date(Date.UTC(year, month - 1, date + days))
+    .toISOString()
+    .slice(0, 10);
+};
+
+const getWeekday = (day) => WEEKDAYS[new Date(`${day}T00:00:00Z`).getUTCDay()];
+
+// The moment a local date and HH:MM time happen in a timezone. The offset is
+// checked a second time so times just after a DST change come out right.
+const toInstant = (day, time, timeZone) => {
+  const [year, month, date] = day.split("-").map(Number);
+  const [hours, minutes] = time.split(":").map(Number);
+  const wallClock = Date.UTC(year, month - 1, date, hours, minutes);
+  const guess = wallClock - getTimezoneOffset(new Date(wallClock), timeZone);
+  return new Date(wallClock - getTimezoneOffset(new Date(guess), timeZone));
+};
+
+const hasWeeklyHours = (restaurant) =>
+  WEEKDAYS.some((weekday) => {
+    const hours = restaurant.openingHours?.[weekday];
+    return hours && (hours.isClosed || hours.open || hours.shifts?.length > 0);
+  });
+
+const getSpecialHours = (restaurant, day) =>
+  restaurant.specialHours?.find((entry) => entry.date === day);
+
+// The shifts a restaurant works on a local date. A special date replaces the
+// usual hours for its weekday; one with neither shifts nor isClosed set only
+// carries a note.
+export const getShiftsOn = (restaurant, day) => {
+  const special = getSpecialHours(restaurant, day);
+  if (special?.isClosed) return [];
+  if (special?.shifts?.length > 0) return special.shifts;
+
+  if (!hasWeeklyHours(restaurant)) return ALL_DAY;
+
+  const hours = restaurant.openingHours[getWeekday(day)];
+  if (!hours || hours.isClosed) return [];
+  if (hours.shifts?.length > 0) return hours.shifts;
+  return hours.open && hours.close
+    ? [{ open: hours.open, close: hours.close }]
+    : [];
+};
+
+// Shifts that close at or before they open run past midnight
+const isOvernight = (shift) => toMinutes(shift.close) <= toMinutes(shift.open);
+
+// Is the restaurant inside one of its shifts at a moment? The late part of an
+// overnight shift belongs to the day it started on.
+const isWithinShifts = (restaurant, date) => {
+  const local = getLocalParts(date, getRestaurantTimezone(restaurant));
+
+  const today = getShiftsOn(restaurant, local.day).some((shift) => {
+    const open = toMinutes(shift.open);
+    return isOvernight(shift)
+      ? local.minutes >= open
+      : local.minutes >= open && local.minutes < toMinutes(shift.close);
+  });
+  if (today) return true;
+
+  return getShiftsOn(restaurant, addDays(local.day, -1)).some(
+    (shift) => isOvernight(shift) && local.minutes < toMinutes(shift.close)
+  );
+};
+
+// The owner's temporary closure, if it still applies at a moment
+const getActiveClosure = (restaurant, date) => {
+  const closure = restaurant.temporaryClosure;
+  if (!closure?.isClosed) return null;
+  return !closure.until || closure.until > date ? closure : null;
+};
+
+// The first moment from a given time that the restaurant's shifts have it
+// open, or null if it doesn't open within the lookahead
+export const getNextOpening = (restaurant, from = new Date()) => {
+  if (isWithinShifts(restaurant, from)) return from;
+
+  const timeZone = getRestaurantTimezone(restaurant);
+  const { day } = getLocalParts(from, timeZone);
+
+  for (let offset = 0; offset <= LOOKAHEAD_DAYS; offset++) {
+    const date = addDays(day, offset);
+    const opensAt = getShiftsOn(restaurant, date)
+      .map((shift) => toInstant(date, shift.open, timeZone))
+      .filter((time) => time > from)
+      .sort((a, b) => a - b);
+    if (opensAt.length > 0) return opensAt[0];
+  }
+
+  return null;
+};
+
+// Is the restaurant taking orders at a moment?
+export const isOpenAt = (restaurant, date = new Date()) =>
+  !getActiveClosure(restaurant, date) && isWithinShifts(restaurant, date);
+
+// Whether the restaurant is open at a moment, and if not, why and when it
+// opens again. Returns { isOpen, reason, message, nextOpenAt }.
+export const getOpenStatus = (restaurant, date = new Date()) => {
+  const closure = getActiveClosure(restaurant, date);
+  if (closure) {
+    const nextOpenAt = closure.until
+      ? getNextOpening(restaurant, closure.until)
+      : null;
+    return {
+      isOpen: false,
+      reason: "temporarily_closed",
+      message: closure.reason
+        ? `Restaurant is temporarily closed: ${closure.reason}`
+        : "Restaurant is temporarily closed",
+      nextOpenAt,
+    };
+  }
+
+  if (isWithinShifts(restaurant, date)) {
+    return { isOpen: true, reason: null, message: "Open", nextOpenAt: null };
+  }
+
+  const { day } = getLocalParts(date, getRestaurantTimezone(restaurant));
+  const special = getSpecialHours(restaurant, day);
+  const nextOpenAt = getNextOpening(restaurant, date);
+
+  if (special?.isClosed) {
+    return {
+      isOpen: false,
+      reason: "holiday",
+      message: special.note
+        ? `Restaurant is closed today for ${special.note}`
+        : "Restaurant is closed today",
+      nextOpenAt,
+    };
+  }
+
+  return {
+    isOpen: false,
+    reason: "closed",
+    message: "Restaurant is closed right now",
+    nextOpenAt,
+  };
+};
@@ -0,0 +1,248 @@
+import { Counter, Order, Restaurant } from "../models/index.js";
+import { getTimezoneOffset } from "../utils/helpers.js";
+import { transitionOrder } from "./orderStateMachine.js";
+import {
+  getStockUsage,
+  releaseStock,
+  reserveStock,
+} from "./inventoryService.js";
+import { getRestaurantTimezone } from "./restaurantScheduleService.js";
+
+// Delivery slots customers can pick when ordering ahead
+const SLOT_MINUTES = 30;
+const SLOT_MS = SLOT_MINUTES * 60 * 1000;
+
+// How far ahead orders can be scheduled
+const MAX_DAYS_AHEAD = 7;
+
+// Extra time on top of the restaurant's delivery time before an order is
+// released, so it isn't late if the kitchen is busy
+const RELEASE_BUFFER_MINUTES = 10;
+
+const SCHEDULER_INTERVAL_MS = 60 * 1000;
+
+// Statuses that take up a slot
+const ACTIVE_STATUSES = {
+  $nin: ["cancelled", "refunded"],
+};
+
+// Minutes before a slot the order has to go to the restaurant
+const getLeadMinutes = (restaurant) =>
+  (restaurant.deliveryTime.min + restaurant.deliveryTime.max) / 2 +
+  RELEASE_BUFFER_MINUTES;
+
+// Start of the slot a time falls in. Slots start on the hour and half hour
+// of the restaurant's local time, which needn't line up with UTC.
+const getSlotStart = (date, timeZone) => {
+  const offset = getTimezoneOffset(date, timeZone);
+  return new Date(
+    Math.floor((date.getTime() + offset) / SLOT_MS) * SLOT_MS - offset
+  );
+};
+
+const getSlotCounter = (restaurantId, scheduledFor) =>
+  `slot:${restaurantId}:${scheduledFor.toISOString()}`;
+
+// Take a place in a delivery slot. Places are counted atomically, so
+// concurrent pre-orders can't overbook the slot. A slot's count starts from
+// the orders already booked in it. Returns whether a place was taken.
+export const claimDeliverySlot = async (restaurant, scheduledFor) => {
+  const name = getSlotCounter(restaurant._id, scheduledFor);
+
+  if (!(await Counter.exists({ _id: name }))) {
+    const booked = await Order.countDocuments({
+      restaurant: restaurant._id,
+      scheduledFor,
+      orderStatus: ACTIVE_STATUSES,
+    });
+    try {
+      await Counter.create({ _id: name, seq: booked });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  const counter = await Counter.findOneAndUpdate(
+    { _id: name, seq: { $lt: restaurant.preOrder.slotCapacity } },
+    { $inc: { seq: 1 } }
+  );
+  return Boolean(counter);
+};
+
+// Give back a place taken in a delivery slot
+export const releaseDeliverySlot = async (restaurantId, scheduledFor) => {
+  await Counter.updateOne(
+    { _id: getSlotCounter(restaurantId, scheduledFor), seq: { $gt: 0 } },
+    { $inc: { seq: -1 } }
+  );
+};
+
+// Check a requested delivery time against the restaurant's hours, the
+// order-ahead window and slot capacity. A place in the slot is only held
+// once claimDeliverySlot takes it. Returns { scheduledFor, releaseAt } or
+// { error, statusCode }.
+export const validateDeliverySlot = async (
+  restaurant,
+  requestedTime,
+  { excludeOrder } = {}
+) => {
+  if (!restaurant.preOrder?.isEnabled) {
+    return {
+      error: "This restaurant doesn't take scheduled orders",
+      statusCode: 400,
+    };
+  }
+
+  const scheduledFor = getSlotStart(
+    requestedTime,
+    getRestaurantTimezone(restaurant)
+  );
+  const releaseAt = new Date(
+    scheduledFor.getTime() - getLeadMinutes(restaurant) * 60 * 1000
+  );
+  const now = new Date();
+
+  if (releaseAt <= now) {
+    return {
+      error: "This slot is too soon to schedule, place the order now instead",
+      statusCode: 400,
+    };
+  }
+
+  if (scheduledFor - now > MAX_DAYS_AHEAD * 24 * 60 * 60 * 1000) {
+    return {
+      error: `Orders can be scheduled up to ${MAX_DAYS_AHEAD} days ahead`,
+      statusCode: 400,
+    };
+  }
+
+  // The kitchen must be open to prepare the order and to hand it over
+  if (!restaurant.isOpenAt(releaseAt) || !restaurant.isOpenAt(scheduledFor)) {
+    return {
+      error: "The restaurant is closed at this time",
+      statusCode: 400,
+    };
+  }
+
+  const booked = await Order.countDocuments({
+    restaurant: restaurant._id,
+    scheduledFor,
+    orderStatus: ACTIVE_STATUSES,
+    ...(excludeOrder && { _id: { $ne: excludeOrder } }),
+  });
+
+  if (booked >= restaurant.preOrder.slotCapacity) {
+    return { error: "This delivery slot is full", statusCode: 409 };
+  }
+
+  return { scheduledFor, releaseAt };
+};
+
+// Delivery slots on a date ("YYYY-MM-DD") in the restaurant's timezone that
+// can still be booked
+export const getDeliverySlots = async (restaurant, date) => {
+  const timeZone = getRestaurantTimezone(restaurant);
+  const [year, month, day] = date.split("-").map(Number);
+  const utcMidnight = new Date(Date.UTC(year, month - 1, day));
+  const dayStart = new Date(
+    utcMidnight.getTime() - getTimezoneOffset(utcMidnight, timeZone)
+  );
+  const dayEnd = new Date(dayStart.getTime() + 24 * 60 * 60 * 1000);
+
+  const booked = await Order.aggregate([
+    {
+      $match: {
+        restaurant: restaurant._id,
+        scheduledFor: { $gte: dayStart, $lt: dayEnd },
+        orderStatus: ACTIVE_STATUSES,
+      },
+    },
+    { $group: { _id: "$scheduledFor", count: { $sum: 1 } } },
+  ]);
+  const bookedBySlot = new Map(
+    booked.map((slot) => [slot._id.getTime(), slot.count])
+  );
+
+  const now = new Date();
+  const leadMs = getLeadMinutes(restaurant) * 60 * 1000;
+  const slots = [];
+
+  for (
+    let start = dayStart.getTime();
+    start < dayEnd.getTime();
+    start += SLOT_MS
+  ) {
+    const scheduledFor = new Date(start);
+    const releaseAt = new Date(start - leadMs);
+
+    if (
+      releaseAt <= now ||
+      scheduledFor - now > MAX_DAYS_AHEAD * 24 * 60 * 60 * 1000 ||
+      !restaurant.isOpenAt(releaseAt) ||
+      !restaurant.isOpenAt(scheduledFor)
+    ) {
+      continue;
+    }
+
+    const remaining =
+      restaurant.preOrder.slotCapacity - (bookedBySlot.get(start) || 0);
+    if (remaining > 0) {
+      slots.push({
+        start: scheduledFor,
+        end: new Date(start + SLOT_MS),
+        remaining,
+      });
+    }
+  }
+
+  return slots;
+};
+
+// Hand scheduled orders to their restaurants once their lead time is reached,
+// taking their stock from the day they are released. Orders whose items have
+// sold out by then are cancelled.
+export const releaseDueOrders = async () => {
+  const due = await Order.find({
+    orderStatus: "scheduled",
+    releaseAt: { $lte: new Date() },
+  });
+
+  for (let order of due) {
+    const restaurant = await Restaurant.findById(order.restaurant).select(
+      "timezone"
+    );
+    const stock = await reserveStock(
+      getStockUsage(order.items),
+      restaurant?.timezone
+    );
+
+    if (stock.error) {
+      await transitionOrder(order, "cancelled", {
+        role: "system",
+        cancellationReason: "item_unavailable",
+        reason: stock.error,
+      });
+      continue;
+    }
+
+    const result = await transitionOrder(order, "pending", {
+      role: "system",
+      description: "Scheduled order released to the restaurant",
+      changes: { stockReservation: stock },
+    });
+    if (result.error) await releaseStock(stock.items);
+  }
+
+  return due.length;
+};
+
+// Release scheduled orders in the background for the lifetime of the process
+export const startScheduledOrderTimer = () => {
+  const timer = setInterval(() => {
+    releaseDueOrders().catch((error) =>
+      console.error(`Scheduled order release failed: ${error.message}`)
+    );
+  }, SCHEDULER_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
@@ -0,0 +1,282 @@
+import {
+  Complaint,
+  Order,
+  Refund,
+  Restaurant,
+  Settlement,
+} from "../models/index.js";
+import {
+  getBusinessTimezone,
+  getStartOfWeek,
+  toCsv,
+} from "../utils/helpers.js";
+import { taxAmount } from "./taxService.js";
+
+// GST charged to the restaurant on the platform's commission
+const COMMISSION_GST_RATE = 0.18;
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// What a single delivered order earns the restaurant. The restaurant is paid
+// for the food and packaging; the platform keeps its platform fee, delivery
+// fee and the GST it collects, and funds coupon discounts itself. Tips belong
+// to the delivery partner and are left out.
+export const calculateOrderSettlement = (order, defaultRate) => {
+  const { subtotal, packagingFee, platformFee, deliveryFee, taxes, discount } =
+    order.pricing;
+  const commissionRate = order.commissionRate ?? defaultRate;
+  const commission = round((subtotal * commissionRate) / 100);
+  const commissionTax = round(commission * COMMISSION_GST_RATE);
+
+  return {
+    order: order._id,
+    orderNumber: order.orderNumber,
+    deliveredAt: order.actualDeliveryTime,
+    foodValue: subtotal,
+    packagingFee: packagingFee || 0,
+    commissionRate,
+    commission,
+    commissionTax,
+    platformFee: platformFee || 0,
+    deliveryFee: deliveryFee || 0,
+    // GST on food is collected and paid by the platform as the e-commerce
+    // operator; it is shown on the statement but not paid out
+    foodTax: round(
+      order.items.reduce((sum, item) => sum + taxAmount(item.tax), 0)
+    ),
+    gstCollected: taxAmount(taxes),
+    couponDiscount: discount?.amount || 0,
+    netAmount: round(
+      subtotal + (packagingFee || 0) - commission - commissionTax
+    ),
+  };
+};
+
+// What a refund the restaurant is liable for takes back from it: the value
+// of the food refunded, less the commission the platform kept on it. The GST,
+// fees and tips in the refund were never paid out to the restaurant. Item
+// refunds count the lines refunded; other refunds the same share of the food
+// as of what the customer paid.
+export const calculateRefundDeduction = (refund, order, defaultRate) => {
+  const { subtotal, total, tip } = order.pricing;
+
+  let foodValue;
+  if (refund.type === "items" && refund.items.length > 0) {
+    foodValue = refund.items.reduce((value, item) => {
+      const line = order.items.id(item.orderItem);
+      return line
+        ? value + (line.itemTotal / line.quantity) * item.quantity
+        : value;
+    }, 0);
+  } else {
+    const paid = total - (tip || 0);
+    foodValue = paid > 0 ? subtotal * Math.min(refund.amount / paid, 1) : 0;
+  }
+
+  const commissionRate = order.commissionRate ?? defaultRate;
+  return round(foodValue - (foodValue * commissionRate) / 100);
+};
+
+const sum = (lines, field) =>
+  round(lines.reduce((total, line) => total + (line[field] || 0), 0));
+
+// Build the statement for one restaurant and period. Returns null when there
+// is nothing to settle.
+export const generateSettlement = async (
+  restaurant,
+  periodStart,
+  periodEnd
+) => {
+  const [orders, refunds, penalties, previous] = await Promise.all([
+    Order.find({
+      restaurant: restaurant._id,
+      orderStatus: { $in: ["delivered", "refunded"] },
+      actualDeliveryTime: { $gte: periodStart, $lt: periodEnd },
+    }).sort({ actualDeliveryTime: 1 }),
+    Refund.find({
+      restaurant: restaurant._id,
+      liableParty: "restaurant",
+      status: "processed",
+      processedAt: { $gte: periodStart, $lt: periodEnd },
+    }).sort({ processedAt: 1 }),
+    Complaint.find({
+      restaurant: restaurant._id,
+      "resolution.liableParty": "restaurant",
+      "resolution.penalty.amount": { $gt: 0 },
+      "resolution.resolvedAt": { $gte: periodStart, $lt: periodEnd },
+    }).sort({ "resolution.resolvedAt": 1 }),
+    Settlement.findOne({
+      restaurant: restaurant._id,
+      periodStart: { $lt: periodStart },
+    }).sort({ periodStart: -1 }),
+  ]);
+
+  const carriedForward = Math.min(previous?.totals.netPayout || 0, 0);
+  if (
+    orders.length === 0 &&
+    refunds.length === 0 &&
+    penalties.length === 0 &&
+    carriedForward === 0
+  ) {
+    return null;
+  }
+
+  const lines = orders.map((order) =>
+    calculateOrderSettlement(order, restaurant.commissionRate)
+  );
+
+  const refundedOrders = await Order.find({
+    _id: { $in: refunds.map((refund) => refund.order) },
+  }).select("items pricing commissionRate");
+  const refundLines = refunds.map((refund) => {
+    const order = refundedOrders.find((o) => o._id.equals(refund.order));
+    return {
+      refund: refund._id,
+      order: refund.order,
+      amount: order
+        ? calculateRefundDeduction(refund, order, restaurant.commissionRate)
+        : 0,
+      refundAmount: refund.amount,
+      reason: refund.reason,
+      processedAt: refund.processedAt,
+    };
+  });
+  const penaltyLines = penalties.map((complaint) => ({
+    complaint: complaint._id,
+    order: complaint.order,
+    amount: complaint.resolution.penalty.amount,
+    reason: `Penalty for complaint ${complaint.ticketNumber}`,
+    processedAt: complaint.resolution.resolvedAt,
+  }));
+  const deductions = [...refundLines, ...penaltyLines];
+
+  const foodValue = sum(lines, "foodValue");
+  const packagingFees = sum(lines, "packagingFee");
+  const commission = sum(lines, "commission");
+  const commissionTax = sum(lines, "commissionTax");
+  const refundDeductions = sum(refundLines, "amount");
+  const penaltyDeductions = sum(penaltyLines, "amount");
+  const gross = round(foodValue + packagingFees);
+
+  const localDate = new Intl.DateTimeFormat("en-CA", {
+    timeZone: getBusinessTimezone(),
+  }).format(periodStart);
+
+  return Settlement.create({
+    restaurant: restaurant._id,
+    statementNumber: `ST-${localDate.replace(/-/g, "")}-${restaurant._id
+      .toString()
+      .slice(-6)
+      .toUpperCase()}`,
+    periodStart,
+    periodEnd,
+    orders: lines,
+    deductions,
+    totals: {
+      orderCount: lines.length,
+      foodValue,
+      packagingFees,
+      gross,
+      commission,
+      commissionTax,
+      refundDeductions,
+      penaltyDeductions,
+      carriedForward,
+      netPayout: round(
+        gross -
+          commission -
+          commissionTax -
+          refundDeductions -
+          penaltyDeductions +
+          carriedForward
+      ),
+    },
+    bankDetails: restaurant.bankDetails,
+    gstNumber: restaurant.gstNumber,
+  });
+};
+
+// Generate statements for every restaurant for the week containing
+// weekStart. Restaurants already settled for the week are skipped.
+export const generateWeeklySettlements = async (weekStart) => {
+  const periodStart = getStartOfWeek(weekStart, getBusinessTimezone());
+  const periodEnd = new Date(periodStart.getTime() + WEEK_MS);
+
+  if (periodEnd > new Date()) {
+    return { error: "Settlements can only be generated for completed weeks" };
+  }
+
+  const settled = await Settlement.distinct("restaurant", { periodStart });
+  const restaurants = await Restaurant.find({ _id: { $nin: settled } }).select(
+    "commissionRate bankDetails gstNumber"
+  );
+
+  const settlements = [];
+  for (let restaurant of restaurants) {
+    try {
+      const settlement = await generateSettlement(
+        restaurant,
+        periodStart,
+        periodEnd
+      );
+      if (settlement) settlements.push(settlement);
+    } catch (error) {
+      // Another run settled this restaurant first
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  return { periodStart, periodEnd, settlements };
+};
+
+// Downloadable statement: one row per order, then deductions and totals
+export const buildSettlementCsv = (settlement) => {
+  const rows = [
+    ["Statement", settlement.statementNumber],
+    ["Period start", settlement.periodStart.toISOString()],
+    ["Period end", settlement.periodEnd.toISOString()],
+    [],
+    [
+      "Order",
+      "Delivered at",
+      "Food value",
+      "Packaging fee",
+      "Commission rate (%)",
+      "Commission",
+      "GST on commission",
+      "Net amount",
+    ],
+    ...settlement.orders.map((line) => [
+      line.orderNumber,
+      line.deliveredAt?.toISOString(),
+      line.foodValue,
+      line.packagingFee,
+      line.commissionRate,
+      line.commission,
+      line.commissionTax,
+      line.netAmount,
+    ]),
+    [],
+    ["Deduction", "Processed at", "Amount", "Refunded to customer", "Reason"],
+    ...settlement.deductions.map((deduction) => [
+      deduction.refund || deduction.complaint,
+      deduction.processedAt?.toISOString(),
+      deduction.amount,
+      deduction.refundAmount,
+      deduction.reason,
+    ]),
+    [],
+    ["Orders", settlement.totals.orderCount],
+    ["Gross", settlement.totals.gross],
+    ["Commission", settlement.totals.commission],
+    ["GST on commission", settlement.totals.commissionTax],
+    ["Refund deductions", settlement.totals.refundDeductions],
+    ["Penalty deductions", settlement.totals.penaltyDeductions],
+    ["Carried forward", settlement.totals.carriedForward],
+    ["Net payout", settlement.totals.netPayout],
+  ];
+
+  return toCsv(rows);
+};
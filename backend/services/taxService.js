@@ -0,0 +1,96 @@
+// GST slabs a menu item or category can be placed in, in percent
+export const GST_SLABS = [0, 5, 12, 18, 28];
+
+// Restaurant food is taxed at 5% unless an item or its category says otherwise
+export const DEFAULT_FOOD_GST_RATE = 5;
+
+// Rates for the fees charged on top of the food, in percent
+export const getFeeTaxRates = () => ({
+  deliveryFee: Number(process.env.DELIVERY_FEE_GST_RATE ?? 18),
+  platformFee: Number(process.env.PLATFORM_FEE_GST_RATE ?? 18),
+  packagingFee: Number(process.env.PACKAGING_FEE_GST_RATE ?? 18),
+});
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+const normalizeState = (state) => state?.trim().toLowerCase();
+
+// Supplies across state lines pay IGST; within a state, CGST + SGST. Without a
+// delivery state (e.g. a cart preview) the supply is treated as intra-state.
+export const isInterState = (restaurantState, deliveryState) =>
+  Boolean(
+    deliveryState &&
+      normalizeState(restaurantState) !== normalizeState(deliveryState)
+  );
+
+// GST rate for a menu item: its own slab, then its category's, then the default
+export const resolveGstRate = (menuItem) =>
+  menuItem.gstRate ?? menuItem.category?.gstRate ?? DEFAULT_FOOD_GST_RATE;
+
+// Tax on a single amount, split into CGST/SGST or charged as IGST
+export const splitTax = (taxableAmount, rate, interState) => {
+  const tax = {
+    rate,
+    taxableAmount: round(taxableAmount),
+    cgst: 0,
+    sgst: 0,
+    igst: 0,
+  };
+
+  if (interState) {
+    tax.igst = round((taxableAmount * rate) / 100);
+  } else {
+    tax.cgst = round((taxableAmount * rate) / 200);
+    tax.sgst = tax.cgst;
+  }
+
+  return tax;
+};
+
+export const sumTaxes = (taxes) =>
+  taxes.reduce(
+    (totals, tax) => ({
+      cgst: round(totals.cgst + tax.cgst),
+      sgst: round(totals.sgst + tax.sgst),
+      igst: round(totals.igst + tax.igst),
+    }),
+    { cgst: 0, sgst: 0, igst: 0 }
+  );
+
+// Tax every order line and fee. A discount is shared across lines in
+// proportion to their totals, so each line is taxed on what is actually paid.
+export const calculateTaxes = ({ lines, discount = 0, fees, interState }) => {
+  const subtotal = lines.reduce((sum, line) => sum + line.itemTotal, 0);
+  const appliedDiscount = Math.min(discount, subtotal);
+
+  let discountLeft = appliedDiscount;
+  const items = lines.map((line, index) => {
+    const share =
+      index === lines.length - 1
+        ? discountLeft
+        : round((appliedDiscount * line.itemTotal) / (subtotal || 1));
+    discountLeft = round(discountLeft - share);
+
+    return splitTax(
+      Math.max(line.itemTotal - share, 0),
+      line.gstRate ?? DEFAULT_FOOD_GST_RATE,
+      interState
+    );
+  });
+
+  const feeRates = getFeeTaxRates();
+  const feeTaxes = {};
+  for (let [fee, amount] of Object.entries(fees)) {
+    feeTaxes[fee] = splitTax(amount, feeRates[fee], interState);
+  }
+
+  return {
+    items,
+    fees: feeTaxes,
+    totals: sumTaxes([...items, ...Object.values(feeTaxes)]),
+  };
+};
+
+// Total tax on a breakdown
+export const taxAmount = (tax) =>
+  round((tax?.cgst || 0) + (tax?.sgst || 0) + (tax?.igst || 0));
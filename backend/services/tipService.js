@@ -0,0 +1,59 @@
+import { Payment } from "../models/index.js";
+import { creditTip } from "./earningsService.js";
+import { publishTimelineEntry } from "./orderEvents.js";
+
+// How long after delivery a customer can still add a tip
+export const TIP_WINDOW_HOURS = 24;
+
+// Largest tip accepted in one go
+export const MAX_TIP = 1000;
+
+// Can the customer tip on this order now? Returns an error message if not.
+export const getTipError = async (order) => {
+  if (order.orderStatus !== "delivered") {
+    return "Tips can be added once the order is delivered";
+  }
+
+  if (!order.deliveryPartner) {
+    return "This order had no delivery partner to tip";
+  }
+
+  const windowEnd =
+    order.actualDeliveryTime.getTime() + TIP_WINDOW_HOURS * 60 * 60 * 1000;
+  if (Date.now() > windowEnd) {
+    return `Tips can only be added within ${TIP_WINDOW_HOURS} hours of delivery`;
+  }
+
+  const tipped =
+    order.pricing.tip > 0 ||
+    order.pricing.postDeliveryTip > 0 ||
+    (await Payment.exists({
+      order: order._id,
+      purpose: "tip",
+      status: { $in: ["succeeded", "partially_refunded", "refunded"] },
+    }));
+  if (tipped) {
+    return "You have already tipped for this order";
+  }
+
+  return null;
+};
+
+// Add a paid tip to the order and pass it on to the delivery partner. The
+// order total stays what was paid for the order itself.
+export const recordTipPayment = async (order, payment) => {
+  if (order.pricing.postDeliveryTip > 0) return order;
+
+  order.pricing.postDeliveryTip = payment.amount;
+  order.timeline.push({
+    status: "tip_added",
+    timestamp: new Date(),
+    description: `Tip of ₹${payment.amount} for the delivery partner`,
+  });
+  await order.save();
+  publishTimelineEntry(order);
+
+  await creditTip(order);
+
+  return order;
+};
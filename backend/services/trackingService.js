@@ -0,0 +1,153 @@
+import { LocationPoint, Order } from "../models/index.js";
+import { LOCATION_HISTORY_RETENTION_DAYS } from "../models/LocationPoint.js";
+import { calculateDistance, encodePolyline } from "../utils/helpers.js";
+import { publishOrderEvent } from "./orderEvents.js";
+
+// Statuses where the customer can follow their delivery partner
+const TRACKABLE_STATUSES = [
+  "confirmed",
+  "preparing",
+  "ready_for_pickup",
+  "out_for_delivery",
+];
+
+// Used to turn the remaining distance into an ETA
+const AVERAGE_SPEED_KMPH = 20;
+
+// Device clocks drift; points further ahead than this are rejected
+const MAX_CLOCK_SKEW_MS = 60 * 1000;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Push a partner's latest position to whoever follows their current order,
+// and move the ETA when it shifts by a minute or more while out for delivery
+export const publishPartnerLocation = async (partner) => {
+  if (!partner.currentOrder) return;
+
+  const order = await Order.findById(partner.currentOrder).populate(
+    "deliveryAddress",
+    "coordinates"
+  );
+  if (!order || !TRACKABLE_STATUSES.includes(order.orderStatus)) return;
+
+  const { latitude, longitude, lastUpdated } =
+    partner.availability.currentLocation;
+  publishOrderEvent(order._id, "location", {
+    latitude,
+    longitude,
+    updatedAt: lastUpdated,
+  });
+
+  const destination = order.deliveryAddress?.coordinates;
+  if (order.orderStatus !== "out_for_delivery" || !destination?.latitude) {
+    return;
+  }
+
+  const distance = partner.calculateDistance(
+    latitude,
+    longitude,
+    destination.latitude,
+    destination.longitude
+  );
+  const eta = new Date(
+    Date.now() + (distance / AVERAGE_SPEED_KMPH) * 60 * 60 * 1000
+  );
+
+  if (Math.abs(eta - order.estimatedDeliveryTime) < 60 * 1000) return;
+
+  order.estimatedDeliveryTime = eta;
+  await order.save();
+
+  publishOrderEvent(order._id, "eta", {
+    estimatedDeliveryTime: eta,
+    distance: round(distance),
+  });
+};
+
+// Store a batch of GPS points from a partner, linked to the order they are
+// handling, and move their current location to the newest point
+export const recordLocationPoints = async (partner, points) => {
+  const now = Date.now();
+  const oldest = now - LOCATION_HISTORY_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+
+  const accepted = points
+    .map((point) => ({
+      ...point,
+      recordedAt: point.recordedAt ? new Date(point.recordedAt) : new Date(),
+    }))
+    .filter(
+      (point) =>
+        point.recordedAt.getTime() <= now + MAX_CLOCK_SKEW_MS &&
+        point.recordedAt.getTime() > oldest
+    )
+    .sort((a, b) => a.recordedAt - b.recordedAt);
+
+  if (accepted.length === 0) {
+    return { recorded: 0, skipped: points.length };
+  }
+
+  await LocationPoint.insertMany(
+    accepted.map((point) => ({
+      recordedAt: point.recordedAt,
+      meta: {
+        deliveryPartner: partner._id,
+        order: partner.currentOrder,
+      },
+      latitude: point.latitude,
+      longitude: point.longitude,
+      accuracy: point.accuracy,
+      speed: point.speed,
+      heading: point.heading,
+    }))
+  );
+
+  // Batches can arrive out of order; only move forward in time
+  const latest = accepted[accepted.length - 1];
+  const current = partner.availability.currentLocation;
+  if (!current?.lastUpdated || latest.recordedAt > current.lastUpdated) {
+    partner.availability.currentLocation = {
+      latitude: latest.latitude,
+      longitude: latest.longitude,
+      lastUpdated: latest.recordedAt,
+    };
+    await partner.save();
+    await publishPartnerLocation(partner);
+  }
+
+  return {
+    recorded: accepted.length,
+    skipped: points.length - accepted.length,
+  };
+};
+
+// Breadcrumb trail recorded for an order, with the distance travelled in km
+export const getOrderTrail = async (orderId) => {
+  const points = await LocationPoint.find({ "meta.order": orderId })
+    .select("latitude longitude recordedAt")
+    .sort({ recordedAt: 1 })
+    .lean();
+
+  const path = points.map((point) => [point.latitude, point.longitude]);
+
+  let distance = 0;
+  for (let i = 1; i < path.length; i++) {
+    distance += calculateDistance(...path[i - 1], ...path[i]);
+  }
+
+  const last = points[points.length - 1];
+
+  return {
+    polyline: encodePolyline(path),
+    path,
+    distance: round(distance),
+    pointCount: points.length,
+    startedAt: points[0]?.recordedAt || null,
+    lastPosition: last
+      ? {
+          latitude: last.latitude,
+          longitude: last.longitude,
+          recordedAt: last.recordedAt,
+        }
+      : null,
+  };
+};
@@ -0,0 +1,13 @@
+import { Wallet } from "../models/index.js";
+
+// Credit a customer's wallet, creating it on first use
+export const creditWallet = async (userId, amount, details = {}) => {
+  return Wallet.findOneAndUpdate(
+    { user: userId },
+    {
+      $inc: { balance: amount },
+      $push: { transactions: { type: "credit", amount, ...details } },
+    },
+    { upsert: true, new: true }
+  );
+};
@@ -62,6 +62,94 @@ const toRadians = (degrees) => {
   return degrees * (Math.PI / 180);
 };
 
+// Timezone used for business reporting such as earnings and settlements
+export const getBusinessTimezone = () => process.env.TIMEZONE || "Asia/Kolkata";
+
+// Whether a string is an IANA timezone name such as "Asia/Kolkata"
+export const isValidTimezone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return Boolean(timeZone);
+  } catch {
+    return false;
+  }
+};
+
+// Offset of a timezone from UTC at a given moment, in milliseconds
+export const getTimezoneOffset = (date, timeZone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    })
+      .formatToParts(date)
+      .map((part) => [part.type, part.value])
+  );
+
+  const wallClock = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second
+  );
+  return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// Start of the week (Monday 00:00) containing a date, in a timezone
+export const getStartOfWeek = (date, timeZone) => {
+  const local = new Date(date.getTime() + getTimezoneOffset(date, timeZone));
+  const daysSinceMonday = (local.getUTCDay() + 6) % 7;
+  local.setUTCHours(0, 0, 0, 0);
+  local.setUTCDate(local.getUTCDate() - daysSinceMonday);
+  return new Date(local.getTime() - getTimezoneOffset(local, timeZone));
+};
+
+// Indian financial year (April to March) a date falls in, e.g. "2026-27"
+export const getFinancialYear = (date, timeZone) => {
+  const local = new Date(date.getTime() + getTimezoneOffset(date, timeZone));
+  const startYear =
+    local.getUTCMonth() >= 3
+      ? local.getUTCFullYear()
+      : local.getUTCFullYear() - 1;
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, "0")}`;
+};
+
+// Encode [latitude, longitude] pairs as a polyline string (Google's
+// Encoded Polyline Algorithm Format, 5 decimal places)
+export const encodePolyline = (points) => {
+  let encoded = "";
+  let prevLat = 0;
+  let prevLng = 0;
+
+  const encodeValue = (value) => {
+    let v = value < 0 ? ~(value << 1) : value << 1;
+    let chunk = "";
+    while (v >= 0x20) {
+      chunk += String.fromCharCode((0x20 | (v & 0x1f)) + 63);
+      v >>= 5;
+    }
+    return chunk + String.fromCharCode(v + 63);
+  };
+
+  for (let [latitude, longitude] of points) {
+    const lat = Math.round(latitude * 1e5);
+    const lng = Math.round(longitude * 1e5);
+    encoded += encodeValue(lat - prevLat) + encodeValue(lng - prevLng);
+    prevLat = lat;
+    prevLng = lng;
+  }
+
+  return encoded;
+};
+
 // Format response
 export const formatResponse = (
   success = true,
@@ -96,6 +184,19 @@ export const getPagination = (page = 1, limit = 10) => {
   };
 };
 
+// Turn rows of values into CSV text, quoting values where needed
+export const toCsv = (rows) =>
+  rows
+    .map((row) =>
+      row
+        .map((value) => {
+          const text = value == null ? "" : String(value);
+          return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        })
+        .join(",")
+    )
+    .join("\n");
+
 // Generate pagination meta
 export const getPaginationMeta = (total, page, limit) => {
   const totalPages = Math.ceil(total / limit);
@@ -0,0 +1,78 @@
+// Minimal PDF writer for plain text documents such as invoices. Lines are set
+// in a monospaced font so columns can be aligned with padding.
+
+const PAGE_WIDTH = 595; // A4 in points
+const PAGE_HEIGHT = 842;
+const MARGIN = 40;
+const FONT_SIZE = 9;
+const LINE_HEIGHT = 12;
+const LINES_PER_PAGE = Math.floor((PAGE_HEIGHT - 2 * MARGIN) / LINE_HEIGHT);
+
+// The standard fonts only cover Latin-1, so anything else is replaced
+const escapeText = (text) =>
+  String(text)
+    .replace(/₹/g, "Rs.")
+    .replace(/[^\x20-\x7e]/g, "?")
+    .replace(/[\\()]/g, (char) => `\\${char}`);
+
+// Build a PDF from lines of text. Returns a Buffer.
+export const createTextPdf = (lines) => {
+  const pages = [];
+  for (let i = 0; i < Math.max(lines.length, 1); i += LINES_PER_PAGE) {
+    pages.push(lines.slice(i, i + LINES_PER_PAGE));
+  }
+
+  // Objects 1-3 are the catalog, page tree and font; each page then takes a
+  // page object and a content stream
+  const objects = [];
+  const pageIds = pages.map((_, index) => 4 + index * 2);
+
+  objects[1] = "<< /Type /Catalog /Pages 2 0 R >>";
+  objects[2] = `<< /Type /Pages /Kids [${pageIds
+    .map((id) => `${id} 0 R`)
+    .join(" ")}] /Count ${pages.length} >>`;
+  objects[3] =
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>";
+
+  pages.forEach((pageLines, index) => {
+    const pageId = pageIds[index];
+    const content = [
+      "BT",
+      `/F1 ${FONT_SIZE} Tf`,
+      `${LINE_HEIGHT} TL`,
+      `${MARGIN} ${PAGE_HEIGHT - MARGIN} Td`,
+      ...pageLines.map((line) => `(${escapeText(line)}) Tj T*`),
+      "ET",
+    ].join("\n");
+
+    const mediaBox = `[0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}]`;
+    objects[pageId] = [
+      "<< /Type /Page /Parent 2 0 R",
+      `/MediaBox ${mediaBox}`,
+      "/Resources << /Font << /F1 3 0 R >> >>",
+      `/Contents ${pageId + 1} 0 R >>`,
+    ].join(" ");
+    objects[pageId + 1] = [
+      `<< /Length ${Buffer.byteLength(content)} >>`,
+      "stream",
+      content,
+      "endstream",
+    ].join("\n");
+  });
+
+  let pdf = "%PDF-1.4\n";
+  const offsets = [];
+  for (let id = 1; id < objects.length; id++) {
+    offsets[id] = Buffer.byteLength(pdf);
+    pdf += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+  }
+
+  const xrefOffset = Buffer.byteLength(pdf);
+  pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  for (let id = 1; id < objects.length; id++) {
+    pdf += `${String(offsets[id]).padStart(10, "0")} 00000 n \n`;
+  }
+  pdf += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(pdf, "latin1");
+};